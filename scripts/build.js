@@ -0,0 +1,33 @@
+/**
+ * Build van het npm package
+ *
+ * stqry-bridge.js is de bron en blijft zelf de UMD build (script tag, CommonJS, AMD).
+ * Dit script maakt daaruit dist/stqry-bridge.mjs: een ES module met export { createBridge },
+ * zonder side effects (bundlers kunnen hem tree-shaken).
+ *
+ * Gebruik: node scripts/build.js
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var root = path.join(__dirname, '..');
+var dist = path.join(root, 'dist');
+var source = fs.readFileSync(path.join(root, 'stqry-bridge.js'), 'utf8');
+
+// De factory (met zijn JSDoc) staat tussen de UMD wrapper en de 'return { createBridge }'
+var start = source.indexOf('  /**\n   * Maak een bridge voor een window');
+var end = source.indexOf('\n  return {\n    createBridge: createBridge');
+if (start === -1 || end === -1) {
+  throw new Error('createBridge niet gevonden in stqry-bridge.js');
+}
+
+var header = source.slice(0, source.indexOf('(function(root, factory) {'));
+var factory = source.slice(start, end).replace(/^ {2}/gm, '');
+
+fs.mkdirSync(dist, { recursive: true });
+fs.writeFileSync(path.join(dist, 'stqry-bridge.mjs'), header + factory + '\nexport { createBridge };\n');
+
+console.log('dist/stqry-bridge.mjs geschreven');
@@ -11,709 +11,5951 @@
  * - ReactNative: React Native WebView met ReactNativeWebView.postMessage
  */
 
-(function(window) {
-  'use strict';
+(function(root, factory) {
+  var api = factory();
+
+  // Installeer de bridge op window, zoals bestaande pagina's verwachten
+  var install = function() {
+    var bridge = api.createBridge({ window: root });
+    root.stqryBridge = api;
+    root.stqry = bridge;
+    root.stqryRuntime = bridge.utils.getRuntime();
+  };
 
-  // Constanten
-  var STORAGE_KEY = 'stqryStorage'; // Default key voor localStorage
-  var appCallbacks = {}; // Object om callback functies op te slaan per callbackId
-  var lastAppCallbackId = 0; // Teller voor unieke callback IDs
+  if (typeof module === 'object' && module.exports) {
+    // CommonJS / bundlers: alleen de factory, zonder side effects
+    module.exports = api;
+  } else if (typeof define === 'function' && define.amd) {
+    // AMD (bijv. RequireJS): net als een script tag ook window.stqry
+    install();
+    define([], function() {
+      return api;
+    });
+  } else {
+    // Script tag
+    install();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
 
   /**
-   * Detecteer de runtime omgeving waarin de applicatie draait
+   * Maak een bridge voor een window
+   * Elke bridge heeft zijn eigen state en listeners; maak er één per window.
+   *
+   * @param {Object} options - Optionele instellingen
+   * @param {Window} options.window - Het window waarin de bridge draait (default: het globale window)
+   * @param {string} options.runtime - Forceer 'NoRuntime', 'IFrame' of 'ReactNative' in plaats van detectie
+   * @returns {Object} Het stqry object (storage, user, device, ...)
    *
-   * @returns {string} 'ReactNative', 'IFrame', of 'NoRuntime'
+   * @example
+   * import { createBridge } from 'stqry-bridge';
+   * var stqry = createBridge({ window: window });
+   * stqry.storage.get('score').then(console.log);
    */
-  function detectRuntime() {
-    // Check voor React Native WebView omgeving
-    // React Native injecteert een ReactNativeWebView object met postMessage functie
-    if (window.ReactNativeWebView) {
-      return 'ReactNative';
+  function createBridge(options) {
+    options = options || {};
+    var window = options.window || (typeof self !== 'undefined' ? self : undefined);
+    if (!window || !window.document) {
+      throw new TypeError('createBridge: geef een window mee via { window: window }');
     }
+    if (options.runtime && ['NoRuntime', 'IFrame', 'ReactNative'].indexOf(options.runtime) === -1) {
+      throw new TypeError('createBridge: onbekende runtime ' + options.runtime);
+    }
+    var document = window.document;
+    var navigator = window.navigator;
+    var CustomEvent = window.CustomEvent;
+    // Timers van het window zelf, zodat ze stoppen als dat window sluit (bijv. een jsdom window in tests)
+    var setTimeout = window.setTimeout.bind(window);
+    var clearTimeout = window.clearTimeout.bind(window);
+    var setInterval = window.setInterval.bind(window);
+    // Klok van het window voor de levensduur en het gebruik van storage keys
+    var currentTime = function() {
+      return window.Date.now();
+    };
 
-    // Check of we in een iframe zitten met parent toegang
-    // window.parent verwijst naar het parent window (of zichzelf als er geen parent is)
-    if (window.parent && window.parent !== window) {
-      try {
-        // Test of we toegang hebben tot parent.postMessage
-        // Dit kan falen bij cross-origin iframes
-        if (window.parent.postMessage) {
+    // Constanten
+    var STORAGE_KEY = 'stqryStorage'; // Default key voor localStorage
+    var appCallbacks = {}; // Object met {resolve, reject} per callbackId
+    var lastAppCallbackId = 0; // Teller voor unieke callback IDs
+
+    // Globale configuratie voor callApp, aan te passen via stqry.configure()
+    var bridgeConfig = {
+      timeout: 5000,        // ms wachten op de parent voordat een call faalt
+      fallbackTimeout: 100, // ms wachten op de parent voordat de fallback wordt gebruikt
+      retries: 0,           // Aantal keer opnieuw versturen na een timeout
+      retryDelay: 200,      // ms wachttijd voor de eerste retry, verdubbelt per poging
+      onError: null,        // Functie die wordt aangeroepen met elke mislukte call
+      // Origins (met * wildcard) waarmee de bridge in IFrame mode berichten uitwisselt
+      trustedOrigins: ['https://*.stqry.es', 'https://*.stqry.com'],
+      debug: false          // Log waarschuwingen voor geweigerde berichten
+    };
+
+    // Protocol versies en acties voor capability discovery
+    var DEFAULT_VERSION = 'v1';
+    var SUPPORTED_VERSIONS = ['v1']; // Versies die deze bridge spreekt, oplopend
+    var PROBE_TIMEOUT = 500; // ms wachten op een handshake of probe response
+    var CAPABILITIES_KEY = 'stqryCapabilities'; // sessionStorage key voor de capabilities cache
+    var PARENT_ORIGIN_KEY = 'stqryParentOrigin'; // sessionStorage key met de vertrouwde parent origin
+    var capabilitiesPromise = null; // Gecachte capabilities voor deze sessie
+    var knownCapabilities = null; // Resolved capabilities, zodra bekend
+    // Acties die de bridge kan versturen
+    var KNOWN_ACTIONS = [
+      'storage.get', 'storage.set', 'storage.remove',
+      'user.get', 'device.get', 'language.get', 'language.set',
+      'location.get', 'location.set', 'location.close', 'context.get',
+      'analytics.track', 'navigation.back', 'linking.openExternal', 'linking.openInternal'
+    ];
+    // Acties die in de STQRY handler zijn gevonden (zie STQRY-API-REVERSE-ENGINEERING.md)
+    var DOCUMENTED_ACTIONS = [
+      'storage.get', 'storage.set', 'storage.remove',
+      'navigation.back', 'linking.openExternal', 'linking.openInternal'
+    ];
+    // Acties zonder side effects die veilig geprobed kunnen worden
+    var PROBE_ACTIONS = ['user.get', 'device.get', 'language.get', 'location.get', 'context.get'];
+    // Acties waarop de app geen callback terugstuurt
+    var FIRE_AND_FORGET_ACTIONS = ['navigation.back', 'linking.openExternal', 'linking.openInternal'];
+    // Acties van de host waarvan de handlers een object als data nodig hebben
+    var OBJECT_DATA_ACTIONS = ['storage.updated'];
+
+    // Outbox voor storage mutaties die de host (nog) niet heeft bevestigd
+    var OUTBOX_KEY = 'stqryOutbox'; // localStorage key voor de outbox
+    var outboxWaiters = {}; // Promise resolvers per outbox entry ID (alleen deze pagina)
+    var outboxInFlightId = null; // ID van de entry die nu naar de host onderweg is
+    var outboxReplayed = 0; // Aantal afgeleverde entries sinds de laatste stqryStorageSynced
+    var lastOutboxId = 0; // Teller voor unieke outbox entry IDs
+    var OUTBOX_MAX_UNANSWERED = 10; // Pogingen zonder antwoord terwijl de host andere calls wel beantwoordt
+    var OUTBOX_MAX_AGE = 24 * 60 * 60 * 1000; // ms waarna een niet bevestigde entry wordt opgegeven
+    var hostAnswers = 0; // Aantal antwoorden van de host op calls van deze pagina
+    var outboxAnswerMarks = {}; // hostAnswers per outbox entry ID bij de vorige poging
+
+    // Communicatie tussen tabs/frames en leader election voor de gedeelde outbox
+    var TRANSPORT_CHANNEL = 'stqry-bridge'; // Naam van het BroadcastChannel
+    var STORAGE_EVENT_KEY = 'stqryStorageEvent'; // localStorage key voor de storage event fallback
+    var LEADER_KEY = 'stqryLeader'; // Web Lock naam / localStorage key van de leader claim
+    var LEADER_TTL = 3000; // ms waarna de claim van een verdwenen leader verloopt
+    var LEADER_HEARTBEAT = 1000; // ms tussen het vernieuwen van de claim
+    var tabId = Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10); // ID van deze tab/frame
+    var transport = null; // Kanaal naar andere tabs, zie createTransport()
+    var isLeader = false; // Of deze tab de outbox aflevert
+
+    // Namespaced stores via stqry.storage.namespace()
+    var SCHEMA_VERSION_KEY = '__schemaVersion'; // Gereserveerde key voor de schema versie
+    var namespaceMigrations = {}; // Migratie Promise per storageKey + versie
+
+    // Levensduur en grootte van storage keys: TTL via storage.set(..., {ttl}), budgets met LRU eviction
+    var STORAGE_META_KEY = 'stqryStorageMeta'; // localStorage key met per storageKey {key: {size, usedAt, expiresAt}}
+    var storageConfig = {
+      budgets: {} // Max grootte per storageKey in tekens JSON, bijv. {'stqryStorage:tours': 500000}
+    };
+
+    // Key-level watchers via stqry.storage.watch()
+    var storageWatchers = []; // Lijst van {keys, handler, storageKey}
+    var watchSnapshots = {}; // Laatst bekende data per bekeken storageKey
+
+    // Atomaire updates via stqry.storage.update/increment/compareAndSet
+    var SKIP_UPDATE = {}; // Sentinel: update functie wil niets schrijven
+    var atomicQueues = {}; // Laatste update Promise per storageKey (serialiseert updates)
+    var LOCK_PREFIX = 'stqryLock:'; // localStorage key prefix voor cross-tab locks
+    var LOCK_TTL = 2000; // ms waarna een lock van een gecrashte tab verloopt
+    var LOCK_SETTLE = 10; // ms wachten voordat een geschreven lock wordt gecontroleerd
+    var LOCK_WAIT = 5000; // ms wachten op een lock voordat de update faalt
+
+    // Debug tracing via stqry.debug
+    var DEBUG_FLAG_KEY = 'stqryDebug'; // localStorage flag / URL parameter om tracing aan te zetten
+    var debugTrace = null; // Lijst van trace entries, null als tracing uit staat
+    var debugMaxEntries = 500; // Maximaal aantal bewaarde entries
+    var debugOverlay = null; // Het overlay paneel element, als het zichtbaar is
+    var traceRequests = {}; // Laatste uitgaande trace entry per callbackId
+    var lastTraceId = 0; // Teller voor trace entry IDs
+
+    // Event bus voor inkomende acties via stqry.on() / stqry.off()
+    var hostEventHandlers = {}; // Lijst van handlers per actie naam ('*' voor alle acties)
+
+    // Tour voortgang via stqry.progress, bewaard in een eigen namespace
+    var PROGRESS_NAMESPACE = 'progress'; // Namespace naam (storageKey 'stqryStorage:progress')
+    var PROGRESS_KEY = 'tours'; // Key met de voortgang per collectionId
+    var progressStore = null; // De namespaced store, aangemaakt bij eerste gebruik
+
+    // Analytics events via stqry.analytics, gebufferd in localStorage
+    var ANALYTICS_BUFFER_KEY = 'stqryAnalytics'; // localStorage key voor nog niet verstuurde events
+    var ANALYTICS_SAMPLE_KEY = 'stqryAnalyticsSample'; // sessionStorage key voor de sample trekking
+    var ANALYTICS_NAMESPACE = 'analytics'; // Namespace voor de opt-out vlag
+    var ANALYTICS_ACTION = 'analytics.track'; // Host actie voor een batch events
+    var analyticsConfig = {
+      endpoint: null,       // HTTP endpoint dat {events: [...]} als JSON POST ontvangt
+      sink: null,           // Functie die een array events ontvangt (mag een Promise retourneren)
+      sampleRate: 1,        // Fractie van de sessies (0-1) waarvan events worden verstuurd
+      batchSize: 20,        // Maximaal aantal events per verzending
+      flushInterval: 10000, // ms tussen het eerste gebufferde event en de flush
+      maxBuffer: 500        // Maximaal aantal gebufferde events, oudste vallen eraf
+    };
+    var analyticsStore = null; // De namespaced store, aangemaakt bij eerste gebruik
+    var analyticsOptOut = null; // Promise met de opt-out vlag, null tot eerste gebruik
+    var analyticsEnrichment = null; // Promise met runtime/device/taal/user/context
+    var analyticsFlushTimer = null; // Timer voor de volgende flush
+    var analyticsFlushing = null; // Promise van de flush die nu loopt
+    var lastAnalyticsId = 0; // Teller voor unieke event IDs
+
+    // Toestemming van de bezoeker via stqry.consent
+    var CONSENT_CATEGORIES = ['functional', 'analytics', 'personalization'];
+    var CONSENT_NAMESPACE = 'consent'; // Namespace voor het consent record
+    var CONSENT_KEY = 'record'; // Key met {version, timestamp, categories}
+    var STORAGE_KEYS_KEY = 'stqryStorageKeys'; // localStorage key met alle beschreven storageKeys
+    var consentConfig = {
+      version: 1,    // Versie van de consent tekst; een ouder record geldt als geen toestemming
+      required: true // false: geen gating, bijvoorbeeld voor klanten buiten de EU
+    };
+    var consentStore = null; // De namespaced store, aangemaakt bij eerste gebruik
+    var consentRecord = null; // Promise met het consent record, null tot eerste gebruik
+    var consentUnwatch = null; // Watcher op het consent record (voor wijzigingen uit andere tabs)
+    var consentStorageKeys = {}; // Consent categorie per storageKey van een niet-functionele namespace
+    consentStorageKeys[STORAGE_KEY + ':' + PROGRESS_NAMESPACE] = 'personalization';
+
+    // Vertalingen via stqry.i18n
+    var i18nCatalogs = {}; // Berichten per taal code
+    var i18nLoading = {}; // Laad Promise per taal code (via i18nConfig.loadPath)
+    var i18nLanguage = null; // Actieve taal, null tot stqry.i18n.init()
+    var i18nApplied = null; // Promise van de laatste taalwissel, resolved zodra de pagina is vertaald
+    var i18nStarted = false; // Of de visibilitychange check al luistert
+    var i18nConfig = {
+      fallbackLanguage: 'en', // Laatste taal in elke fallback keten
+      loadPath: null,         // URL template voor catalogs, bijv. 'locales/{lang}.json'
+      autoRender: true        // Vertaal data-i18n elementen bij elke taalwissel
+    };
+
+    // Device watchers via stqry.device.watch()
+    var DEVICE_WATCH_KEYS = ['orientation', 'online', 'colorScheme', 'reducedMotion', 'network', 'safeAreaInsets'];
+    var deviceWatchers = []; // Lijst van {keys, handler}
+    var deviceSnapshot = null; // Laatst gemelde waarden van DEVICE_WATCH_KEYS
+    var safeAreaProbe = null; // Onzichtbaar element om env(safe-area-inset-*) uit te lezen
+
+    // Identiteit van de bezoeker via stqry.user
+    var USER_KEY = 'stqryUser'; // localStorage key met het lokale profiel (stqry.user.set)
+    var VISITOR_ID_KEY = 'stqryVisitorId'; // localStorage key met de anonieme visitor ID
+    var memoryVisitorId = null; // Visitor ID van deze pagina zolang er geen toestemming is om hem te bewaren
+    var USER_IDENTITY_KEY = 'stqryUserIdentity'; // Laatst geziene 'type:id', om wissels te melden
+    // De demo user van STQRY demo pagina's (?demo=true)
+    var DEMO_USER = {
+      id: 'demo-user',
+      name: 'Demo User',
+      email: 'demo@example.com',
+      isGuest: true
+    };
+
+    // In-page routes via stqry.router
+    var ROUTER_KEY = 'stqryRoutes'; // sessionStorage key met de route stack, overleeft een reload
+    var ROUTER_BACK_TIMEOUT = 500; // ms wachten op popstate na history.back() voordat de stack zelf popt
+    var routerConfig = {
+      mode: 'hash',  // 'hash' (#/stop/3) of 'history' (pushState, de server moet elk pad serveren)
+      base: '',      // Pad van de pagina in history mode (bijv. '/tour'), routes komen erachter
+      notFound: null // Handler voor paden zonder route
+    };
+    var routes = []; // Lijst van gecompileerde routes, in volgorde van toevoegen
+    var routeStack = []; // Back stack van {path, state}, oudste eerst
+    var routerStarted = false; // Of stqry.router.init() is aangeroepen
+    var routeBackWaiter = null; // Resolve functie van een router.back() die op popstate wacht
+
+    // Content subtypes van STQRY (ook de collection types in content URLs)
+    var INTERNAL_LINK_SUBTYPES = ['tour', 'map', 'list', 'story', 'web', 'menu', 'collection'];
+    // Subtypes waarvoor linking.openInternal bevestigd werkt (zie STQRY-API-REVERSE-ENGINEERING.md);
+    // 'map', 'story' en 'web' gaven geen reactie, de rest is niet getest
+    var VERIFIED_LINK_SUBTYPES = ['tour'];
+
+    // Configuratie voor de linking API, aan te passen via stqry.linking.configure()
+    var linkingConfig = {
+      internalUrlTemplate: '/{subtype}/{id}', // NoRuntime fallback URL voor openInternal
+      allowUnverifiedSubtypes: false // Ook subtypes die niet bevestigd werken naar de app sturen
+    };
+
+    /**
+     * Maak een error type dat erft van Error, zodat fouten met instanceof
+     * of via de name property te onderscheiden zijn
+     *
+     * @param {string} name - Naam van het error type
+     * @returns {Function} Constructor met signatuur (message, action)
+     */
+    function defineError(name) {
+      function StqryError(message, action) {
+        this.name = name;
+        this.message = message;
+        this.action = action; // De actie waarvoor de fout optrad
+        this.stack = new Error(message).stack;
+      }
+      StqryError.prototype = Object.create(Error.prototype);
+      StqryError.prototype.constructor = StqryError;
+      StqryError.prototype.name = name;
+      return StqryError;
+    }
+
+    // Parent antwoordde niet binnen de timeout (ook niet na retries)
+    var TimeoutError = defineError('TimeoutError');
+    // Parent stuurde een foutmelding terug
+    var HostError = defineError('HostError');
+    // Parent ondersteunt de actie niet
+    var UnsupportedAction = defineError('UnsupportedAction');
+    // Bezoeker heeft (nog) geen toestemming gegeven voor de categorie van de data
+    var ConsentRequired = defineError('ConsentRequired');
+    // Data kon niet lokaal worden opgeslagen (bijv. localStorage vol) of past niet in het budget
+    var StorageError = defineError('StorageError');
+    // De origin van de parent frame is niet vertrouwd: het bericht is niet verstuurd
+    var UntrustedParent = defineError('UntrustedParent');
+
+    /**
+     * Detecteer de runtime omgeving waarin de applicatie draait
+     *
+     * @returns {string} 'ReactNative', 'IFrame', of 'NoRuntime'
+     */
+    function detectRuntime() {
+      // Check voor React Native WebView omgeving
+      // React Native injecteert een ReactNativeWebView object met postMessage functie
+      if (window.ReactNativeWebView) {
+        return 'ReactNative';
+      }
+
+      // Check of we in een iframe zitten met parent toegang
+      // window.parent verwijst naar het parent window (of zichzelf als er geen parent is)
+      if (window.parent && window.parent !== window) {
+        try {
+          // Test of we toegang hebben tot parent.postMessage
+          // Dit kan falen bij cross-origin iframes
+          if (window.parent.postMessage) {
+            return 'IFrame';
+          }
+        } catch (e) {
+          // Cross-origin iframe: we hebben geen directe toegang maar postMessage werkt nog steeds
           return 'IFrame';
         }
+      }
+
+      // Fallback: standalone browser zonder parent context
+      // Gebruik localStorage + storage events voor cross-tab communicatie
+      return 'NoRuntime';
+    }
+
+    // Runtime van deze bridge: opgegeven via createBridge() of gedetecteerd
+    var runtime = options.runtime || detectRuntime();
+
+    /**
+     * Kies de opslag voor bridge data: localStorage, of een in-memory vervanger als
+     * localStorage ontbreekt of faalt (bijv. private mode in Safari, geblokkeerde cookies)
+     * In-memory data verdwijnt bij herladen en wordt niet met andere tabs gedeeld.
+     *
+     * @returns {Object} Object met de Storage interface (getItem, setItem, removeItem, key, length)
+     */
+    function createLocalStore() {
+      try {
+        var probe = 'stqryProbe';
+        window.localStorage.setItem(probe, probe);
+        window.localStorage.removeItem(probe);
+        return window.localStorage;
       } catch (e) {
-        // Cross-origin iframe: we hebben geen directe toegang maar postMessage werkt nog steeds
-        return 'IFrame';
+        console.warn('STQRY Bridge: localStorage niet beschikbaar, data blijft alleen in het geheugen');
       }
+
+      var data = {};
+      var memoryStore = {
+        isMemory: true,
+        getItem: function(key) {
+          return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+        },
+        setItem: function(key, value) {
+          data[key] = String(value);
+        },
+        removeItem: function(key) {
+          delete data[key];
+        },
+        key: function(index) {
+          var keys = Object.keys(data);
+          return index < keys.length ? keys[index] : null;
+        },
+        clear: function() {
+          data = {};
+        }
+      };
+      Object.defineProperty(memoryStore, 'length', {
+        get: function() {
+          return Object.keys(data).length;
+        }
+      });
+      return memoryStore;
     }
 
-    // Fallback: standalone browser zonder parent context
-    // Gebruik localStorage + storage events voor cross-tab communicatie
-    return 'NoRuntime';
-  }
+    /**
+     * Alle keys van een Storage object (localStorage, sessionStorage of de in-memory store)
+     *
+     * @param {Object} store - Object met de Storage interface
+     * @returns {Array} De keys
+     */
+    function storeKeys(store) {
+      var keys = [];
+      for (var i = 0; i < store.length; i++) {
+        keys.push(store.key(i));
+      }
+      return keys;
+    }
 
-  // Detecteer runtime bij laden en sla op in global variable
-  window.stqryRuntime = detectRuntime();
+    // Opslag voor alle bridge data (localStorage of in-memory)
+    var localStore = createLocalStore();
 
-  /**
-   * Haal opgeslagen data op uit localStorage
-   *
-   * @param {string} storageKey - De localStorage key om uit te lezen
-   * @returns {Object} Parsed JSON object of lege object bij fout
-   */
-  function getStoredData(storageKey) {
-    try {
-      var stored = localStorage.getItem(storageKey);
-      // Parse JSON string naar object, of return leeg object als er niets is
-      return stored ? JSON.parse(stored) : {};
-    } catch (e) {
-      console.error('Fout bij ophalen data:', e);
-      return {};
+    /**
+     * Haal opgeslagen data op uit localStorage
+     *
+     * @param {string} storageKey - De localStorage key om uit te lezen
+     * @returns {Object} Parsed JSON object of lege object bij fout
+     */
+    function getStoredData(storageKey) {
+      try {
+        var stored = localStore.getItem(storageKey);
+        // Parse JSON string naar object, of return leeg object als er niets is
+        return stored ? JSON.parse(stored) : {};
+      } catch (e) {
+        console.error('Fout bij ophalen data:', e);
+        return {};
+      }
     }
-  }
 
-  /**
-   * Sla data op in localStorage als JSON string
-   *
-   * @param {string} storageKey - De localStorage key om naar te schrijven
-   * @param {Object} value - Het object om op te slaan (wordt naar JSON geconverteerd)
-   */
-  function setStoredData(storageKey, value) {
-    try {
+    /**
+     * Sla data op in localStorage als JSON string
+     * Is localStorage vol, dan worden eerst verlopen keys opgeruimd en volgt één nieuwe poging.
+     *
+     * @param {string} storageKey - De localStorage key om naar te schrijven
+     * @param {Object} value - Het object om op te slaan (wordt naar JSON geconverteerd)
+     * @param {string} action - De storage actie, voor de fout
+     * @throws {StorageError} Als de data niet kan worden opgeslagen (err.quota bij een volle opslag)
+     */
+    function setStoredData(storageKey, value, action) {
       // Converteer object naar JSON string voordat we opslaan
-      localStorage.setItem(storageKey, JSON.stringify(value));
-    } catch (e) {
-      console.error('Fout bij opslaan data:', e);
+      var json = JSON.stringify(value);
+      var failure;
+
+      try {
+        localStore.setItem(storageKey, json);
+        return;
+      } catch (e) {
+        failure = e;
+      }
+
+      if (isQuotaError(failure) && purgeExpiredData(storageKey)) {
+        try {
+          localStore.setItem(storageKey, json);
+          return;
+        } catch (e) {
+          failure = e;
+        }
+      }
+
+      var err = new StorageError('Opslaan in ' + storageKey + ' mislukt: ' + failure.message, action || 'storage.set');
+      err.quota = isQuotaError(failure);
+      err.cause = failure;
+      throw err;
     }
-  }
 
-  /**
-   * Verstuur een bericht naar de parent context (iframe parent of React Native)
-   * Gebruikt het postMessage protocol voor cross-context communicatie
-   *
-   * @param {string} action - De actie naam (bijv. 'storage.set', 'storage.get')
-   * @param {Object} data - De data payload voor deze actie
-   * @param {Function} callback - Optionele callback die wordt aangeroepen met het response
-   * @param {Function} fallback - Optionele fallback functie als parent niet reageert
-   */
-  function callApp(action, data, callback, fallback) {
-    // Bouw het message object volgens het STQRY protocol
-    var message = {
-      action: action,      // De uit te voeren actie
-      version: 'v1',       // Protocol versie
-      data: data          // Payload data
-    };
+    /**
+     * Bepaal of een fout van localStorage.setItem betekent dat de opslag vol is
+     *
+     * @param {Error} err - De fout van setItem
+     * @returns {boolean} true bij een quota fout (de naam verschilt per browser)
+     */
+    function isQuotaError(err) {
+      return !!err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        err.code === 22 || err.code === 1014);
+    }
+
+    /**
+     * Lees de TTL, grootte en laatste gebruik van alle bijgehouden storage keys
+     *
+     * @returns {Object} Per storageKey een object {key: {size, usedAt, expiresAt}}
+     */
+    function readStorageMeta() {
+      try {
+        return JSON.parse(localStore.getItem(STORAGE_META_KEY)) || {};
+      } catch (e) {
+        return {};
+      }
+    }
+
+    /**
+     * Sla de storage meta op; lege storageKeys vallen weg
+     *
+     * @param {Object} meta - Zie readStorageMeta()
+     */
+    function writeStorageMeta(meta) {
+      Object.keys(meta).forEach(function(storageKey) {
+        if (!Object.keys(meta[storageKey]).length) {
+          delete meta[storageKey];
+        }
+      });
+      try {
+        if (Object.keys(meta).length) {
+          localStore.setItem(STORAGE_META_KEY, JSON.stringify(meta));
+        } else {
+          localStore.removeItem(STORAGE_META_KEY);
+        }
+      } catch (e) {
+        // Zonder meta verlopen keys niet en telt het budget ze niet mee; de data zelf is wel opgeslagen
+      }
+    }
+
+    /**
+     * Grootte van één key zoals hij in de opslag staat (tekens JSON, ongeveer bytes)
+     *
+     * @param {string} key - De key
+     * @param {*} value - De waarde
+     * @returns {number} Lengte van de key plus de JSON van de waarde
+     */
+    function entrySize(key, value) {
+      return key.length + JSON.stringify(value === undefined ? null : value).length;
+    }
+
+    /**
+     * Haal de verlopen keys van een storageKey uit de meta
+     *
+     * @param {string} storageKey - De storageKey
+     * @returns {string[]} De keys waarvan de TTL voorbij is
+     */
+    function takeExpiredKeys(storageKey) {
+      var meta = readStorageMeta();
+      var entries = meta[storageKey] || {};
+      var now = currentTime();
+      var expired = Object.keys(entries).filter(function(key) {
+        return entries[key].expiresAt && entries[key].expiresAt <= now;
+      });
+
+      if (expired.length) {
+        expired.forEach(function(key) {
+          delete entries[key];
+        });
+        writeStorageMeta(meta);
+      }
+      return expired;
+    }
+
+    /**
+     * Ruim verlopen keys op in alle andere storageKeys in localStorage (NoRuntime),
+     * om ruimte te maken als de opslag vol is
+     *
+     * @param {string} exceptStorageKey - De storageKey die net geschreven wordt
+     * @returns {boolean} true als er iets is opgeruimd
+     */
+    function purgeExpiredData(exceptStorageKey) {
+      if (runtime !== 'NoRuntime') {
+        return false;
+      }
+
+      var purged = false;
+      Object.keys(readStorageMeta()).forEach(function(storageKey) {
+        if (storageKey === exceptStorageKey) {
+          return;
+        }
+        var expired = takeExpiredKeys(storageKey);
+        if (!expired.length) {
+          return;
+        }
+        var data = getStoredData(storageKey);
+        expired.forEach(function(key) {
+          delete data[key];
+        });
+        try {
+          localStore.setItem(storageKey, JSON.stringify(data));
+          purged = true;
+        } catch (e) {
+          // Nog steeds vol: de aanroeper krijgt de fout
+        }
+      });
+      return purged;
+    }
+
+    /**
+     * Werk de meta bij voor een storage.set en bepaal welke keys wijken voor het budget
+     * Keys zonder gebruik sinds het langst (LRU) gaan eerst; de keys uit de changeset blijven altijd.
+     *
+     * @param {string} storageKey - De storageKey waarin geschreven wordt
+     * @param {Object} changeset - De nieuwe key-value pairs
+     * @param {number} ttl - Optionele levensduur in seconden
+     * @param {Object} data - De volledige data na de set (NoRuntime), of null als alleen de host die heeft
+     * @returns {Object} {meta, evicted}: de nieuwe meta (nog niet opgeslagen, null als er niets
+     *                   verandert) en de te verwijderen keys
+     * @throws {StorageError} Als de changeset zelf niet in het budget past
+     */
+    function trackStorageWrite(storageKey, changeset, ttl, data) {
+      var meta = readStorageMeta();
+      var budget = storageConfig.budgets[storageKey];
+      var evicted = [];
+
+      // Zonder ttl en budget is er alleen iets te doen als een key eerder een ttl had
+      if (!(ttl > 0) && !budget && !meta[storageKey]) {
+        return { meta: null, evicted: evicted };
+      }
+
+      var entries = meta[storageKey] = meta[storageKey] || {};
+      var now = currentTime();
+      var written = Object.keys(changeset);
+
+      written.forEach(function(key) {
+        if (!(ttl > 0) && !budget) {
+          delete entries[key]; // Een set zonder ttl maakt de key weer permanent
+          return;
+        }
+        entries[key] = { size: entrySize(key, changeset[key]), usedAt: now };
+        if (ttl > 0) {
+          entries[key].expiresAt = now + ttl * 1000;
+        }
+      });
+
+      if (!budget) {
+        return { meta: meta, evicted: evicted };
+      }
+
+      // Lokaal is de echte grootte bekend; bij de host alleen wat deze bridge heeft geschreven
+      var keys = (data ? Object.keys(data) : Object.keys(entries)).filter(function(key) {
+        return key !== SCHEMA_VERSION_KEY;
+      });
+      var sizeOf = function(key) {
+        return data ? entrySize(key, data[key]) : entries[key].size;
+      };
+      var usedAt = function(key) {
+        return entries[key] ? entries[key].usedAt : 0;
+      };
+      var total = keys.reduce(function(sum, key) {
+        return sum + sizeOf(key);
+      }, 0);
+
+      var candidates = keys.filter(function(key) {
+        return written.indexOf(key) === -1;
+      }).sort(function(a, b) {
+        return usedAt(a) - usedAt(b);
+      });
+      while (total > budget && candidates.length) {
+        var key = candidates.shift();
+        total -= sizeOf(key);
+        evicted.push(key);
+        delete entries[key];
+      }
+
+      if (total > budget) {
+        var err = new StorageError('Data past niet in het budget van ' + storageKey + ' (' + total + ' > ' + budget + ')', 'storage.set');
+        err.quota = true;
+        throw err;
+      }
+      return { meta: meta, evicted: evicted };
+    }
+
+    /**
+     * Markeer gelezen keys als gebruikt, voor de LRU volgorde van een storageKey met budget
+     *
+     * @param {string} storageKey - De storageKey
+     * @param {string|string[]|null} key - De gelezen key(s); null (alles lezen) telt niet als gebruik
+     */
+    function touchStorageKeys(storageKey, key) {
+      var keys = toKeys(key);
+      if (!storageConfig.budgets[storageKey] || !keys) {
+        return;
+      }
+      var meta = readStorageMeta();
+      var entries = meta[storageKey] || {};
+      var now = currentTime();
+      keys.forEach(function(k) {
+        if (entries[k]) {
+          entries[k].usedAt = now;
+        }
+      });
+      writeStorageMeta(meta);
+    }
+
+    /**
+     * Vergeet de meta van verwijderde keys, of van een hele storageKey
+     *
+     * @param {string} storageKey - De storageKey
+     * @param {string[]} keys - De verwijderde keys, of null voor alles (storage.clear)
+     */
+    function forgetStorageMeta(storageKey, keys) {
+      var meta = readStorageMeta();
+      if (!meta[storageKey]) {
+        return;
+      }
+      if (keys) {
+        keys.forEach(function(key) {
+          delete meta[storageKey][key];
+        });
+      } else {
+        delete meta[storageKey];
+      }
+      writeStorageMeta(meta);
+    }
+
+    /**
+     * Voer een lokale operatie uit en lever het resultaat zowel aan de legacy
+     * callback als via een Promise, zodat alle runtimes dezelfde interface hebben
+     *
+     * @param {Function} fn - Functie die het resultaat berekent (mag throwen)
+     * @param {Function} callback - Optionele legacy callback
+     * @returns {Promise} Resolved met het resultaat van fn. Als fn throwt (bijv. een volle
+     *                    localStorage) krijgt de callback de fout en wordt de Promise rejected,
+     *                    zonder "unhandled rejection" melding voor callers met alleen een callback.
+     */
+    function resolveLocal(fn, callback) {
+      var value;
+      try {
+        value = fn();
+      } catch (err) {
+        return rejectInput(err, callback);
+      }
+      invokeCallback(callback, [value]);
+      return Promise.resolve(value);
+    }
+
+    /**
+     * Roep een legacy callback aan; een fout in de callback wordt gelogd en
+     * heeft geen invloed op de Promise van de bridge call
+     *
+     * @param {Function} callback - Optionele legacy callback
+     * @param {Array} args - Argumenten voor de callback
+     */
+    function invokeCallback(callback, args) {
+      if (!callback) {
+        return;
+      }
+      try {
+        callback.apply(null, args);
+      } catch (err) {
+        console.error('Fout in callback:', err);
+      }
+    }
 
-    // Als er een callback is, genereer een unieke ID en sla de callback op
-    if (callback) {
+    /**
+     * Roep een legacy callback aan met de (bewerkte) waarde van een Promise
+     *
+     * @param {Promise} promise - De Promise waarvan de waarde wordt doorgegeven
+     * @param {Function} callback - Optionele legacy callback
+     * @returns {Promise} Promise met dezelfde waarde
+     */
+    function withCallback(promise, callback) {
+      var result = promise.then(function(value) {
+        invokeCallback(callback, [value]);
+        return value;
+      });
+      // Fouten zijn al gelogd door callApp
+      result.catch(function() {});
+      return result;
+    }
+
+    /**
+     * Weiger een call (ongeldige input, mislukte lokale operatie): de legacy callback krijgt
+     * de fout als argument en de Promise wordt rejected zonder "unhandled rejection" melding
+     *
+     * @param {Error} err - De fout, meestal een TypeError
+     * @param {Function} callback - Optionele legacy callback
+     * @returns {Promise} Rejected met err
+     */
+    function rejectInput(err, callback) {
+      invokeCallback(callback, [err]);
+      return withCallback(Promise.reject(err), null);
+    }
+
+    /**
+     * Controleer de stap van storage.increment: een string zou worden geplakt ('0' + '5')
+     *
+     * @param {*} n - De stap van de caller, undefined voor de default 1
+     * @returns {TypeError|null} De fout, of null voor een geldige stap
+     */
+    function checkIncrementStep(n) {
+      if (n === undefined || (typeof n === 'number' && isFinite(n))) {
+        return null;
+      }
+      return new TypeError('storage.increment verwacht een eindig getal als stap, kreeg: ' + n);
+    }
+
+    /**
+     * Normaliseer een key argument naar de keys array van het STQRY protocol
+     *
+     * @param {string|string[]|null} key - Eén key, een array van keys of null voor alles
+     * @returns {string[]|undefined} Array van keys, of undefined voor alle data
+     */
+    function toKeys(key) {
+      if (key === null || key === undefined) {
+        return undefined;
+      }
+      return Array.isArray(key) ? key : [key];
+    }
+
+    /**
+     * Selecteer de waarde(s) uit een storage object in de vorm die storage.get belooft:
+     * één waarde voor een string key, een subset object voor een array, alles voor null
+     *
+     * @param {Object} data - Het (mogelijk al gefilterde) storage object
+     * @param {string|string[]|null} key - De gevraagde key(s)
+     * @returns {*} De waarde, het subset object of het volledige object
+     */
+    function pickKeys(data, key) {
+      data = data || {};
+      if (key === null || key === undefined) {
+        return data;
+      }
+      if (!Array.isArray(key)) {
+        return data[key];
+      }
+      var subset = {};
+      key.forEach(function(k) {
+        if (Object.prototype.hasOwnProperty.call(data, k)) {
+          subset[k] = data[k];
+        }
+      });
+      return subset;
+    }
+
+    /**
+     * Verstuur een bericht naar de parent context (iframe parent of React Native)
+     * Gebruikt het postMessage protocol voor cross-context communicatie
+     *
+     * @param {string} action - De actie naam (bijv. 'storage.set', 'storage.get')
+     * @param {Object} data - De data payload voor deze actie
+     * @param {Function} callback - Optionele callback die wordt aangeroepen met het response
+     * @param {Function} fallback - Optionele fallback functie als parent niet reageert,
+     *                              de return waarde wordt gebruikt als resultaat
+     * @param {Object} options - Optionele instellingen voor deze call, overschrijven bridgeConfig
+     * @param {string} options.version - Protocol versie (default: 'v1')
+     * @param {number} options.timeout - Timeout in ms per poging
+     * @param {number} options.retries - Aantal retries na een timeout
+     * @param {number} options.retryDelay - ms voor de eerste retry, verdubbelt per poging
+     * @param {Function} options.onError - Wordt aangeroepen met de fout als de call faalt
+     * @param {boolean} options.silent - Rapporteer een mislukte call niet (geen waarschuwing of onError)
+     * @returns {Promise} Resolved met het eerste argument van het response, rejected met
+     *                    een TimeoutError, HostError of UnsupportedAction
+     */
+    function callApp(action, data, callback, fallback, options) {
+      options = options || {};
+
+      // De app antwoordt niet op fire-and-forget acties: geen callback ID, timeout of waarschuwing
+      if (FIRE_AND_FORGET_ACTIONS.indexOf(action) !== -1) {
+        return notifyApp(action, data, callback, options.version);
+      }
+
+      var timeout = options.timeout || (fallback ? bridgeConfig.fallbackTimeout : bridgeConfig.timeout);
+      var retries = options.retries !== undefined ? options.retries : bridgeConfig.retries;
+      var retryDelay = options.retryDelay !== undefined ? options.retryDelay : bridgeConfig.retryDelay;
+
+      // Bouw het message object volgens het STQRY protocol
+      var message = {
+        action: action,                              // De uit te voeren actie
+        version: options.version || DEFAULT_VERSION, // Protocol versie
+        data: data                                   // Payload data
+      };
+
+      // Genereer een unieke ID en koppel de Promise (en legacy callback) eraan
+      // Retries hergebruiken dezelfde ID zodat een laat antwoord nog steeds telt
       lastAppCallbackId++;
       var callbackId = lastAppCallbackId;
       message.callbackId = callbackId;
-      appCallbacks[callbackId] = callback;
 
-      // Stel timeout in: als parent niet binnen 100ms reageert, gebruik fallback
-      if (fallback) {
-        setTimeout(function() {
-          // Als callback nog steeds bestaat, is er geen response gekomen
-          if (appCallbacks[callbackId]) {
-            delete appCallbacks[callbackId];
-            console.warn('Parent not responding for action:', action, '- using fallback');
-            fallback();
+      var promise = new Promise(function(resolve, reject) {
+        var attempt = 0;
+        var timer = null;
+
+        // Ruim de callback altijd op, ongeacht hoe de call eindigt
+        var finish = function() {
+          clearTimeout(timer);
+          delete appCallbacks[callbackId];
+        };
+
+        appCallbacks[callbackId] = {
+          action: action,
+          resolve: function(args) {
+            finish();
+            invokeCallback(callback, args);
+            resolve(args[0]);
+          },
+          reject: function(err) {
+            finish();
+            reject(err);
+          }
+        };
+
+        // Als de parent niet antwoordt: opnieuw proberen, de fallback gebruiken of falen
+        var onTimeout = function() {
+          // Als callback nog steeds bestaat, is er geen response gekomen
+          if (!appCallbacks[callbackId]) {
+            return;
+          }
+          if (attempt < retries) {
+            timer = setTimeout(send, retryDelay * Math.pow(2, attempt));
+            attempt++;
+            return;
+          }
+          finish();
+
+          if (fallback) {
+            console.warn('Parent not responding for action:', action, '- using fallback');
+            resolveLocal(fallback, callback).then(resolve, reject);
+          } else {
+            reject(new TimeoutError('Parent not responding for action: ' + action +
+              ' (' + (attempt + 1) + 'x ' + timeout + 'ms)', action));
+          }
+        };
+
+        var send = function() {
+          if (!appCallbacks[callbackId]) {
+            return;
+          }
+          try {
+            postToApp(message);
+          } catch (e) {
+            appCallbacks[callbackId].reject(e);
+            return;
+          }
+          timer = setTimeout(onTimeout, timeout);
+        };
+
+        // Weet de bridge al dat de host deze actie niet kent: direct fallback of fout
+        if (knownCapabilities && knownCapabilities.actions[action] === null) {
+          finish();
+          if (fallback) {
+            resolveLocal(fallback, callback).then(resolve, reject);
+          } else {
+            reject(new UnsupportedAction('Action not supported by host: ' + action, action));
+          }
+          return;
+        }
+
+        send();
+      });
+
+      // Rapporteer fouten en voorkom "unhandled rejection" meldingen voor callers
+      // die alleen een callback gebruiken
+      promise.catch(function(err) {
+        // Interne calls (handshake, probes) handelen hun fout zelf af: geen waarschuwing of onError
+        if (options.silent) {
+          return;
+        }
+        var onError = options.onError || bridgeConfig.onError;
+        if (onError) {
+          onError(err);
+        } else {
+          console.warn('STQRY action failed:', action, err.message);
+        }
+      });
+
+      return promise;
+    }
+
+    /**
+     * Verstuur een actie waarop de parent geen callback terugstuurt (fire-and-forget),
+     * zoals de linking.* acties van de STQRY app
+     *
+     * @param {string} action - De actie naam (bijv. 'linking.openExternal')
+     * @param {Object} data - De data payload voor deze actie
+     * @param {Function} callback - Optionele callback, aangeroepen zodra het bericht is verstuurd
+     * @param {string} version - Protocol versie (default: 'v1')
+     * @returns {Promise} Resolved zodra het bericht is verstuurd
+     */
+    function notifyApp(action, data, callback, version) {
+      return resolveLocal(function() {
+        postToApp({
+          action: action,
+          version: version || DEFAULT_VERSION,
+          data: data
+        });
+      }, callback);
+    }
+
+    /**
+     * Bepaal welke acties en protocol versies de host ondersteunt
+     * Eerst via een bridge.handshake bericht; antwoordt de host daar niet op,
+     * dan worden de side-effect vrije acties afzonderlijk geprobed.
+     * Het resultaat wordt per sessie gecached (geheugen + sessionStorage).
+     *
+     * @param {boolean} refresh - Negeer de cache en probe opnieuw
+     * @returns {Promise} Resolved met {runtime, handshake, versions, actions}
+     */
+    function getCapabilities(refresh) {
+      if (capabilitiesPromise && !refresh) {
+        return capabilitiesPromise;
+      }
+
+      var cached = !refresh && readCachedCapabilities();
+      if (cached) {
+        knownCapabilities = cached;
+        capabilitiesPromise = Promise.resolve(cached);
+        return capabilitiesPromise;
+      }
+
+      // In NoRuntime mode is er geen host: alles gebeurt lokaal
+      if (runtime === 'NoRuntime') {
+        capabilitiesPromise = Promise.resolve({
+          runtime: 'NoRuntime',
+          handshake: false,
+          versions: [],
+          actions: {}
+        });
+        return capabilitiesPromise;
+      }
+
+      knownCapabilities = null;
+      capabilitiesPromise = callApp('bridge.handshake', {
+        versions: SUPPORTED_VERSIONS,
+        actions: KNOWN_ACTIONS
+      }, null, null, { timeout: PROBE_TIMEOUT, retries: 0, silent: true }).then(function(reply) {
+        return capabilitiesFromHandshake(reply || {});
+      }, probeActions).then(function(capabilities) {
+        try {
+          window.sessionStorage.setItem(CAPABILITIES_KEY, JSON.stringify(capabilities));
+        } catch (e) {
+          // sessionStorage niet beschikbaar: alleen in geheugen cachen
+        }
+        knownCapabilities = capabilities;
+        return capabilities;
+      });
+
+      return capabilitiesPromise;
+    }
+
+    /**
+     * Lees gecachte capabilities uit sessionStorage (alleen voor de huidige runtime)
+     *
+     * @returns {Object|null} Het capabilities object of null
+     */
+    function readCachedCapabilities() {
+      try {
+        var cached = JSON.parse(window.sessionStorage.getItem(CAPABILITIES_KEY));
+        return cached && cached.runtime === runtime ? cached : null;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    /**
+     * Zet het handshake antwoord van de host om naar een capabilities object
+     * De host antwoordt met {versions: [...], actions: {actie: versie(s)}} of {actions: [acties]}
+     *
+     * @param {Object} reply - Het handshake antwoord
+     * @returns {Object} Capabilities object
+     */
+    function capabilitiesFromHandshake(reply) {
+      var hostVersions = reply.versions || [DEFAULT_VERSION];
+      var versions = SUPPORTED_VERSIONS.filter(function(version) {
+        return hostVersions.indexOf(version) !== -1;
+      });
+      var actions = {};
+
+      KNOWN_ACTIONS.forEach(function(action) {
+        var offered = Array.isArray(reply.actions)
+          ? (reply.actions.indexOf(action) !== -1 ? versions : [])
+          : [].concat((reply.actions || {})[action] || []);
+        // Kies de nieuwste versie die zowel de bridge als de host spreekt
+        actions[action] = versions.filter(function(version) {
+          return offered.indexOf(version) !== -1;
+        }).pop() || null;
+      });
+
+      return {
+        runtime: runtime,
+        handshake: true,
+        versions: versions,
+        actions: actions
+      };
+    }
+
+    /**
+     * Probe elke side-effect vrije actie afzonderlijk (zonder handshake)
+     * Gedocumenteerde acties uit de STQRY handler gelden als ondersteund,
+     * acties met side effects die niet geprobed kunnen worden als niet ondersteund.
+     *
+     * @returns {Promise} Resolved met een capabilities object
+     */
+    function probeActions() {
+      var actions = {};
+
+      var probes = KNOWN_ACTIONS.map(function(action) {
+        actions[action] = null;
+        if (DOCUMENTED_ACTIONS.indexOf(action) !== -1) {
+          actions[action] = DEFAULT_VERSION;
+          return null;
+        }
+        if (PROBE_ACTIONS.indexOf(action) === -1) {
+          return null;
+        }
+        return callApp(action, {}, null, null, { timeout: PROBE_TIMEOUT, retries: 0, silent: true }).then(function() {
+          actions[action] = DEFAULT_VERSION;
+        }, function() {
+          actions[action] = null;
+        });
+      });
+
+      return Promise.all(probes).then(function() {
+        return {
+          runtime: runtime,
+          handshake: false,
+          versions: [DEFAULT_VERSION],
+          actions: actions
+        };
+      });
+    }
+
+    /**
+     * Roep een actie met lokale fallback aan op basis van de capabilities van de host:
+     * ondersteunde acties gaan naar de host (met de onderhandelde versie),
+     * niet-ondersteunde acties gebruiken direct de fallback.
+     *
+     * @param {string} action - De actie naam
+     * @param {Object} data - De data payload
+     * @param {Function} callback - Optionele legacy callback
+     * @param {Function} fallback - Lokale implementatie, de return waarde is het resultaat
+     * @param {Object} options - Optionele callApp instellingen voor deze call
+     * @returns {Promise} Resolved met het resultaat van de host of de fallback
+     */
+    function callAppWithFallback(action, data, callback, fallback, options) {
+      return withCallback(getCapabilities().then(function(capabilities) {
+        var version = capabilities.actions[action];
+        if (!version) {
+          return fallback();
+        }
+        // De host kent de actie: wacht de volledige timeout af in plaats van de fallback timeout
+        return callApp(action, data, null, fallback, Object.assign({
+          version: version,
+          timeout: bridgeConfig.timeout
+        }, options));
+      }), callback);
+    }
+
+    /**
+     * Lees de outbox met nog niet afgeleverde storage mutaties uit localStorage
+     *
+     * @returns {Array} Lijst van {id, action, data, queuedAt} entries, oudste eerst
+     */
+    function readOutbox() {
+      try {
+        var stored = localStore.getItem(OUTBOX_KEY);
+        return stored ? JSON.parse(stored) : [];
+      } catch (e) {
+        return [];
+      }
+    }
+
+    /**
+     * Schrijf de outbox terug naar localStorage
+     *
+     * @param {Array} outbox - De volledige lijst van entries
+     */
+    function writeOutbox(outbox) {
+      try {
+        if (outbox.length) {
+          localStore.setItem(OUTBOX_KEY, JSON.stringify(outbox));
+        } else {
+          localStore.removeItem(OUTBOX_KEY);
+        }
+        return true;
+      } catch (e) {
+        console.error('Fout bij opslaan outbox:', e);
+        return false;
+      }
+    }
+
+    /**
+     * Zet een storage mutatie in de outbox en start het afleveren bij de host
+     * Mutaties worden in volgorde afgeleverd; opeenvolgende set/remove op dezelfde
+     * storageKey worden samengevoegd tot één entry.
+     *
+     * @param {string} action - 'storage.set' of 'storage.remove'
+     * @param {Object} data - De data payload (met storageKey)
+     * @param {Function} callback - Optionele legacy callback, aangeroepen na aflevering
+     * @param {Object} options - Optionele callApp instellingen voor de eerste poging
+     * @returns {Promise} Resolved zodra de host de mutatie bevestigt; rejected met een
+     *                    TimeoutError (met queued: true) als de host niet antwoordt,
+     *                    de mutatie blijft dan in de outbox staan. Rejected met een
+     *                    StorageError als de outbox zelf niet kan worden opgeslagen.
+     */
+    function queueWrite(action, data, callback, options) {
+      var outbox = readOutbox();
+      var tail = outbox[outbox.length - 1];
+      var entry;
+
+      var isPending = function(candidate) {
+        return candidate && !candidate.inFlight && candidate.id !== outboxInFlightId &&
+          candidate.data.storageKey === data.storageKey;
+      };
+
+      if (action === 'storage.set' && isPending(tail) && tail.action === 'storage.set') {
+        // Opeenvolgende sets: voeg de changesets samen (laatste waarde wint)
+        Object.assign(tail.data.changeset, data.changeset);
+        entry = tail;
+      } else if (action === 'storage.remove' && isPending(tail) && tail.action === 'storage.remove') {
+        // Opeenvolgende removes: combineer de keys
+        data.keys.forEach(function(key) {
+          if (tail.data.keys.indexOf(key) === -1) {
+            tail.data.keys.push(key);
+          }
+        });
+        entry = tail;
+      } else {
+        entry = {
+          id: Date.now().toString(36) + '-' + (++lastOutboxId),
+          action: action,
+          data: data,
+          queuedAt: currentTime()
+        };
+        outbox.push(entry);
+      }
+
+      // Zonder outbox in localStorage zou de mutatie de host nooit bereiken
+      if (!writeOutbox(outbox)) {
+        var err = new StorageError('Storage mutatie kon niet in de outbox worden bewaard', action);
+        return withCallback(Promise.reject(err), callback);
+      }
+
+      // Meld de wijziging direct aan watchers, net als storage.get wachtende mutaties toont
+      if (watchSnapshots[data.storageKey]) {
+        notifyStorageWatchers(data.storageKey, applyMutation(Object.assign({}, watchSnapshots[data.storageKey]), {
+          action: action,
+          data: data
+        }), 'local');
+      }
+
+      var promise = new Promise(function(resolve, reject) {
+        outboxWaiters[entry.id] = (outboxWaiters[entry.id] || []).concat({
+          resolve: resolve,
+          reject: reject,
+          options: options
+        });
+      });
+
+      flushOutbox();
+      return withCallback(promise, callback);
+    }
+
+    /**
+     * Lever de outbox in volgorde af bij de host
+     * Alleen de leader tab levert af (ook mutaties van andere tabs); andere tabs melden
+     * nieuwe mutaties aan de leader en horen via de transport wanneer ze zijn afgeleverd.
+     * Stopt bij een timeout (de host is weg) en gaat verder bij de volgende trigger:
+     * een nieuwe mutatie, een antwoord van de host, 'online' of 'visibilitychange'.
+     * Mutaties die de host afwijst worden verwijderd. Een timeout telt alleen als onbeantwoorde
+     * poging als de host intussen andere calls wel beantwoordde (een app op de achtergrond of een
+     * herladende WebView is gewoon weg); na OUTBOX_MAX_UNANSWERED van die pogingen of na
+     * OUTBOX_MAX_AGE wordt de mutatie opgegeven, zodat hij de rest niet blokkeert.
+     */
+    function flushOutbox() {
+      if (runtime === 'NoRuntime') {
+        return;
+      }
+      if (!isLeader) {
+        if (readOutbox().length) {
+          sendToTabs('outbox.changed');
+        }
+        return;
+      }
+      if (outboxInFlightId) {
+        return;
+      }
+
+      var outbox = readOutbox();
+      var entry = outbox[0];
+      if (!entry) {
+        return;
+      }
+
+      // Markeer de entry als onderweg, zodat andere tabs er geen mutaties meer in samenvoegen
+      entry.inFlight = true;
+      entry.attempts = (entry.attempts || 0) + 1;
+      writeOutbox(outbox);
+
+      var waiters = outboxWaiters[entry.id] || [];
+      var options = waiters.length ? waiters[0].options : null;
+      outboxInFlightId = entry.id;
+      if (!outboxAnswerMarks.hasOwnProperty(entry.id)) {
+        outboxAnswerMarks[entry.id] = hostAnswers;
+      }
+
+      // Een onbereikbare host is normaal voor de outbox: wel onError, geen waarschuwing in de console
+      callApp(entry.action, entry.data, null, null, Object.assign({}, options, {
+        onError: (options && options.onError) || bridgeConfig.onError || function() {}
+      })).then(function(value) {
+        // De outbox is intussen weggegooid (consent.forget): deze entry telt niet meer
+        if (outboxInFlightId !== entry.id) {
+          return;
+        }
+        finishOutboxEntry(entry.id, null, value);
+        outboxReplayed++;
+
+        if (readOutbox().length) {
+          flushOutbox();
+        } else {
+          // Alles afgeleverd: laat deze en de andere tabs weten dat de app storage weer synchroon is
+          window.dispatchEvent(new CustomEvent('stqryStorageSynced', {
+            detail: { replayed: outboxReplayed }
+          }));
+          sendToTabs('outbox.synced', { replayed: outboxReplayed });
+          outboxReplayed = 0;
+        }
+      }, function(err) {
+        if (outboxInFlightId !== entry.id) {
+          return;
+        }
+        if (err instanceof TimeoutError) {
+          // Antwoordde de host sinds de vorige poging op andere calls, dan negeert hij deze mutatie
+          var ignored = hostAnswers > outboxAnswerMarks[entry.id];
+          outboxAnswerMarks[entry.id] = hostAnswers;
+          entry.unanswered = (entry.unanswered || 0) + (ignored ? 1 : 0);
+
+          if (entry.unanswered >= OUTBOX_MAX_UNANSWERED || currentTime() - entry.queuedAt > OUTBOX_MAX_AGE) {
+            // De host bevestigt deze mutatie niet (bijv. een actie die de app niet kent): geef hem op
+            var dropped = new TimeoutError(entry.unanswered >= OUTBOX_MAX_UNANSWERED ?
+              'Storage mutatie opgegeven na ' + entry.unanswered + ' pogingen zonder antwoord: ' + entry.action :
+              'Storage mutatie opgegeven, na ' + OUTBOX_MAX_AGE / 3600000 + ' uur niet bevestigd: ' + entry.action,
+              entry.action);
+            console.warn('STQRY outbox:', dropped.message);
+            finishOutboxEntry(entry.id, dropped);
+            flushOutbox();
+            return;
+          }
+
+          // Host onbereikbaar: entry blijft staan, callers horen dat hun mutatie in de wachtrij staat
+          outboxInFlightId = null;
+          writeOutbox(readOutbox().map(function(candidate) {
+            delete candidate.inFlight;
+            if (candidate.id === entry.id) {
+              candidate.unanswered = entry.unanswered;
+            }
+            return candidate;
+          }));
+          err.queued = true;
+          rejectOutboxWaiters(err);
+          sendToTabs('outbox.timeout', { error: serializeError(err) });
+          return;
+        }
+
+        // De host wijst de mutatie af: opnieuw versturen heeft geen zin
+        finishOutboxEntry(entry.id, err);
+        flushOutbox();
+      });
+    }
+
+    /**
+     * Verwijder een entry uit de outbox en settle de Promises die erop wachten,
+     * in deze tab en (via de transport) in de tab die de mutatie heeft gedaan
+     *
+     * @param {string} id - ID van de entry
+     * @param {Error|null} err - De fout, of null bij succes
+     * @param {*} value - Het antwoord van de host bij succes
+     */
+    function finishOutboxEntry(id, err, value) {
+      writeOutbox(readOutbox().filter(function(entry) {
+        return entry.id !== id;
+      }));
+      outboxInFlightId = null;
+      delete outboxAnswerMarks[id];
+
+      settleOutboxWaiters(id, err, value);
+      sendToTabs('outbox.done', {
+        id: id,
+        error: err ? serializeError(err) : null,
+        value: value
+      });
+    }
+
+    /**
+     * Settle de Promises in deze tab die op één outbox entry wachten
+     *
+     * @param {string} id - ID van de entry
+     * @param {Error|null} err - De fout, of null bij succes
+     * @param {*} value - Het antwoord van de host bij succes
+     */
+    function settleOutboxWaiters(id, err, value) {
+      (outboxWaiters[id] || []).forEach(function(waiter) {
+        if (err) {
+          waiter.reject(err);
+        } else {
+          waiter.resolve(value);
+        }
+      });
+      delete outboxWaiters[id];
+    }
+
+    /**
+     * Wijs alle wachtende Promises in deze tab af, bijv. als de host niet antwoordt
+     *
+     * @param {Error} err - De fout (een TimeoutError met queued: true)
+     */
+    function rejectOutboxWaiters(err) {
+      Object.keys(outboxWaiters).forEach(function(id) {
+        outboxWaiters[id].forEach(function(waiter) {
+          waiter.reject(err);
+        });
+      });
+      outboxWaiters = {};
+    }
+
+    /**
+     * Gooi de hele outbox weg en wijs de Promises af die erop wachten, ook in andere tabs
+     *
+     * @param {Error} err - De fout voor de wachtende callers
+     */
+    function discardOutbox(err) {
+      var ids = readOutbox().map(function(entry) {
+        return entry.id;
+      });
+      writeOutbox([]);
+      outboxInFlightId = null;
+      outboxAnswerMarks = {};
+      ids.forEach(function(id) {
+        sendToTabs('outbox.done', { id: id, error: serializeError(err), value: undefined });
+      });
+      rejectOutboxWaiters(err);
+    }
+
+    /**
+     * Pas wachtende outbox mutaties toe op data van de host, zodat storage.get
+     * ook schrijfacties toont die de host nog niet heeft ontvangen
+     *
+     * @param {Object} data - Storage object zoals de host het teruggaf
+     * @param {string} storageKey - De storageKey waarop de data betrekking heeft
+     * @returns {Object} Data inclusief wachtende mutaties
+     */
+    function applyOutbox(data, storageKey) {
+      return readOutbox().reduce(function(result, entry) {
+        return entry.data.storageKey === storageKey ? applyMutation(result, entry) : result;
+      }, Object.assign({}, data));
+    }
+
+    /**
+     * Pas één storage mutatie toe op een storage object
+     *
+     * @param {Object} data - Het storage object (wordt aangepast)
+     * @param {Object} mutation - {action, data} zoals in de outbox
+     * @returns {Object} Het resulterende storage object
+     */
+    function applyMutation(data, mutation) {
+      // storage.clear entries komen alleen nog uit de outbox van oudere bridge versies
+      if (mutation.action === 'storage.clear') {
+        return {};
+      }
+      if (mutation.action === 'storage.set') {
+        return Object.assign(data, mutation.data.changeset);
+      }
+      mutation.data.keys.forEach(function(key) {
+        delete data[key];
+      });
+      return data;
+    }
+
+    /**
+     * Kies het kanaal waarmee tabs en frames van dezelfde origin elkaar berichten sturen:
+     * BroadcastChannel, anders storage events via localStorage, anders niets (in-memory opslag
+     * wordt toch niet gedeeld)
+     *
+     * @returns {Object} Transport met type ('broadcast', 'storage' of 'memory') en send(message)
+     */
+    function createTransport() {
+      if (typeof window.BroadcastChannel === 'function') {
+        try {
+          var channel = new window.BroadcastChannel(TRANSPORT_CHANNEL);
+          channel.onmessage = function(e) {
+            receiveTransportMessage(e.data);
+          };
+          return {
+            type: 'broadcast',
+            send: function(message) {
+              channel.postMessage(message);
+            }
+          };
+        } catch (e) {
+          // BroadcastChannel geblokkeerd (bijv. opaque origin): val terug op storage events
+        }
+      }
+
+      if (!localStore.isMemory) {
+        return {
+          type: 'storage',
+          send: function(message) {
+            // Schrijven fired een storage event in alle andere tabs; direct weer
+            // verwijderen laat geen rommel achter in localStorage
+            try {
+              localStore.setItem(STORAGE_EVENT_KEY, JSON.stringify(message));
+              localStore.removeItem(STORAGE_EVENT_KEY);
+            } catch (e) {
+              console.error('Fout bij versturen naar andere tabs:', e);
+            }
+          }
+        };
+      }
+
+      return {
+        type: 'memory',
+        send: function() {}
+      };
+    }
+
+    /**
+     * Stuur een bericht naar de andere tabs en frames
+     *
+     * @param {string} type - Het berichttype (bijv. 'storage.updated', 'outbox.done')
+     * @param {Object} fields - Overige velden van het bericht
+     */
+    function sendToTabs(type, fields) {
+      if (transport) {
+        transport.send(Object.assign({ type: type, tabId: tabId, timestamp: Date.now() }, fields));
+      }
+    }
+
+    /**
+     * Verwerk een bericht van een andere tab of frame
+     *
+     * @param {Object} message - Het bericht zoals sendToTabs het verstuurde
+     */
+    function receiveTransportMessage(message) {
+      if (!message || message.tabId === tabId) {
+        return;
+      }
+
+      switch (message.type) {
+        case 'outbox.changed':
+          // Een andere tab heeft een mutatie in de outbox gezet: de leader levert hem af
+          if (isLeader) {
+            flushOutbox();
+          }
+          break;
+
+        case 'outbox.done':
+          // De leader heeft een mutatie van deze tab afgeleverd (of de host wees hem af)
+          settleOutboxWaiters(message.id, message.error ? reviveError(message.error) : null, message.value);
+          break;
+
+        case 'outbox.timeout':
+          rejectOutboxWaiters(reviveError(message.error));
+          break;
+
+        case 'outbox.synced':
+          window.dispatchEvent(new CustomEvent('stqryStorageSynced', {
+            detail: { replayed: message.replayed }
+          }));
+          break;
+
+        default:
+          // 'storage.updated', ook van oudere bridge versies die nog geen type meesturen
+          if (message.data) {
+            emitHostEvent('storage.updated', message.data, {
+              source: 'tab',
+              storageKey: message.storageKey || STORAGE_KEY
+            });
+          }
+      }
+    }
+
+    /**
+     * Zet een fout om naar een object dat via de transport verstuurd kan worden
+     */
+    function serializeError(err) {
+      return { name: err.name, message: err.message, action: err.action };
+    }
+
+    /**
+     * Maak een getypeerde fout terug uit een geserialiseerde fout
+     */
+    function reviveError(data) {
+      var types = { TimeoutError: TimeoutError, HostError: HostError, UnsupportedAction: UnsupportedAction };
+      var ErrorType = types[data.name] || HostError;
+      var err = new ErrorType(data.message, data.action);
+      if (ErrorType === TimeoutError) {
+        err.queued = true;
+      }
+      return err;
+    }
+
+    /**
+     * Start de leader election: precies één tab (of frame) levert de gedeelde outbox af
+     * Met de Web Locks API houdt de leader een lock vast tot de tab sluit; anders vernieuwt
+     * de leader elke LEADER_HEARTBEAT ms een claim in localStorage en neemt een andere tab
+     * het over als die claim verloopt. Met in-memory opslag is er niets te delen en is
+     * deze tab altijd leader.
+     */
+    function startLeaderElection() {
+      if (localStore.isMemory) {
+        becomeLeader();
+        return;
+      }
+
+      if (navigator.locks && navigator.locks.request) {
+        navigator.locks.request(LEADER_KEY, function() {
+          becomeLeader();
+          // Nooit resolven: de lock blijft van deze tab tot hij sluit
+          return new Promise(function() {});
+        }).catch(function() {
+          startLeaderHeartbeat();
+        });
+        return;
+      }
+
+      startLeaderHeartbeat();
+    }
+
+    /**
+     * Leader election via een claim met verloopdatum in localStorage
+     */
+    function startLeaderHeartbeat() {
+      var readClaim = function() {
+        try {
+          return JSON.parse(localStore.getItem(LEADER_KEY));
+        } catch (e) {
+          return null;
+        }
+      };
+
+      var tick = function() {
+        var claim = readClaim();
+        var now = Date.now();
+        if (!claim || claim.expires < now || claim.tabId === tabId) {
+          try {
+            localStore.setItem(LEADER_KEY, JSON.stringify({ tabId: tabId, expires: now + LEADER_TTL }));
+          } catch (e) {
+            // Schrijven mislukt: bij de volgende tick opnieuw
+          }
+        }
+
+        // Twee tabs die tegelijk claimen: de laatste schrijver wint, de ander ziet dat bij deze check
+        claim = readClaim();
+        if (claim && claim.tabId === tabId) {
+          if (!isLeader) {
+            becomeLeader();
+          }
+        } else {
+          isLeader = false;
+        }
+      };
+
+      tick();
+      setInterval(tick, LEADER_HEARTBEAT);
+
+      // Geef het leiderschap direct vrij, zodat een andere tab niet op de TTL hoeft te wachten
+      window.addEventListener('pagehide', function() {
+        var claim = readClaim();
+        if (claim && claim.tabId === tabId) {
+          localStore.removeItem(LEADER_KEY);
+        }
+      });
+    }
+
+    /**
+     * Deze tab is leader geworden: neem de outbox over
+     * Een entry die nog als onderweg gemarkeerd staat is van een vorige leader die is verdwenen.
+     */
+    function becomeLeader() {
+      isLeader = true;
+      writeOutbox(readOutbox().map(function(entry) {
+        delete entry.inFlight;
+        return entry;
+      }));
+      flushOutbox();
+    }
+
+    /**
+     * Verstuur een message object via het juiste kanaal afhankelijk van runtime
+     *
+     * @param {Object} message - Het volledige STQRY message object
+     * @throws {UntrustedParent} Als de origin van de parent niet vertrouwd is
+     * @throws {HostError} Als het bericht niet kon worden verstuurd (err.cause is de oorspronkelijke fout)
+     */
+    function postToApp(message) {
+      traceMessage('out', message);
+
+      // IFrame: alleen naar een vertrouwde origin, zodat een onbekende parent onze
+      // storage payloads niet kan meelezen
+      var targetOrigin = runtime === 'IFrame' ? getParentOrigin() : null;
+      if (runtime === 'IFrame' && !targetOrigin) {
+        throw new UntrustedParent('Parent origin is not trusted, message not sent: ' + message.action,
+          message.action);
+      }
+
+      try {
+        if (runtime === 'ReactNative') {
+          // React Native: gebruik de geïnjecteerde ReactNativeWebView.postMessage
+          window.ReactNativeWebView.postMessage(JSON.stringify(message));
+        } else if (runtime === 'IFrame') {
+          window.parent.postMessage(JSON.stringify(message), targetOrigin);
+        }
+      } catch (err) {
+        // Bijv. data die niet naar JSON kan of een kanaal dat weg is
+        var failed = new HostError('Message could not be sent: ' + message.action + ' (' + err.message + ')',
+          message.action);
+        failed.cause = err;
+        throw failed;
+      }
+      // Note: in NoRuntime mode roepen we postToApp niet aan, alles gebeurt lokaal
+    }
+
+    /**
+     * Check of de origin van een echte parent vertrouwd is
+     * De eigen origin is altijd vertrouwd (bijvoorbeeld mock-host.html op dezelfde server),
+     * maar alleen voor origins die zeker van de parent zijn: location.ancestorOrigins en
+     * message events van window.parent. Nooit voor document.referrer, dat na navigatie
+     * binnen het frame de vorige pagina is.
+     *
+     * @param {string} origin - De origin om te checken (bijv. 'https://25717.preview-us.stqry.es')
+     * @returns {boolean}
+     */
+    function isTrustedOrigin(origin) {
+      if (origin && origin !== 'null' && origin === window.location.origin) {
+        return true;
+      }
+      return matchesTrustedOrigins(origin);
+    }
+
+    /**
+     * Check of een origin overeenkomt met de geconfigureerde trustedOrigins
+     * Patronen mogen een * wildcard bevatten voor één of meer host labels,
+     * '*' alleen vertrouwt alle origins.
+     *
+     * @param {string} origin - De origin om te checken
+     * @returns {boolean}
+     */
+    function matchesTrustedOrigins(origin) {
+      return bridgeConfig.trustedOrigins.some(function(pattern) {
+        if (pattern === '*') {
+          return true;
+        }
+        var regex = new RegExp('^' + pattern.split('*').map(function(part) {
+          return part.replace(/[.?+^$|()[\]{}\\\/-]/g, '\\$&');
+        }).join('[^/]+') + '$');
+        return regex.test(origin);
+      });
+    }
+
+    /**
+     * Bepaal de origin van de parent frame, als die vertrouwd is
+     * Volgorde: location.ancestorOrigins (Chrome/Safari), een parent op dezelfde origin,
+     * de parent origin die eerder in deze sessie is gevonden en als laatste document.referrer.
+     * Een referrer wordt alleen met trustedOrigins vergeleken en daarna per sessie onthouden,
+     * zodat de parent ook na navigatie binnen het frame (page1 → page2) bekend blijft.
+     *
+     * @returns {string|null} De origin om als targetOrigin te gebruiken, of null
+     */
+    function getParentOrigin() {
+      var ancestors = window.location.ancestorOrigins;
+      if (ancestors && ancestors.length) {
+        if (isTrustedOrigin(ancestors[0])) {
+          return ancestors[0];
+        }
+      } else {
+        // Een parent op dezelfde origin is uit te lezen, een andere origin throwt
+        try {
+          if (window.parent.location.origin === window.location.origin) {
+            return window.location.origin;
+          }
+        } catch (e) {
+          // Parent op een andere origin
+        }
+
+        var cached = readParentOrigin();
+        if (cached && matchesTrustedOrigins(cached)) {
+          return cached;
+        }
+
+        var referrer = null;
+        try {
+          referrer = document.referrer ? new URL(document.referrer).origin : null;
+        } catch (e) {
+          // Ongeldige referrer, negeer
+        }
+        if (referrer && referrer !== window.location.origin && matchesTrustedOrigins(referrer)) {
+          rememberParentOrigin(referrer);
+          return referrer;
+        }
+      }
+      // Alleen als alle origins expliciet vertrouwd zijn mag de origin onbekend blijven
+      return bridgeConfig.trustedOrigins.indexOf('*') !== -1 ? '*' : null;
+    }
+
+    /**
+     * Lees de parent origin die eerder in deze sessie is gevonden
+     *
+     * @returns {string|null} De origin of null
+     */
+    function readParentOrigin() {
+      try {
+        return window.sessionStorage.getItem(PARENT_ORIGIN_KEY);
+      } catch (e) {
+        return null;
+      }
+    }
+
+    /**
+     * Onthoud de parent origin voor de rest van de sessie (ook voor volgende pagina's in het frame)
+     *
+     * @param {string} origin - De vertrouwde parent origin
+     */
+    function rememberParentOrigin(origin) {
+      if (origin === window.location.origin || readParentOrigin() === origin) {
+        return;
+      }
+      try {
+        window.sessionStorage.setItem(PARENT_ORIGIN_KEY, origin);
+      } catch (e) {
+        // sessionStorage niet beschikbaar: alleen de referrer van deze pagina telt
+      }
+    }
+
+    /**
+     * Check of een message event van de host afkomstig is
+     * - IFrame: alleen van window.parent en een vertrouwde origin
+     * - ReactNative: alleen van de WebView zelf (geen source of het eigen window)
+     * - NoRuntime: alleen berichten binnen hetzelfde window
+     *
+     * @param {MessageEvent} e - Het message event
+     * @returns {boolean}
+     */
+    function isFromHost(e) {
+      if (runtime === 'IFrame') {
+        if (e.source === window.parent && isTrustedOrigin(e.origin)) {
+          rememberParentOrigin(e.origin);
+          return true;
+        }
+        return false;
+      }
+      if (runtime === 'ReactNative') {
+        return !e.source || e.source === window;
+      }
+      return e.source === window;
+    }
+
+    /**
+     * Valideer de structuur van een inkomend STQRY bericht
+     *
+     * @param {*} message - Het geparste bericht
+     * @returns {boolean} true als het bericht aan het protocol voldoet
+     */
+    function isValidMessage(message) {
+      if (!message || typeof message !== 'object' || typeof message.action !== 'string') {
+        return false;
+      }
+      if (message.version !== undefined && typeof message.version !== 'string') {
+        return false;
+      }
+      if (message.action === 'callback') {
+        return (typeof message.callbackId === 'number' || typeof message.callbackId === 'string') &&
+          (message.args === undefined || Array.isArray(message.args)) &&
+          (message.error === undefined || typeof message.error === 'string');
+      }
+      if (OBJECT_DATA_ACTIONS.indexOf(message.action) !== -1) {
+        return message.data !== null && typeof message.data === 'object';
+      }
+      // Andere acties van de host mogen ook primitieve data sturen, bijv. language.changed met 'en'
+      return true;
+    }
+
+    /**
+     * Log een geweigerd bericht als debug logging aan staat
+     *
+     * @param {string} reason - Waarom het bericht is geweigerd
+     * @param {MessageEvent} e - Het message event
+     */
+    function warnRejected(reason, e) {
+      traceMessage('in', e.data, { rejected: reason, origin: e.origin });
+      if (bridgeConfig.debug) {
+        console.warn('STQRY Bridge: message rejected (' + reason + ') from', e.origin || '(no origin)', e.data);
+      }
+    }
+
+    /**
+     * Leg een bericht vast in de debug trace (alleen als tracing aan staat)
+     * Uitgaande berichten met een callbackId worden gekoppeld aan het callback
+     * antwoord, zodat de round-trip latency zichtbaar wordt.
+     *
+     * @param {string} direction - 'out' (naar de host) of 'in' (van de host)
+     * @param {*} message - Het bericht (object, of de ruwe data bij geweigerde berichten)
+     * @param {Object} extra - Extra velden, zoals {rejected: reden, origin}
+     */
+    function traceMessage(direction, message, extra) {
+      if (!debugTrace) {
+        return;
+      }
+
+      var entry = Object.assign({
+        id: ++lastTraceId,
+        time: Date.now(),
+        direction: direction,
+        action: message && message.action,
+        callbackId: message && message.callbackId,
+        message: message
+      }, extra);
+
+      if (entry.callbackId !== undefined && !entry.rejected) {
+        if (direction === 'out') {
+          // Bij retries telt de laatste poging
+          traceRequests[entry.callbackId] = entry;
+        } else if (traceRequests[entry.callbackId]) {
+          var request = traceRequests[entry.callbackId];
+          entry.requestAction = request.action;
+          entry.latency = entry.time - request.time;
+          request.latency = entry.latency;
+          delete traceRequests[entry.callbackId];
+        }
+      }
+
+      debugTrace.push(entry);
+      if (debugTrace.length > debugMaxEntries) {
+        debugTrace.shift();
+      }
+      if (debugOverlay) {
+        renderDebugOverlay();
+      }
+    }
+
+    /**
+     * Toon het debug overlay paneel met de trace, een filter en export knop
+     */
+    function showDebugOverlay() {
+      if (debugOverlay) {
+        return;
+      }
+      if (!document.body) {
+        // Script in <head>: wacht tot de body er is
+        document.addEventListener('DOMContentLoaded', showDebugOverlay);
+        return;
+      }
+
+      debugOverlay = document.createElement('div');
+      debugOverlay.setAttribute('data-stqry-debug', '');
+      debugOverlay.style.cssText = 'position:fixed;left:0;right:0;bottom:0;max-height:45vh;z-index:2147483647;' +
+        'display:flex;flex-direction:column;background:#111;color:#eee;font:11px monospace;' +
+        'box-shadow:0 -2px 8px rgba(0,0,0,0.4);';
+      debugOverlay.innerHTML =
+        '<div style="display:flex;gap:6px;padding:6px;background:#222;align-items:center;">' +
+          '<strong style="color:#FEC93B;">STQRY trace</strong>' +
+          '<input data-role="filter" placeholder="Filter (actie of tekst)" style="flex:1;font:inherit;padding:3px;">' +
+          '<button data-role="export" style="font:inherit;">Export</button>' +
+          '<button data-role="clear" style="font:inherit;">Wis</button>' +
+          '<button data-role="close" style="font:inherit;">×</button>' +
+        '</div>' +
+        '<div data-role="list" style="overflow-y:auto;padding:6px;white-space:pre-wrap;word-break:break-all;"></div>';
+      document.body.appendChild(debugOverlay);
+
+      debugOverlay.querySelector('[data-role="filter"]').addEventListener('input', renderDebugOverlay);
+      debugOverlay.querySelector('[data-role="export"]').addEventListener('click', function() {
+        stqry.debug.download();
+      });
+      debugOverlay.querySelector('[data-role="clear"]').addEventListener('click', function() {
+        stqry.debug.clear();
+      });
+      debugOverlay.querySelector('[data-role="close"]').addEventListener('click', hideDebugOverlay);
+
+      renderDebugOverlay();
+    }
+
+    /**
+     * Verwijder het debug overlay paneel
+     */
+    function hideDebugOverlay() {
+      if (debugOverlay && debugOverlay.parentNode) {
+        debugOverlay.parentNode.removeChild(debugOverlay);
+      }
+      debugOverlay = null;
+    }
+
+    /**
+     * Teken de (gefilterde) trace in het overlay paneel, nieuwste bovenaan
+     */
+    function renderDebugOverlay() {
+      if (!debugOverlay) {
+        return;
+      }
+      var filter = debugOverlay.querySelector('[data-role="filter"]').value.toLowerCase();
+      var list = debugOverlay.querySelector('[data-role="list"]');
+
+      list.textContent = (debugTrace || []).slice().reverse().map(function(entry) {
+        var line = new Date(entry.time).toLocaleTimeString() + ' ' +
+          (entry.direction === 'out' ? '→ ' : '← ') +
+          (entry.rejected ? '[rejected: ' + entry.rejected + '] ' : '') +
+          (entry.action || '?') +
+          (entry.callbackId !== undefined ? ' #' + entry.callbackId : '') +
+          (entry.latency !== undefined ? ' (' + entry.latency + 'ms)' : '') +
+          ' ' + (typeof entry.message === 'string' ? entry.message : JSON.stringify(entry.message));
+        return line;
+      }).filter(function(line) {
+        return !filter || line.toLowerCase().indexOf(filter) !== -1;
+      }).join('\n');
+    }
+
+    /**
+     * Registreer een handler voor een inkomende actie op de event bus
+     *
+     * @param {string} action - De actie naam, of '*' voor alle acties
+     * @param {Function} handler - Ontvangt (data, event) met event {action, source, message, storageKey}
+     * @returns {Function} Functie die de handler weer afmeldt
+     */
+    function onHostEvent(action, handler) {
+      (hostEventHandlers[action] = hostEventHandlers[action] || []).push(handler);
+      return function() {
+        offHostEvent(action, handler);
+      };
+    }
+
+    /**
+     * Meld een handler af van de event bus
+     *
+     * @param {string} action - De actie naam waarmee de handler is geregistreerd
+     * @param {Function} handler - De handler om af te melden (zonder handler: alle handlers)
+     */
+    function offHostEvent(action, handler) {
+      if (!hostEventHandlers[action]) {
+        return;
+      }
+      hostEventHandlers[action] = handler ? hostEventHandlers[action].filter(function(candidate) {
+        return candidate !== handler;
+      }) : [];
+    }
+
+    /**
+     * Lever een actie af aan de handlers op de event bus
+     * Eerst de handlers voor de actie zelf, daarna de '*' handlers.
+     *
+     * @param {string} action - De actie naam (bijv. 'storage.updated')
+     * @param {*} data - De data payload
+     * @param {Object} event - Context: {source: 'host'|'tab'|'local', message, storageKey}
+     */
+    function emitHostEvent(action, data, event) {
+      event = Object.assign({ action: action }, event);
+      var handlers = (hostEventHandlers[action] || []).concat(hostEventHandlers['*'] || []);
+
+      if (!handlers.length && bridgeConfig.debug) {
+        console.warn('STQRY Bridge: no handler for action', action, data);
+      }
+
+      handlers.forEach(function(handler) {
+        try {
+          handler(data, event);
+        } catch (err) {
+          console.error('Fout in handler voor ' + action + ':', err);
+        }
+      });
+    }
+
+    /**
+     * Verwerk inkomende berichten van parent context of andere tabs
+     * Wordt aangeroepen door de message event listeners
+     *
+     * @param {MessageEvent} e - Het message event met data property
+     */
+    function onMessage(e) {
+      var message;
+
+      // Accepteer alleen berichten van de host, zodat andere frames geen
+      // callbacks of storage updates kunnen vervalsen
+      if (!isFromHost(e)) {
+        warnRejected('untrusted source', e);
+        return;
+      }
+
+      // Parse het bericht (kan JSON string zijn of al een object)
+      try {
+        message = typeof e.data === 'string' ? JSON.parse(e.data) : e.data;
+      } catch (err) {
+        warnRejected('invalid JSON', e);
+        return; // Niet een geldig JSON bericht, negeer
+      }
+
+      // Valideer dat het bericht aan het STQRY protocol voldoet
+      if (!isValidMessage(message)) {
+        warnRejected('invalid message', e);
+        return;
+      }
+      traceMessage('in', message, { origin: e.origin });
+
+      // Verwerk callback responses van de parent
+      // De parent stuurt een 'callback' action terug met de callbackId en resultaat
+      if (message.action === 'callback' && message.callbackId) {
+        var pending = appCallbacks[message.callbackId];
+        if (pending) {
+          hostAnswers++;
+          // resolve/reject verwijderen de callback na gebruik (één keer gebruik)
+          if (message.error) {
+            // De parent meldt een fout: wijs de Promise af met een getypeerde fout
+            var ErrorType = message.code === 'unsupported' ? UnsupportedAction : HostError;
+            pending.reject(new ErrorType(message.error, pending.action));
+          } else {
+            // Settle de Promise en roep de callback aan met de meegestuurde argumenten
+            pending.resolve(message.args || []);
+          }
+        }
+
+        // De host antwoordt weer: lever eventueel wachtende mutaties af
+        flushOutbox();
+      }
+
+      // Alle andere acties die de host pusht gaan naar de event bus (stqry.on)
+      if (message.action !== 'callback') {
+        emitHostEvent(message.action, message.data, {
+          source: 'host',
+          message: message
+        });
+      }
+    }
+
+    // Registreer message listeners voor inkomende berichten
+    // window.addEventListener vangt postMessage events op van parent/opener
+    window.addEventListener('message', onMessage);
+    // document.addEventListener is voor React Native compatibility
+    document.addEventListener('message', onMessage);
+
+    /**
+     * Registreer een watcher voor één of meer keys binnen een storageKey
+     * Bij de eerste watcher op een storageKey wordt een snapshot van de huidige
+     * data gemaakt, zodat volgende updates als diff per key kunnen worden gemeld.
+     *
+     * @param {string|string[]} key - De key of keys om te volgen
+     * @param {Function} handler - Ontvangt {key, oldValue, newValue, source, storageKey}
+     * @param {string} storageKey - De storageKey waarbinnen de keys vallen
+     * @returns {Function} Functie die de watcher weer afmeldt
+     */
+    function addStorageWatcher(key, handler, storageKey) {
+      var watcher = {
+        keys: toKeys(key) || [],
+        handler: handler,
+        storageKey: storageKey
+      };
+
+      if (!watchSnapshots[storageKey]) {
+        if (runtime === 'NoRuntime') {
+          watchSnapshots[storageKey] = getStoredData(storageKey);
+        } else {
+          // Host data komt asynchroon binnen; tot dan geldt een lege snapshot
+          watchSnapshots[storageKey] = {};
+          stqry.storage.get(null, null, storageKey).then(function(data) {
+            if (watchSnapshots[storageKey]) {
+              watchSnapshots[storageKey] = Object.assign({}, data, watchSnapshots[storageKey]);
+            }
+          }, function() {});
+        }
+      }
+      storageWatchers.push(watcher);
+
+      return function() {
+        storageWatchers = storageWatchers.filter(function(candidate) {
+          return candidate !== watcher;
+        });
+        var watched = storageWatchers.some(function(candidate) {
+          return candidate.storageKey === storageKey;
+        });
+        if (!watched) {
+          delete watchSnapshots[storageKey];
+        }
+      };
+    }
+
+    /**
+     * Vergelijk nieuwe storage data met de snapshot en meld gewijzigde keys aan de watchers
+     *
+     * @param {string} storageKey - De storageKey waarvan de data is gewijzigd
+     * @param {Object} data - De volledige nieuwe data
+     * @param {string} source - 'local' (deze pagina), 'tab' (andere tab) of 'host' (de app)
+     */
+    function notifyStorageWatchers(storageKey, data, source) {
+      var previous = watchSnapshots[storageKey];
+      if (!previous) {
+        return; // Geen watchers voor deze storageKey
+      }
+      data = data || {};
+      watchSnapshots[storageKey] = Object.assign({}, data);
+
+      storageWatchers.forEach(function(watcher) {
+        if (watcher.storageKey !== storageKey) {
+          return;
+        }
+        watcher.keys.forEach(function(key) {
+          if (JSON.stringify(previous[key]) === JSON.stringify(data[key])) {
+            return;
+          }
+          try {
+            watcher.handler({
+              key: key,
+              oldValue: previous[key],
+              newValue: data[key],
+              source: source,
+              storageKey: storageKey
+            });
+          } catch (err) {
+            console.error('Fout in storage watcher voor key ' + key + ':', err);
+          }
+        });
+      });
+    }
+
+    /**
+     * Voer een read-modify-write uit op één key, zonder dat andere updates ertussen komen
+     * Updates per storageKey worden in deze pagina in volgorde uitgevoerd; in NoRuntime mode
+     * beschermt daarnaast een lock de data tegen gelijktijdige updates uit andere tabs.
+     *
+     * @param {Object} storage - De stqry.storage API
+     * @param {string} storageKey - De storageKey waarin de key staat
+     * @param {string} key - De key om bij te werken
+     * @param {Function} fn - Krijgt de huidige waarde, retourneert de nieuwe waarde (of een Promise),
+     *                        undefined om de key te verwijderen of SKIP_UPDATE om niets te schrijven
+     * @returns {Promise} Resolved met {oldValue, newValue, changed}
+     */
+    function atomicUpdate(storage, storageKey, key, fn) {
+      var run = function() {
+        var task = function() {
+          return storage.get(key, null, storageKey).then(function(oldValue) {
+            return Promise.resolve(fn(oldValue)).then(function(newValue) {
+              if (newValue === SKIP_UPDATE) {
+                return { oldValue: oldValue, newValue: oldValue, changed: false };
+              }
+
+              var write;
+              if (newValue === undefined) {
+                write = storage.remove(key, null, storageKey);
+              } else {
+                var changeset = {};
+                changeset[key] = newValue;
+                write = storage.set(changeset, null, storageKey);
+              }
+              return write.then(function() {
+                return { oldValue: oldValue, newValue: newValue, changed: true };
+              });
+            });
+          });
+        };
+
+        return runtime === 'NoRuntime' ? withStorageLock(storageKey, task) : task();
+      };
+
+      var result = (atomicQueues[storageKey] || Promise.resolve()).then(run, run);
+      atomicQueues[storageKey] = result.catch(function() {});
+      return result;
+    }
+
+    /**
+     * Voer een taak uit terwijl deze tab de lock op een storageKey heeft
+     * Gebruikt de Web Locks API als die er is, anders een lock entry in localStorage
+     *
+     * @param {string} storageKey - De storageKey om te locken
+     * @param {Function} task - Functie die een Promise retourneert
+     * @returns {Promise} Resolved met het resultaat van task
+     */
+    function withStorageLock(storageKey, task) {
+      var name = LOCK_PREFIX + storageKey;
+
+      if (navigator.locks && navigator.locks.request) {
+        return navigator.locks.request(name, task);
+      }
+
+      return acquireLocalLock(name).then(function(release) {
+        return task().then(function(value) {
+          release();
+          return value;
+        }, function(err) {
+          release();
+          throw err;
+        });
+      });
+    }
+
+    /**
+     * Verkrijg een lock via localStorage: schrijf een token en controleer na een korte
+     * pauze of geen andere tab het tegelijk heeft overschreven. Een lock van een
+     * gecrashte tab verloopt na LOCK_TTL.
+     *
+     * @param {string} name - De localStorage key van de lock
+     * @returns {Promise} Resolved met een release functie, rejected met een TimeoutError of
+     *                    een StorageError als de lock niet in localStorage kan worden geschreven
+     */
+    function acquireLocalLock(name) {
+      var token = Date.now().toString(36) + Math.random().toString(36).slice(2);
+      var started = Date.now();
+
+      var readLock = function() {
+        try {
+          return JSON.parse(localStore.getItem(name));
+        } catch (e) {
+          return null;
+        }
+      };
+
+      var release = function() {
+        var current = readLock();
+        if (current && current.token === token) {
+          try {
+            localStore.removeItem(name);
+          } catch (e) {
+            // De lock verloopt vanzelf na LOCK_TTL
+          }
+        }
+      };
+
+      return new Promise(function(resolve, reject) {
+        var attempt = function() {
+          var current = readLock();
+          var now = Date.now();
+
+          if (!current || current.expires < now) {
+            try {
+              localStore.setItem(name, JSON.stringify({ token: token, expires: now + LOCK_TTL }));
+            } catch (failure) {
+              var err = new StorageError('Storage lock kon niet worden geschreven: ' + failure.message, 'storage.update');
+              err.quota = isQuotaError(failure);
+              err.cause = failure;
+              reject(err);
+              return;
+            }
+            setTimeout(function() {
+              var check = readLock();
+              if (check && check.token === token) {
+                resolve(release);
+              } else {
+                retry();
+              }
+            }, LOCK_SETTLE);
+            return;
+          }
+          retry();
+        };
+
+        var retry = function() {
+          if (Date.now() - started > LOCK_WAIT) {
+            reject(new TimeoutError('Storage lock not acquired: ' + name, 'storage.update'));
+            return;
+          }
+          // Willekeurige wachttijd zodat tabs niet steeds tegelijk proberen
+          setTimeout(attempt, LOCK_SETTLE + Math.random() * LOCK_SETTLE * 2);
+        };
+
+        attempt();
+      });
+    }
+
+    /**
+     * Lees de STQRY content context uit een URL
+     * Herkent paden als /tour/57959/item/395298 en de demo / show-detail-modal flags.
+     *
+     * @param {string} url - Absolute of relatieve URL
+     * @returns {Object} Context met collectionType, collectionId, itemId, demo, showDetailModal en params
+     */
+    function parseContextUrl(url) {
+      var context = {
+        collectionType: null,
+        collectionId: null,
+        itemId: null,
+        demo: false,
+        showDetailModal: false,
+        params: {}
+      };
+      var parsed;
+
+      try {
+        parsed = new URL(url, window.location.href);
+      } catch (e) {
+        return context;
+      }
+
+      var segments = parsed.pathname.split('/').filter(Boolean);
+      for (var i = 0; i < segments.length - 1; i++) {
+        if (!/^\d+$/.test(segments[i + 1])) {
+          continue;
+        }
+        if (segments[i] === 'item') {
+          context.itemId = Number(segments[i + 1]);
+        } else if (INTERNAL_LINK_SUBTYPES.indexOf(segments[i]) !== -1 && context.collectionId === null) {
+          context.collectionType = segments[i];
+          context.collectionId = Number(segments[i + 1]);
+        }
+      }
+
+      parsed.searchParams.forEach(function(value, name) {
+        context.params[name] = value;
+      });
+      context.demo = isFlagSet(context.params.demo);
+      context.showDetailModal = isFlagSet(context.params['show-detail-modal']);
+
+      return context;
+    }
+
+    /**
+     * Bepaal of een URL parameter als aan geldt ('?demo', '?demo=true', '?demo=1')
+     */
+    function isFlagSet(value) {
+      return value !== undefined && value !== 'false' && value !== '0';
+    }
+
+    /**
+     * Stel de context samen uit de beschikbare URLs
+     * De eerste URL met een collection of item bepaalt de IDs; flags tellen uit elke URL.
+     *
+     * @param {Array} urls - Kandidaat URLs, belangrijkste eerst
+     * @returns {Object} Context zoals stqry.context.get() die teruggeeft
+     */
+    function contextFromUrls(urls) {
+      var context = {
+        collectionAccountId: null,
+        collectionId: null,
+        collectionVersion: null,
+        collectionType: null,
+        itemId: null,
+        demo: false,
+        showDetailModal: false,
+        params: {},
+        source: 'url'
+      };
+
+      urls.filter(Boolean).forEach(function(url) {
+        var parsed = parseContextUrl(url);
+        if (context.collectionId === null && context.itemId === null &&
+            (parsed.collectionId !== null || parsed.itemId !== null)) {
+          context.collectionType = parsed.collectionType;
+          context.collectionId = parsed.collectionId;
+          context.itemId = parsed.itemId;
+        }
+        context.params = Object.assign({}, parsed.params, context.params);
+        context.demo = context.demo || parsed.demo;
+        context.showDetailModal = context.showDetailModal || parsed.showDetailModal;
+      });
+
+      if (context.params.collectionAccountId && /^\d+$/.test(context.params.collectionAccountId)) {
+        context.collectionAccountId = Number(context.params.collectionAccountId);
+      }
+
+      return context;
+    }
+
+    /**
+     * De namespaced store waarin stqry.progress de voortgang per tour bewaart
+     *
+     * @returns {Object} Store voor namespace 'progress' (storageKey 'stqryStorage:progress')
+     */
+    function getProgressStore() {
+      if (!progressStore) {
+        progressStore = stqry.storage.namespace(PROGRESS_NAMESPACE, { version: 1, category: 'personalization' });
+      }
+      return progressStore;
+    }
+
+    /**
+     * Bepaal voor welke tour (en welk item) een progress call geldt
+     * Ontbrekende IDs komen uit stqry.context.get().
+     *
+     * @param {Object} target - {collectionId, itemId}, beide optioneel
+     * @param {boolean} needsItem - true als er ook een itemId nodig is
+     * @returns {Promise} Resolved met {collectionId, itemId}
+     */
+    function resolveProgressTarget(target, needsItem) {
+      target = target || {};
+      var isKnown = function(value) {
+        return value !== null && value !== undefined;
+      };
+
+      var lookup = isKnown(target.collectionId) && (!needsItem || isKnown(target.itemId)) ?
+        Promise.resolve({}) : stqry.context.get();
+
+      return lookup.then(function(context) {
+        var resolved = {
+          collectionId: isKnown(target.collectionId) ? target.collectionId : context.collectionId,
+          itemId: isKnown(target.itemId) ? target.itemId : context.itemId
+        };
+        if (!isKnown(resolved.collectionId) || (needsItem && !isKnown(resolved.itemId))) {
+          throw new TypeError('stqry.progress: geen ' + (isKnown(resolved.collectionId) ? 'itemId' : 'collectionId') +
+            ' opgegeven en niet af te leiden uit de context');
+        }
+        return resolved;
+      });
+    }
+
+    /**
+     * Vul een opgeslagen tour record aan met de afgeleide velden
+     *
+     * @param {string|number} collectionId - De tour
+     * @param {Object} record - Het opgeslagen record, of undefined
+     * @returns {Object} Voortgang met visitedCount, percentage en completed
+     */
+    function summarizeProgress(collectionId, record) {
+      var progress = Object.assign({
+        collectionId: collectionId,
+        items: {},
+        itemIds: null,
+        totalItems: null,
+        lastItemId: null,
+        state: null,
+        startedAt: null,
+        updatedAt: null,
+        completedAt: null
+      }, record);
+
+      var visited = Object.keys(progress.items).filter(function(itemId) {
+        return !progress.itemIds || progress.itemIds.indexOf(String(itemId)) !== -1;
+      });
+
+      progress.visitedCount = visited.length;
+      progress.completed = !!progress.totalItems && visited.length >= progress.totalItems;
+      // Afronden naar 100 alleen als de tour echt compleet is (199 van 200 blijft 99)
+      progress.percentage = progress.totalItems ?
+        (progress.completed ? 100 : Math.min(99, Math.round(visited.length / progress.totalItems * 100))) : null;
+      return progress;
+    }
+
+    /**
+     * Werk het record van één tour atomair bij
+     *
+     * @param {string|number} collectionId - De tour
+     * @param {Function} fn - Krijgt het huidige record (of een leeg record) en past het aan
+     * @returns {Promise} Resolved met de bijgewerkte voortgang (zie summarizeProgress)
+     */
+    function updateProgress(collectionId, fn) {
+      var id = String(collectionId);
+      var now = Date.now();
+
+      return getProgressStore().update(PROGRESS_KEY, function(tours) {
+        tours = Object.assign({}, tours);
+        var record = Object.assign({ collectionId: collectionId, items: {}, startedAt: now }, tours[id]);
+        record.items = Object.assign({}, record.items);
+
+        fn(record, now);
+
+        record.visitorId = getVisitorId();
+        record.updatedAt = now;
+        var summary = summarizeProgress(collectionId, record);
+        if (summary.completed && !record.completedAt) {
+          record.completedAt = now;
+        }
+        tours[id] = record;
+        return tours;
+      }).then(function(tours) {
+        return summarizeProgress(collectionId, tours[id]);
+      });
+    }
+
+    /**
+     * Lees de analytics buffer uit localStorage
+     *
+     * @returns {Array} Nog niet afgeleverde events, oudste eerst
+     */
+    function readAnalyticsBuffer() {
+      try {
+        var stored = localStore.getItem(ANALYTICS_BUFFER_KEY);
+        return stored ? JSON.parse(stored) : [];
+      } catch (e) {
+        return [];
+      }
+    }
+
+    /**
+     * Schrijf de analytics buffer terug, begrensd op analyticsConfig.maxBuffer (oudste vallen eraf)
+     *
+     * @param {Array} buffer - De volledige lijst van events
+     * @returns {boolean} false als de buffer niet kon worden opgeslagen
+     */
+    function writeAnalyticsBuffer(buffer) {
+      try {
+        buffer = buffer.slice(-analyticsConfig.maxBuffer);
+        if (buffer.length) {
+          localStore.setItem(ANALYTICS_BUFFER_KEY, JSON.stringify(buffer));
+        } else {
+          localStore.removeItem(ANALYTICS_BUFFER_KEY);
+        }
+        return true;
+      } catch (e) {
+        console.error('Fout bij opslaan analytics buffer:', e);
+        return false;
+      }
+    }
+
+    /**
+     * Bepaal of deze sessie in de sample valt
+     * De trekking wordt per sessie bewaard, zodat een sessie volledig wel of niet meetelt.
+     *
+     * @returns {boolean} true als events van deze sessie verstuurd worden
+     */
+    function isAnalyticsSampled() {
+      if (analyticsConfig.sampleRate >= 1) {
+        return true;
+      }
+      var draw;
+      try {
+        draw = parseFloat(window.sessionStorage.getItem(ANALYTICS_SAMPLE_KEY));
+        if (isNaN(draw)) {
+          draw = Math.random();
+          window.sessionStorage.setItem(ANALYTICS_SAMPLE_KEY, String(draw));
+        }
+      } catch (e) {
+        draw = Math.random();
+      }
+      return draw < analyticsConfig.sampleRate;
+    }
+
+    /**
+     * Haal de gegevens op waarmee elk event wordt verrijkt (eenmaal per pagina, opnieuw na een taalwissel)
+     *
+     * @returns {Promise} Resolved met {runtime, device, language, userId, visitorId, context}
+     */
+    function getAnalyticsEnrichment() {
+      if (!analyticsEnrichment) {
+        var settle = function(promise) {
+          return promise.then(null, function() {
+            return null;
+          });
+        };
+
+        analyticsEnrichment = Promise.all([
+          settle(stqry.device.get()),
+          settle(stqry.language.get()),
+          settle(stqry.user.get()),
+          settle(stqry.context.get())
+        ]).then(function(results) {
+          var context = results[3];
+          return {
+            runtime: runtime,
+            device: results[0],
+            language: results[1],
+            userId: results[2] ? results[2].id : null,
+            visitorId: results[2] ? results[2].visitorId : null,
+            context: context ? {
+              collectionAccountId: context.collectionAccountId,
+              collectionId: context.collectionId,
+              itemId: context.itemId,
+              demo: context.demo
+            } : null
+          };
+        });
+      }
+      return analyticsEnrichment;
+    }
+
+    /**
+     * Lees de opt-out vlag (bewaard via stqry.storage in de namespace 'analytics')
+     *
+     * @returns {Promise} Resolved met true als de bezoeker analytics heeft uitgezet
+     */
+    function isAnalyticsOptedOut() {
+      if (analyticsOptOut === null) {
+        analyticsOptOut = getAnalyticsStore().get('optOut').then(function(value) {
+          return value === true;
+        }, function() {
+          return false;
+        });
+      }
+      return analyticsOptOut;
+    }
+
+    /**
+     * De namespaced store voor analytics instellingen
+     *
+     * @returns {Object} Store voor namespace 'analytics' (storageKey 'stqryStorage:analytics')
+     */
+    function getAnalyticsStore() {
+      if (!analyticsStore) {
+        analyticsStore = stqry.storage.namespace(ANALYTICS_NAMESPACE, { version: 1 });
+      }
+      return analyticsStore;
+    }
+
+    /**
+     * Plan een flush van de analytics buffer na analyticsConfig.flushInterval
+     */
+    function scheduleAnalyticsFlush() {
+      if (analyticsFlushTimer) {
+        return;
+      }
+      analyticsFlushTimer = setTimeout(function() {
+        analyticsFlushTimer = null;
+        flushAnalytics();
+      }, analyticsConfig.flushInterval);
+    }
+
+    /**
+     * Lever één batch events af bij de sink, de host of het HTTP endpoint
+     *
+     * @param {Array} events - De events om te versturen
+     * @returns {Promise} Resolved als de batch is afgeleverd, rejected als dat (nog) niet kan
+     */
+    function deliverAnalytics(events) {
+      if (analyticsConfig.sink) {
+        return Promise.resolve().then(function() {
+          return analyticsConfig.sink(events);
+        });
+      }
+
+      var viaHost = runtime === 'NoRuntime' ? Promise.resolve(null) :
+        getCapabilities().then(function(capabilities) {
+          return capabilities.actions[ANALYTICS_ACTION] || null;
+        });
+
+      return viaHost.then(function(version) {
+        if (version) {
+          return callApp(ANALYTICS_ACTION, { events: events }, null, null, { version: version, silent: true });
+        }
+        if (analyticsConfig.endpoint) {
+          return window.fetch(analyticsConfig.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ events: events }),
+            keepalive: true
+          }).then(function(response) {
+            if (!response.ok) {
+              throw new Error('Analytics endpoint antwoordde met status ' + response.status);
+            }
+          });
+        }
+        throw new Error('Geen analytics bestemming: configureer een sink of endpoint');
+      });
+    }
+
+    /**
+     * Verstuur de gebufferde events in batches van analyticsConfig.batchSize
+     * Afgeleverde events gaan uit de buffer; bij een fout blijft de rest staan voor een volgende poging.
+     *
+     * @returns {Promise} Resolved met het aantal afgeleverde events
+     */
+    function flushAnalytics() {
+      if (analyticsFlushing) {
+        return analyticsFlushing;
+      }
+      if (analyticsFlushTimer) {
+        clearTimeout(analyticsFlushTimer);
+        analyticsFlushTimer = null;
+      }
+
+      var delivered = 0;
+      var next = function() {
+        var batch = readAnalyticsBuffer().slice(0, analyticsConfig.batchSize);
+        if (!batch.length) {
+          return delivered;
+        }
+        return deliverAnalytics(batch).then(function() {
+          var ids = batch.map(function(event) {
+            return event.id;
+          });
+          writeAnalyticsBuffer(readAnalyticsBuffer().filter(function(event) {
+            return ids.indexOf(event.id) === -1;
+          }));
+          delivered += batch.length;
+          return next();
+        });
+      };
+
+      analyticsFlushing = next().then(function(count) {
+        analyticsFlushing = null;
+        return count;
+      }, function(err) {
+        analyticsFlushing = null;
+        if (bridgeConfig.debug) {
+          console.warn('STQRY Bridge: analytics flush mislukt:', err.message);
+        }
+        return delivered;
+      });
+      return analyticsFlushing;
+    }
+
+    /**
+     * Onthoud een gebruikte storageKey, zodat stqry.consent.forget() hem later kan wissen
+     *
+     * @param {string} storageKey - De storageKey waarin de bridge data schrijft
+     */
+    function rememberStorageKey(storageKey) {
+      var keys = readKnownStorageKeys();
+      if (keys.indexOf(storageKey) !== -1) {
+        return;
+      }
+      keys.push(storageKey);
+      try {
+        localStore.setItem(STORAGE_KEYS_KEY, JSON.stringify(keys));
+      } catch (e) {
+        // Zonder localStorage kent forget() alleen de default en bridge keys
+      }
+    }
+
+    /**
+     * Lees de lijst van storageKeys die de bridge ooit heeft beschreven
+     *
+     * @returns {Array} storageKeys, altijd inclusief de default storage key
+     */
+    function readKnownStorageKeys() {
+      var keys;
+      try {
+        keys = JSON.parse(localStore.getItem(STORAGE_KEYS_KEY)) || [];
+      } catch (e) {
+        keys = [];
+      }
+      return keys.indexOf(STORAGE_KEY) === -1 ? [STORAGE_KEY].concat(keys) : keys;
+    }
+
+    /**
+     * De namespaced store waarin het consent record staat
+     *
+     * @returns {Object} Store voor namespace 'consent' (storageKey 'stqryStorage:consent')
+     */
+    function getConsentStore() {
+      if (!consentStore) {
+        consentStore = stqry.storage.namespace(CONSENT_NAMESPACE, { version: 1 });
+      }
+      return consentStore;
+    }
+
+    /**
+     * Lees het consent record, gecached tot het wijzigt (ook vanuit andere tabs of de app)
+     *
+     * @returns {Promise} Resolved met {version, timestamp, categories} of null
+     */
+    function getConsentRecord() {
+      if (!consentRecord) {
+        var store = getConsentStore();
+        if (!consentUnwatch) {
+          consentUnwatch = store.watch(CONSENT_KEY, function(change) {
+            consentRecord = Promise.resolve(change.newValue || null);
+            if (change.source !== 'local') {
+              emitHostEvent('consent.changed', change.newValue || null, { source: change.source });
+            }
+          });
+        }
+        consentRecord = store.get(CONSENT_KEY).then(function(record) {
+          return record || null;
+        }, function() {
+          consentRecord = null;
+          return null;
+        });
+      }
+      return consentRecord;
+    }
+
+    /**
+     * Bepaal of er toestemming is voor een categorie
+     * Functionele opslag mag altijd, net als alles wanneer consentConfig.required uit staat.
+     *
+     * @param {string} category - 'functional', 'analytics' of 'personalization'
+     * @returns {Promise} Resolved met true of false
+     */
+    function hasConsent(category) {
+      if (category === 'functional' || !consentConfig.required) {
+        return Promise.resolve(true);
+      }
+      return getConsentRecord().then(function(record) {
+        return !!record && record.version >= consentConfig.version &&
+          !!record.categories && record.categories[category] === true;
+      });
+    }
+
+    /**
+     * Laat een schrijfactie alleen door als er toestemming is voor de categorie
+     *
+     * @param {string} category - De categorie van de data
+     * @param {string} action - De actie voor in de foutmelding (bijv. 'storage.set')
+     * @returns {Promise} Resolved als het mag, rejected met een ConsentRequired error als het niet mag
+     */
+    function requireConsent(category, action) {
+      return hasConsent(category).then(function(allowed) {
+        if (!allowed) {
+          var err = new ConsentRequired('Geen toestemming voor categorie ' + category, action);
+          err.category = category;
+          throw err;
+        }
+      });
+    }
+
+    /**
+     * Bepaal of een schrijfactie op een storageKey toestemming nodig heeft
+     * Geldt voor de storageKeys van niet-functionele namespaces, ook als die
+     * direct via stqry.storage met een customKey worden beschreven.
+     *
+     * @param {string} storageKey - De storageKey waarin wordt geschreven
+     * @param {string} action - De actie voor in de foutmelding (bijv. 'storage.set')
+     * @returns {Promise|null} null zonder gating, anders de Promise van requireConsent
+     */
+    function storageConsent(storageKey, action) {
+      var category = consentStorageKeys[storageKey];
+      if (!category || category === 'functional') {
+        return null;
+      }
+      return requireConsent(category, action);
+    }
+
+    /**
+     * Wis alle data van één storageKey, ook bij de host
+     *
+     * @param {string} storageKey - De storageKey om te wissen
+     * @returns {Promise} Resolved zodra de data is gewist
+     */
+    function forgetStorageKey(storageKey) {
+      return stqry.storage.clear(null, storageKey);
+    }
+
+    /**
+     * Bepaal de fallback keten voor een taal, bijv. 'nl-BE' → ['nl-BE', 'nl', 'en']
+     *
+     * @param {string} lang - Taal code
+     * @returns {Array} Taal codes in volgorde van voorkeur
+     */
+    function i18nChain(lang) {
+      var chain = [];
+      [lang, lang && lang.split('-')[0], i18nConfig.fallbackLanguage].forEach(function(candidate) {
+        if (candidate && chain.indexOf(candidate) === -1) {
+          chain.push(candidate);
+        }
+      });
+      return chain;
+    }
+
+    /**
+     * Laad de catalog van een taal via i18nConfig.loadPath (eenmalig per taal)
+     * Een ontbrekende catalog is geen fout: de fallback keten vangt dat op.
+     *
+     * @param {string} lang - Taal code
+     * @returns {Promise} Resolved zodra de catalog beschikbaar is (of niet bestaat)
+     */
+    function loadCatalog(lang) {
+      if (!i18nConfig.loadPath) {
+        return Promise.resolve();
+      }
+      if (!i18nLoading[lang]) {
+        i18nLoading[lang] = window.fetch(i18nConfig.loadPath.replace('{lang}', lang)).then(function(response) {
+          return response.ok ? response.json() : {};
+        }).then(function(messages) {
+          i18nCatalogs[lang] = Object.assign(messages, i18nCatalogs[lang]);
+        }, function(err) {
+          delete i18nLoading[lang];
+          if (bridgeConfig.debug) {
+            console.warn('STQRY Bridge: catalog voor ' + lang + ' niet geladen:', err.message);
+          }
+        });
+      }
+      return i18nLoading[lang];
+    }
+
+    /**
+     * Zoek een bericht in een catalog, plat ('quiz.title') of genest ({quiz: {title}})
+     *
+     * @param {Object} catalog - De catalog van één taal
+     * @param {string} key - De bericht key
+     * @returns {*} Het bericht, of undefined
+     */
+    function lookupMessage(catalog, key) {
+      if (!catalog) {
+        return undefined;
+      }
+      if (Object.prototype.hasOwnProperty.call(catalog, key)) {
+        return catalog[key];
+      }
+      return key.split('.').reduce(function(node, part) {
+        return node && typeof node === 'object' ? node[part] : undefined;
+      }, catalog);
+    }
+
+    /**
+     * Kies de meervoudsvorm en vul de parameters in
+     * Een bericht met meervoudsvormen is een object als {zero, one, few, many, other};
+     * params.count bepaalt de vorm via Intl.PluralRules.
+     *
+     * @param {string|Object} message - Het bericht
+     * @param {Object} params - Waarden voor {placeholders}
+     * @param {string} lang - De taal van het bericht (voor de meervoudsregels)
+     * @returns {string} De vertaalde tekst
+     */
+    function formatMessage(message, params, lang) {
+      params = params || {};
+
+      if (message && typeof message === 'object') {
+        var count = Number(params.count);
+        var form = 'other';
+        if (count === 0 && message.zero !== undefined) {
+          form = 'zero';
+        } else if (window.Intl && Intl.PluralRules) {
+          try {
+            form = new Intl.PluralRules(lang).select(count);
+          } catch (e) {
+            form = count === 1 ? 'one' : 'other';
+          }
+        } else {
+          form = count === 1 ? 'one' : 'other';
+        }
+        message = message[form] !== undefined ? message[form] : message.other;
+      }
+
+      return String(message).replace(/\{(\w+)\}/g, function(match, name) {
+        return params[name] !== undefined ? params[name] : match;
+      });
+    }
+
+    /**
+     * Vertaal een key in de huidige taal, langs de fallback keten
+     *
+     * @param {string} key - De bericht key
+     * @param {Object} params - Waarden voor {placeholders} en count
+     * @returns {string} De vertaling, of de key zelf als geen taal hem kent
+     */
+    function translateKey(key, params) {
+      var chain = i18nChain(i18nLanguage || i18nConfig.fallbackLanguage);
+      for (var i = 0; i < chain.length; i++) {
+        var message = lookupMessage(i18nCatalogs[chain[i]], key);
+        if (message !== undefined && message !== null) {
+          return formatMessage(message, params, chain[i]);
+        }
+      }
+      if (bridgeConfig.debug) {
+        console.warn('STQRY Bridge: geen vertaling voor', key, 'in', chain.join(' → '));
+      }
+      return key;
+    }
+
+    /**
+     * Vertaal alle elementen met data-i18n (tekst) of data-i18n-attr (attributen)
+     * data-i18n-params bevat optioneel JSON met parameters, bijv. '{"count": 3}'.
+     *
+     * @param {Element|Document} root - Het element waarbinnen vertaald wordt
+     */
+    function renderI18n(root) {
+      root = root || document;
+      var elements = Array.prototype.slice.call(root.querySelectorAll('[data-i18n], [data-i18n-attr]'));
+      if (root.nodeType === 1 && (root.hasAttribute('data-i18n') || root.hasAttribute('data-i18n-attr'))) {
+        elements.unshift(root);
+      }
+
+      elements.forEach(function(element) {
+        var params;
+        try {
+          params = JSON.parse(element.getAttribute('data-i18n-params') || '{}');
+        } catch (e) {
+          params = {};
+        }
+
+        var key = element.getAttribute('data-i18n');
+        if (key) {
+          element.textContent = translateKey(key, params);
+        }
+
+        // data-i18n-attr="placeholder:form.name; title:form.hint"
+        (element.getAttribute('data-i18n-attr') || '').split(';').forEach(function(pair) {
+          var parts = pair.split(':');
+          if (parts.length === 2 && parts[0].trim() && parts[1].trim()) {
+            element.setAttribute(parts[0].trim(), translateKey(parts[1].trim(), params));
+          }
+        });
+      });
+    }
+
+    /**
+     * Schakel i18n over naar een taal: laad de catalogs en vertaal de pagina opnieuw
+     *
+     * @param {string} lang - Taal code
+     * @returns {Promise} Resolved met de taal zodra de pagina is vertaald
+     */
+    function applyI18nLanguage(lang) {
+      i18nLanguage = lang;
+      i18nApplied = Promise.all(i18nChain(lang).map(loadCatalog)).then(function() {
+        // Een snellere, latere wissel heeft voorrang
+        if (i18nLanguage !== lang) {
+          return i18nLanguage;
+        }
+        document.documentElement.setAttribute('lang', lang);
+        if (i18nConfig.autoRender) {
+          renderI18n(document);
+        }
+        window.dispatchEvent(new CustomEvent('stqryI18nRendered', {
+          detail: { language: lang }
+        }));
+        return lang;
+      });
+      return i18nApplied;
+    }
+
+    /**
+     * Haal de taal uit de data van een language.changed actie
+     * De bridge stuurt {language}, een host kan ook alleen de taal code sturen.
+     *
+     * @param {Object|string} data - {language: 'en'} of 'en'
+     * @returns {string|undefined} De taal code
+     */
+    function changedLanguage(data) {
+      return typeof data === 'string' ? data : data && data.language;
+    }
+
+    /**
+     * Bepaal het besturingssysteem, via userAgentData waar beschikbaar
+     * Volgorde doet ertoe: Android-UA's bevatten 'Linux' en iOS-UA's 'Mac OS X'.
+     *
+     * @returns {string} 'Android', 'iOS', 'Windows', 'MacOS', 'ChromeOS', 'Linux' of 'Unknown'
+     */
+    function detectOs() {
+      var uaData = navigator.userAgentData;
+      if (uaData && uaData.platform) {
+        var platforms = {
+          'Android': 'Android',
+          'iOS': 'iOS',
+          'Windows': 'Windows',
+          'macOS': 'MacOS',
+          'Chrome OS': 'ChromeOS',
+          'Chromium OS': 'ChromeOS',
+          'Linux': 'Linux'
+        };
+        if (platforms[uaData.platform]) {
+          return platforms[uaData.platform];
+        }
+      }
+
+      var ua = navigator.userAgent;
+      if (/Android/.test(ua)) return 'Android';
+      if (/iPhone|iPad|iPod/.test(ua)) return 'iOS';
+      // iPadOS meldt zich als desktop Safari, maar heeft een touchscreen
+      if (/Macintosh/.test(ua) && navigator.maxTouchPoints > 1) return 'iOS';
+      if (/Windows/.test(ua)) return 'Windows';
+      if (/Mac OS X|Macintosh/.test(ua)) return 'MacOS';
+      if (/CrOS/.test(ua)) return 'ChromeOS';
+      if (/Linux/.test(ua)) return 'Linux';
+      return 'Unknown';
+    }
+
+    /**
+     * Bepaal de browser, via userAgentData waar beschikbaar
+     * Edge, Opera en Samsung Internet hebben ook 'Chrome' in hun UA, en Chrome ook 'Safari'.
+     *
+     * @returns {string} 'WebView', 'Edge', 'Opera', 'Samsung Internet', 'Firefox', 'Chrome', 'Safari' of 'Unknown'
+     */
+    function detectBrowser() {
+      var ua = navigator.userAgent;
+
+      // In-app webviews (zoals de STQRY app): Android markeert ze met 'wv', iOS laat 'Safari' weg
+      if (/; wv\)/.test(ua) || (/iPhone|iPad|iPod/.test(ua) && !/Safari\//.test(ua))) return 'WebView';
+
+      var uaData = navigator.userAgentData;
+      if (uaData && uaData.brands && uaData.brands.length) {
+        var brands = uaData.brands.map(function(brand) {
+          return brand.brand;
+        });
+        if (brands.indexOf('Microsoft Edge') !== -1) return 'Edge';
+        if (brands.indexOf('Opera') !== -1) return 'Opera';
+        if (brands.indexOf('Samsung Internet') !== -1) return 'Samsung Internet';
+        if (brands.indexOf('Google Chrome') !== -1 || brands.indexOf('Chromium') !== -1) return 'Chrome';
+      }
+
+      if (/Edg(e|A|iOS)?\//.test(ua)) return 'Edge';
+      if (/OPR\/|Opera/.test(ua)) return 'Opera';
+      if (/SamsungBrowser/.test(ua)) return 'Samsung Internet';
+      if (/Firefox|FxiOS/.test(ua)) return 'Firefox';
+      if (/Chrome|CriOS/.test(ua)) return 'Chrome';
+      if (/Safari/.test(ua)) return 'Safari';
+      return 'Unknown';
+    }
+
+    /**
+     * Test een media query (false als matchMedia niet bestaat)
+     */
+    function matchesMedia(query) {
+      return !!(window.matchMedia && window.matchMedia(query).matches);
+    }
+
+    /**
+     * Bepaal de schermoriëntatie
+     *
+     * @returns {string} 'portrait' of 'landscape'
+     */
+    function detectOrientation() {
+      if (window.screen && window.screen.orientation && window.screen.orientation.type) {
+        return window.screen.orientation.type.indexOf('portrait') === 0 ? 'portrait' : 'landscape';
+      }
+      if (window.matchMedia) {
+        return matchesMedia('(orientation: portrait)') ? 'portrait' : 'landscape';
+      }
+      return window.innerHeight >= window.innerWidth ? 'portrait' : 'landscape';
+    }
+
+    /**
+     * Lees de safe-area insets (notch, home indicator) in pixels via env(safe-area-inset-*)
+     * Werkt alleen met viewport-fit=cover in de viewport meta tag; anders zijn alle insets 0.
+     *
+     * @returns {Object} {top, right, bottom, left}
+     */
+    function detectSafeAreaInsets() {
+      var insets = { top: 0, right: 0, bottom: 0, left: 0 };
+      if (!document.body || !window.getComputedStyle) {
+        return insets;
+      }
+
+      if (!safeAreaProbe) {
+        safeAreaProbe = document.createElement('div');
+        safeAreaProbe.setAttribute('aria-hidden', 'true');
+        safeAreaProbe.style.cssText = 'position:fixed;visibility:hidden;pointer-events:none;top:0;left:0;' +
+          'padding:env(safe-area-inset-top) env(safe-area-inset-right) env(safe-area-inset-bottom) env(safe-area-inset-left);';
+      }
+      if (!safeAreaProbe.parentNode) {
+        document.body.appendChild(safeAreaProbe);
+      }
+
+      var style = window.getComputedStyle(safeAreaProbe);
+      Object.keys(insets).forEach(function(side) {
+        insets[side] = parseFloat(style['padding' + side.charAt(0).toUpperCase() + side.slice(1)]) || 0;
+      });
+      return insets;
+    }
+
+    /**
+     * Lees het netwerktype via de Network Information API (niet in Safari/Firefox)
+     *
+     * @returns {Object|null} {type, effectiveType, downlink, saveData}, of null als onbekend
+     */
+    function detectNetwork() {
+      var connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+      if (!connection) {
+        return null;
+      }
+      return {
+        type: connection.type || null,
+        effectiveType: connection.effectiveType || null,
+        downlink: connection.downlink !== undefined ? connection.downlink : null,
+        saveData: !!connection.saveData
+      };
+    }
+
+    /**
+     * Verzamel de lokale device informatie
+     *
+     * @returns {Object} Device info, zie stqry.device.get()
+     */
+    function getLocalDevice() {
+      var uaData = navigator.userAgentData;
+      var colorScheme = matchesMedia('(prefers-color-scheme: dark)') ? 'dark' : 'light';
+
+      return {
+        platform: navigator.platform,
+        userAgent: navigator.userAgent,
+        language: navigator.language,
+        online: navigator.onLine,
+        screenWidth: window.screen.width,
+        screenHeight: window.screen.height,
+        windowWidth: window.innerWidth,
+        windowHeight: window.innerHeight,
+        devicePixelRatio: window.devicePixelRatio || 1,
+        touchSupport: 'ontouchstart' in window || navigator.maxTouchPoints > 0,
+        os: detectOs(),
+        browser: detectBrowser(),
+        mobile: uaData && typeof uaData.mobile === 'boolean' ? uaData.mobile :
+          /Mobi|Android|iPhone|iPod/.test(navigator.userAgent),
+        orientation: detectOrientation(),
+        safeAreaInsets: detectSafeAreaInsets(),
+        colorScheme: colorScheme,
+        darkMode: colorScheme === 'dark',
+        reducedMotion: matchesMedia('(prefers-reduced-motion: reduce)'),
+        network: detectNetwork()
+      };
+    }
+
+    /**
+     * Het deel van de device info dat stqry.device.watch volgt
+     *
+     * @returns {Object} {orientation, online, colorScheme, reducedMotion, network, safeAreaInsets}
+     */
+    function getDeviceSnapshot() {
+      var device = getLocalDevice();
+      var snapshot = {};
+      DEVICE_WATCH_KEYS.forEach(function(key) {
+        snapshot[key] = device[key];
+      });
+      return snapshot;
+    }
+
+    /**
+     * Vergelijk de device info met de vorige snapshot en meld de verschillen aan de watchers
+     */
+    function checkDeviceChanges() {
+      var previous = deviceSnapshot;
+      deviceSnapshot = getDeviceSnapshot();
+      if (!previous) {
+        return;
+      }
+
+      DEVICE_WATCH_KEYS.forEach(function(key) {
+        if (JSON.stringify(previous[key]) === JSON.stringify(deviceSnapshot[key])) {
+          return;
+        }
+        deviceWatchers.forEach(function(watcher) {
+          if (watcher.keys && watcher.keys.indexOf(key) === -1) {
+            return;
+          }
+          try {
+            watcher.handler({ key: key, oldValue: previous[key], newValue: deviceSnapshot[key] });
+          } catch (err) {
+            console.error('Fout in device watcher voor ' + key + ':', err);
+          }
+        });
+      });
+    }
+
+    /**
+     * Koppel (of ontkoppel) de browser events waarop device watchers reageren
+     *
+     * @param {boolean} listen - true om te koppelen, false om los te koppelen
+     */
+    function listenForDeviceChanges(listen) {
+      var method = listen ? 'addEventListener' : 'removeEventListener';
+      var queries = ['(prefers-color-scheme: dark)', '(prefers-reduced-motion: reduce)', '(orientation: portrait)'];
+
+      ['online', 'offline', 'resize', 'orientationchange'].forEach(function(type) {
+        window[method](type, checkDeviceChanges);
+      });
+      if (window.screen && window.screen.orientation && window.screen.orientation.addEventListener) {
+        window.screen.orientation[method]('change', checkDeviceChanges);
+      }
+      if (window.matchMedia) {
+        queries.forEach(function(query) {
+          var list = window.matchMedia(query);
+          if (list.addEventListener) {
+            list[method]('change', checkDeviceChanges);
+          } else if (list.addListener) {
+            list[listen ? 'addListener' : 'removeListener'](checkDeviceChanges);
+          }
+        });
+      }
+      var connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+      if (connection && connection.addEventListener) {
+        connection[method]('change', checkDeviceChanges);
+      }
+    }
+
+    /**
+     * Maak een willekeurige, unieke ID
+     *
+     * @returns {string} UUID (via crypto.randomUUID waar beschikbaar)
+     */
+    function generateId() {
+      if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+      }
+      return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+        var r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+      });
+    }
+
+    /**
+     * Haal de anonieme visitor ID op, of maak er een aan bij het eerste bezoek
+     * Een nieuwe ID blijft in het geheugen van de pagina tot er toestemming is voor
+     * personalization of analytics; pas dan wordt hij bewaard (tot stqry.consent.forget()).
+     *
+     * @returns {string} De visitor ID
+     */
+    function getVisitorId() {
+      var visitorId = null;
+      try {
+        visitorId = localStore.getItem(VISITOR_ID_KEY);
+      } catch (e) {
+        visitorId = null;
+      }
+      if (visitorId) {
+        return visitorId;
+      }
+      if (!memoryVisitorId) {
+        memoryVisitorId = generateId();
+      }
+      persistVisitorId();
+      return memoryVisitorId;
+    }
+
+    /**
+     * Bewaar de visitor ID uit het geheugen zodra personalization of analytics toestemming heeft
+     * Een ID die een andere tab al heeft bewaard blijft staan.
+     */
+    function persistVisitorId() {
+      if (!memoryVisitorId) {
+        return;
+      }
+      var visitorId = memoryVisitorId;
+      Promise.all([hasConsent('personalization'), hasConsent('analytics')]).then(function(allowed) {
+        if ((!allowed[0] && !allowed[1]) || memoryVisitorId !== visitorId) {
+          return;
+        }
+        try {
+          if (!localStore.getItem(VISITOR_ID_KEY)) {
+            localStore.setItem(VISITOR_ID_KEY, visitorId);
+          }
+          memoryVisitorId = null;
+        } catch (e) {
+          console.error('Fout bij opslaan visitor ID:', e);
+        }
+      });
+    }
+
+    /**
+     * Stel het user object samen uit de host, het lokaal bewaarde profiel en de visitor ID
+     * Volgorde van voorrang: host profiel, lokaal profiel (stqry.user.set), demo/anoniem.
+     *
+     * @param {Object|null} hostUser - Het antwoord op user.get, of null zonder antwoord
+     * @returns {Object} User met id, visitorId, type ('host', 'local', 'demo' of 'anonymous'),
+     *                   isAnonymous, isDemo en de profielvelden
+     */
+    function buildUser(hostUser) {
+      var visitorId = getVisitorId();
+      var localProfile = null;
+      try {
+        localProfile = JSON.parse(localStore.getItem(USER_KEY));
+      } catch (e) {
+        localProfile = null;
+      }
+
+      var urls = [window.location.href];
+      if (runtime === 'IFrame') {
+        urls.unshift(document.referrer);
+      }
+      var isDemo = contextFromUrls(urls).demo;
+
+      var type = hostUser ? 'host' : localProfile ? 'local' : isDemo ? 'demo' : 'anonymous';
+      var base = isDemo ? Object.assign({}, DEMO_USER) : {
+        id: visitorId,
+        name: null,
+        email: null,
+        isGuest: true
+      };
+
+      return Object.assign(base, localProfile, hostUser, {
+        visitorId: visitorId,
+        type: type,
+        isAnonymous: type === 'anonymous',
+        isDemo: isDemo
+      });
+    }
+
+    /**
+     * Vergelijk de identiteit met de vorige (ook van een vorige pagina) en meld een wissel
+     * via de event bus ('user.changed', dispatcht stqryUserChanged)
+     *
+     * @param {Object} user - Het actuele user object
+     */
+    function noteUserIdentity(user) {
+      var identity = user.type + ':' + user.id;
+      var previous = localStore.getItem(USER_IDENTITY_KEY);
+      if (previous === identity) {
+        return;
+      }
+      try {
+        localStore.setItem(USER_IDENTITY_KEY, identity);
+      } catch (e) {
+        // Niet te bewaren: de wissel wordt dan bij elke pagina opnieuw gemeld
+      }
+      if (previous !== null) {
+        emitHostEvent('user.changed', user, { source: 'local', previous: previous });
+      }
+    }
+
+    /**
+     * Zet een route patroon om naar een regex
+     * ':naam' matcht één pad segment, '*' de rest van het pad.
+     *
+     * @param {string} pattern - Route patroon (bijv. '/stop/:id')
+     * @param {Function} handler - Functie die wordt aangeroepen met de route
+     * @returns {Object} {pattern, regex, names, handler}
+     */
+    function compileRoute(pattern, handler) {
+      var names = [];
+      var source = normalizeRoutePath(pattern).split('/').map(function(segment) {
+        if (segment.charAt(0) === ':') {
+          names.push(segment.slice(1));
+          return '([^/]+)';
+        }
+        if (segment === '*') {
+          names.push('wildcard');
+          return '(.*)';
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }).join('/');
+
+      return {
+        pattern: pattern,
+        regex: new RegExp('^' + source + '/?$'),
+        names: names,
+        handler: handler
+      };
+    }
+
+    /**
+     * Zorg voor een route pad met een leidende '/' (zonder '#')
+     */
+    function normalizeRoutePath(path) {
+      path = String(path || '').replace(/^#!?/, '');
+      return path.charAt(0) === '/' ? path : '/' + path;
+    }
+
+    /**
+     * Zoek de eerste route die bij een pad past
+     *
+     * @param {string} path - Route pad, eventueel met query (bijv. '/stop/3?tab=audio')
+     * @returns {Object} {path, pattern, params, query, handler}; pattern en handler zijn null zonder match
+     */
+    function matchRoute(path) {
+      var queryStart = path.indexOf('?');
+      var pathname = queryStart === -1 ? path : path.slice(0, queryStart);
+      var result = { path: path, pattern: null, params: {}, query: {}, handler: null };
+
+      if (queryStart !== -1) {
+        new URLSearchParams(path.slice(queryStart + 1)).forEach(function(value, name) {
+          result.query[name] = value;
+        });
+      }
+
+      for (var i = 0; i < routes.length; i++) {
+        var match = routes[i].regex.exec(pathname);
+        if (!match) {
+          continue;
+        }
+        routes[i].names.forEach(function(name, index) {
+          result.params[name] = decodeURIComponent(match[index + 1]);
+        });
+        result.pattern = routes[i].pattern;
+        result.handler = routes[i].handler;
+        break;
+      }
+      return result;
+    }
+
+    /**
+     * Het route pad van de huidige URL
+     * Hash mode: het deel na '#'; history mode: het pad na routerConfig.base, met query.
+     */
+    function currentRoutePath() {
+      if (routerConfig.mode === 'history') {
+        var pathname = window.location.pathname;
+        if (routerConfig.base && pathname.indexOf(routerConfig.base) === 0) {
+          pathname = pathname.slice(routerConfig.base.length);
+        }
+        return normalizeRoutePath(pathname + window.location.search);
+      }
+      return normalizeRoutePath(window.location.hash || '/');
+    }
+
+    /**
+     * De URL voor een route pad, voor pushState/replaceState
+     */
+    function routeUrl(path) {
+      return routerConfig.mode === 'history' ? routerConfig.base + path : '#' + path;
+    }
+
+    /**
+     * De pagina waar de route stack bij hoort: een andere pagina begint een nieuwe stack
+     */
+    function routerPage() {
+      return routerConfig.mode === 'history' ? routerConfig.base || '/' : window.location.pathname;
+    }
+
+    /**
+     * Leg een route vast in de browser history, met de stack index als marker
+     * Zo lopen history.back(), de Android back knop en onze stack gelijk op.
+     *
+     * @param {string} method - 'pushState' of 'replaceState'
+     * @param {Object} entry - De stack entry {path, state}
+     */
+    function markRouteHistory(method, entry) {
+      try {
+        window.history[method]({ stqryRoute: routeStack.length - 1, state: entry.state }, '', routeUrl(entry.path));
+      } catch (e) {
+        // Sandboxed iframe zonder history toegang: de stack werkt dan alleen via stqry.router
+      }
+    }
+
+    /**
+     * Bewaar de route stack in sessionStorage, zodat hij een reload van de WebView overleeft
+     */
+    function persistRoutes() {
+      try {
+        window.sessionStorage.setItem(ROUTER_KEY, JSON.stringify({ page: routerPage(), stack: routeStack }));
+      } catch (e) {
+        // sessionStorage niet beschikbaar: de stack leeft alleen in geheugen
+      }
+    }
+
+    /**
+     * Lees de bewaarde route stack, als die bij deze pagina en de huidige route hoort
+     *
+     * @param {string} path - Het huidige route pad
+     * @returns {Array|null} De stack, of null bij een nieuwe start of deep link
+     */
+    function restoreRoutes(path) {
+      try {
+        var saved = JSON.parse(window.sessionStorage.getItem(ROUTER_KEY));
+        var stack = saved && saved.page === routerPage() && saved.stack;
+        if (stack && stack.length && stack[stack.length - 1].path === path) {
+          return stack;
+        }
+      } catch (e) {
+        // Geen (geldige) bewaarde stack
+      }
+      return null;
+    }
+
+    /**
+     * Roep de handler van de bovenste route aan en dispatch stqryRouteChanged
+     *
+     * @param {string} direction - 'initial', 'reload', 'forward', 'back' of 'replace'
+     * @returns {Object} De route {path, pattern, params, query, state, direction, depth}
+     */
+    function renderRoute(direction) {
+      var entry = routeStack[routeStack.length - 1];
+      var match = matchRoute(entry.path);
+      var handler = match.handler || routerConfig.notFound;
+      var route = {
+        path: entry.path,
+        pattern: match.pattern,
+        params: match.params,
+        query: match.query,
+        state: entry.state,
+        direction: direction,
+        depth: routeStack.length
+      };
+
+      if (handler) {
+        try {
+          handler(route);
+        } catch (e) {
+          console.error('Fout in route handler:', e);
+        }
+      }
+      window.dispatchEvent(new CustomEvent('stqryRouteChanged', { detail: route }));
+
+      if (routeBackWaiter && direction === 'back') {
+        routeBackWaiter(route);
+      }
+      return route;
+    }
+
+    /**
+     * Verwerk popstate/hashchange: browser back/forward, de Android back knop of een gewone #link
+     */
+    function handleRoutePop() {
+      var path = currentRoutePath();
+      var marker = window.history.state;
+      var index = marker && typeof marker.stqryRoute === 'number' ? marker.stqryRoute : -1;
+      var top = routeStack.length - 1;
+
+      // Al verwerkt: popstate en hashchange komen bij een hash wissel allebei
+      if (index === top && routeStack[top].path === path) {
+        return;
+      }
+
+      var direction;
+      if (index !== -1 && index <= routeStack.length) {
+        direction = index < top ? 'back' : index === top ? 'replace' : 'forward';
+        routeStack = routeStack.slice(0, index);
+        routeStack.push({ path: path, state: marker.state === undefined ? null : marker.state });
+      } else {
+        // Een entry zonder marker (link of handmatig gewijzigde hash): nieuwe route bovenop
+        direction = 'forward';
+        routeStack.push({ path: path, state: null });
+        markRouteHistory('replaceState', routeStack[routeStack.length - 1]);
+      }
+
+      persistRoutes();
+      renderRoute(direction);
+    }
+
+    /**
+     * Ga één route terug binnen de pagina
+     * Loopt de browser history gelijk met de stack, dan via history.back(), anders
+     * (bijv. na een herstelde stack in een nieuwe WebView) door de stack zelf te poppen.
+     *
+     * @returns {Promise} Resolved met de route waarop we uitkomen
+     */
+    function routerBack() {
+      var marker = window.history.state;
+
+      var popRoute = function() {
+        routeBackWaiter = null;
+        routeStack.pop();
+        markRouteHistory('replaceState', routeStack[routeStack.length - 1]);
+        persistRoutes();
+        return renderRoute('back');
+      };
+
+      if (!marker || marker.stqryRoute !== routeStack.length - 1) {
+        return Promise.resolve(popRoute());
+      }
+
+      return new Promise(function(resolve) {
+        var timer = setTimeout(function() {
+          resolve(popRoute());
+        }, ROUTER_BACK_TIMEOUT);
+        routeBackWaiter = function(route) {
+          clearTimeout(timer);
+          routeBackWaiter = null;
+          resolve(route);
+        };
+        window.history.back();
+      });
+    }
+
+    /**
+     * Maak een store object voor een namespace met een eigen storageKey en schema versie
+     * Migraties draaien één keer per pagina, bij de eerste aanroep op de store.
+     *
+     * @param {Object} storage - De stqry.storage API
+     * @param {string} name - Naam van de namespace (bijv. 'quiz')
+     * @param {Object} options - Zie stqry.storage.namespace()
+     * @returns {Object} Store met get/set/remove/clear/watch/update/increment/compareAndSet
+     */
+    function createNamespace(storage, name, options) {
+      if (typeof name !== 'string' || !name || name.indexOf(':') !== -1) {
+        throw new TypeError('storage.namespace verwacht een naam zonder ":", kreeg: ' + name);
+      }
+
+      options = options || {};
+      var version = options.version || 1;
+      var category = options.category || 'functional';
+      var storageKey = STORAGE_KEY + ':' + name;
+
+      if (CONSENT_CATEGORIES.indexOf(category) === -1) {
+        throw new TypeError('storage.namespace kent categorie "' + category + '" niet, kies uit: ' + CONSENT_CATEGORIES.join(', '));
+      }
+      rememberStorageKey(storageKey);
+      if (category !== 'functional') {
+        consentStorageKeys[storageKey] = category;
+      }
+      if (options.maxSize) {
+        storageConfig.budgets[storageKey] = options.maxSize;
+      }
+
+      // Migreer de opgeslagen data naar de huidige schema versie (eenmalig per pagina)
+      var ready = function() {
+        var cacheKey = storageKey + '@' + version;
+        if (!namespaceMigrations[cacheKey]) {
+          namespaceMigrations[cacheKey] = storage.get(null, null, storageKey).then(function(data) {
+            data = Object.assign({}, data);
+            var storedVersion = data[SCHEMA_VERSION_KEY];
+            delete data[SCHEMA_VERSION_KEY];
+
+            if (storedVersion === version) {
+              return;
+            }
+
+            // Data van een nieuwere versie (bijv. een oudere pagina uit de cache): laat die staan
+            if (storedVersion > version) {
+              console.warn('STQRY namespace ' + name + ': opgeslagen schema versie ' + storedVersion +
+                ' is nieuwer dan ' + version + ', data wordt niet gemigreerd');
+              return;
+            }
+
+            return hasConsent(category).then(function(allowed) {
+              // Zonder toestemming niets schrijven: migreer bij de eerste aanroep na toestemming
+              if (!allowed) {
+                delete namespaceMigrations[cacheKey];
+                return;
+              }
+
+              var versionChangeset = {};
+              versionChangeset[SCHEMA_VERSION_KEY] = version;
+
+              // Nieuwe namespace: alleen de schema versie vastleggen, er valt niets te wissen
+              var keys = Object.keys(data);
+              if (storedVersion === undefined && !keys.length) {
+                return storage.set(versionChangeset, null, storageKey);
+              }
+
+              // Zonder migrate functie wordt oude data van een oudere versie weggegooid
+              var migrated = options.migrate ? options.migrate(data, storedVersion, version) : {};
+
+              return Promise.resolve(migrated).then(function(newData) {
+                newData = Object.assign({}, newData);
+                var obsolete = keys.filter(function(key) {
+                  return !Object.prototype.hasOwnProperty.call(newData, key);
+                });
+                // Eerst de nieuwe data, dan de oude keys weg: een mislukte set laat de oude data heel
+                return storage.set(Object.assign(newData, versionChangeset), null, storageKey).then(function() {
+                  return obsolete.length ? storage.remove(obsolete, null, storageKey) : undefined;
+                });
+              });
+            });
+          });
+          // Laat een mislukte migratie bij de volgende aanroep opnieuw proberen
+          namespaceMigrations[cacheKey].catch(function() {
+            delete namespaceMigrations[cacheKey];
+          });
+        }
+        return namespaceMigrations[cacheKey];
+      };
+
+      // Schrijven in een niet-functionele namespace kan pas na toestemming, daarna pas migreren
+      var writable = function(action) {
+        return requireConsent(category, action).then(ready);
+      };
+
+      return {
+        name: name,
+        version: version,
+        category: category,
+        storageKey: storageKey,
+
+        get: function(key, callback, callOptions) {
+          return withCallback(ready().then(function() {
+            return storage.get(key, null, storageKey, callOptions);
+          }).then(function(value) {
+            if (key === null || key === undefined) {
+              value = Object.assign({}, value);
+              delete value[SCHEMA_VERSION_KEY];
+            }
+            return value;
+          }), callback);
+        },
+
+        set: function(changeset, callback, callOptions) {
+          if (callback && typeof callback === 'object') {
+            callOptions = callback;
+            callback = null;
+          }
+          return withCallback(writable('storage.set').then(function() {
+            return storage.set(changeset, null, storageKey, callOptions);
+          }), callback);
+        },
+
+        remove: function(key, callback, callOptions) {
+          return withCallback(ready().then(function() {
+            return storage.remove(key, null, storageKey, callOptions);
+          }), callback);
+        },
+
+        watch: function(key, handler) {
+          return storage.watch(key, handler, storageKey);
+        },
+
+        update: function(key, fn, callback) {
+          return withCallback(writable('storage.update').then(function() {
+            return storage.update(key, fn, null, storageKey);
+          }), callback);
+        },
+
+        increment: function(key, n, callback) {
+          var invalid = checkIncrementStep(n);
+          if (invalid) {
+            return rejectInput(invalid, callback);
+          }
+          return withCallback(writable('storage.increment').then(function() {
+            return storage.increment(key, n, null, storageKey);
+          }), callback);
+        },
+
+        compareAndSet: function(key, expected, next, callback) {
+          return withCallback(writable('storage.compareAndSet').then(function() {
+            return storage.compareAndSet(key, expected, next, null, storageKey);
+          }), callback);
+        },
+
+        clear: function(callback, callOptions) {
+          // Wis alle data maar behoud de schema versie
+          return withCallback(ready().then(function() {
+            return storage.get(null, null, storageKey, callOptions);
+          }).then(function(data) {
+            var keys = Object.keys(data || {}).filter(function(key) {
+              return key !== SCHEMA_VERSION_KEY;
+            });
+            return keys.length ? storage.remove(keys, null, storageKey, callOptions) : undefined;
+          }).then(function() {}), callback);
+        }
+      };
+    }
+
+    /**
+     * STQRY API - Public interface voor cross-context communicatie
+     * Het object dat createBridge() retourneert (window.stqry bij laden via een script tag)
+     * met modules: storage, user, device, language, location, linking
+     *
+     * Alle methodes accepteren een optionele legacy callback en retourneren
+     * daarnaast een Promise die in elke runtime met dezelfde waarde resolved.
+     */
+    var stqry = {
+      /**
+       * Storage API - Data opslag en synchronisatie
+       */
+      storage: {
+        /**
+         * Haal een waarde op uit storage
+         *
+         * @param {string|string[]|null} key - Eén key, een array van keys, of null voor alle data
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met de opgehaalde waarde(s)
+         * @param {string} customKey - Optionele custom localStorage key (default: 'stqryStorage')
+         * @param {Object} options - Optionele call instellingen (timeout, retries, retryDelay, onError)
+         * @returns {Promise} Resolved met de waarde (string key), een object met alleen de
+         *                    gevraagde keys (array) of alle data (null). Verlopen keys (zie de ttl
+         *                    van storage.set) tellen niet mee en worden direct opgeruimd.
+         *
+         * @example
+         * // Haal één waarde op
+         * stqry.storage.get('username', function(value) {
+         *   console.log('Username:', value);
+         * });
+         *
+         * // Haal meerdere keys op
+         * stqry.storage.get(['username', 'theme']).then(function(subset) {
+         *   console.log(subset.username, subset.theme);
+         * });
+         *
+         * // Haal alle data op via de Promise
+         * stqry.storage.get(null).then(function(allData) {
+         *   console.log('Alle data:', allData);
+         * });
+         */
+        get: function(key, callback, customKey, options) {
+          var self = this;
+          var storageKey = customKey || STORAGE_KEY;
+
+          // In NoRuntime mode: lees direct uit localStorage
+          if (runtime === 'NoRuntime') {
+            return resolveLocal(function() {
+              var storedData = getStoredData(storageKey);
+              var expired = takeExpiredKeys(storageKey);
+              if (expired.length) {
+                expired.forEach(function(k) {
+                  delete storedData[k];
+                });
+                try {
+                  setStoredData(storageKey, storedData, 'storage.remove');
+                  self.broadcastUpdate(storedData, storageKey);
+                } catch (e) {
+                  // Opruimen mislukt: de verlopen keys blijven verborgen voor deze read
+                }
+              }
+              touchStorageKeys(storageKey, key);
+              return pickKeys(storedData, key);
+            }, callback);
+          }
+
+          // In IFrame/ReactNative mode: stuur request naar parent via postMessage
+          // De app verwacht een keys array en antwoordt met een object
+          return withCallback(callApp('storage.get', {
+            keys: toKeys(key),
+            storageKey: storageKey
+          }, null, null, options).then(function(data) {
+            data = applyOutbox(data, storageKey);
+            var expired = takeExpiredKeys(storageKey);
+            if (expired.length) {
+              expired.forEach(function(k) {
+                delete data[k];
+              });
+              queueWrite('storage.remove', { keys: expired, storageKey: storageKey });
+            }
+            touchStorageKeys(storageKey, key);
+            return pickKeys(data, key);
+          }), callback);
+        },
+
+        /**
+         * Sla één of meerdere waarde(s) op in storage
+         *
+         * @param {Object} changeset - Object met key-value pairs om op te slaan
+         * @param {Function|Object} callback - Optionele functie die wordt aangeroepen na opslaan,
+         *                                     of direct de options (storage.set(changeset, {ttl: 3600}))
+         * @param {string} customKey - Optionele custom localStorage key
+         * @param {Object} options - Optionele call instellingen (timeout, retries, retryDelay, onError)
+         * @param {number} options.ttl - Levensduur van de keys in seconden; zonder ttl blijven ze bewaard
+         * @returns {Promise} Resolved zodra de data is opgeslagen, rejected met een StorageError als
+         *                    dat lokaal niet lukt (err.quota: opslag vol of budget overschreden), of met
+         *                    ConsentRequired voor de storageKey van een namespace zonder toestemming
+         *
+         * @example
+         * stqry.storage.set({
+         *   username: 'Max',
+         *   theme: 'dark'
+         * }).then(function() {
+         *   console.log('Data opgeslagen!');
+         * });
+         *
+         * // Tour data die na een uur verloopt
+         * stqry.storage.set({ tourCache: data }, { ttl: 3600 });
+         */
+        set: function(changeset, callback, customKey, options) {
+          var self = this;
+          if (callback && typeof callback === 'object') {
+            options = callback;
+            callback = null;
+          }
+          options = options || {};
+          var storageKey = customKey || STORAGE_KEY;
+
+          var write = function(done) {
+            rememberStorageKey(storageKey);
+
+            // In NoRuntime mode: schrijf direct naar localStorage
+            if (runtime === 'NoRuntime') {
+              return resolveLocal(function() {
+                var storedData = getStoredData(storageKey);
+                takeExpiredKeys(storageKey).forEach(function(k) {
+                  delete storedData[k];
+                });
+                // Merge nieuwe data met bestaande data (Object.assign)
+                var value = Object.assign(storedData, changeset);
+                var tracked = trackStorageWrite(storageKey, changeset, options.ttl, value);
+                tracked.evicted.forEach(function(k) {
+                  delete value[k];
+                });
+                setStoredData(storageKey, value, 'storage.set');
+                if (tracked.meta) {
+                  writeStorageMeta(tracked.meta);
+                }
+
+                // Broadcast update naar andere windows/tabs via storage events
+                self.broadcastUpdate(value, storageKey);
+              }, done);
+            }
+
+            // In IFrame/ReactNative mode: via de outbox naar de parent
+            var tracked;
+            try {
+              tracked = trackStorageWrite(storageKey, changeset, options.ttl, null);
+            } catch (err) {
+              return rejectInput(err, done);
+            }
+            if (tracked.evicted.length) {
+              queueWrite('storage.remove', { keys: tracked.evicted, storageKey: storageKey });
+            }
+            if (tracked.meta) {
+              writeStorageMeta(tracked.meta);
+            }
+
+            return queueWrite('storage.set', {
+              changeset: Object.assign({}, changeset),
+              storageKey: storageKey
+            }, done, options);
+          };
+
+          // Data van een niet-functionele namespace pas na toestemming, ook via een directe customKey
+          var consent = storageConsent(storageKey, 'storage.set');
+          if (consent) {
+            return withCallback(consent.then(function() {
+              return write(null);
+            }), callback);
+          }
+          return write(callback);
+        },
+
+        /**
+         * Verwijder één of meerdere keys uit storage
+         *
+         * @param {string|string[]} key - De key of keys om te verwijderen
+         * @param {Function} callback - Optionele functie die wordt aangeroepen na verwijderen
+         * @param {string} customKey - Optionele custom localStorage key
+         * @param {Object} options - Optionele call instellingen (timeout, retries, retryDelay, onError)
+         * @returns {Promise} Resolved zodra de key(s) zijn verwijderd; rejected met ConsentRequired
+         *                    voor de storageKey van een namespace zonder toestemming
+         *
+         * @example
+         * stqry.storage.remove('username', function() {
+         *   console.log('Username verwijderd!');
+         * });
+         *
+         * stqry.storage.remove(['username', 'theme']);
+         */
+        remove: function(key, callback, customKey, options) {
+          var self = this;
+          var storageKey = customKey || STORAGE_KEY;
+          var keys = toKeys(key) || [];
+
+          var write = function(done) {
+            // In NoRuntime mode: verwijder direct uit localStorage
+            if (runtime === 'NoRuntime') {
+              return resolveLocal(function() {
+                var storedData = getStoredData(storageKey);
+                keys.forEach(function(k) {
+                  delete storedData[k];
+                });
+                setStoredData(storageKey, storedData, 'storage.remove');
+                forgetStorageMeta(storageKey, keys);
+
+                // Broadcast update naar andere tabs
+                self.broadcastUpdate(storedData, storageKey);
+              }, done);
+            }
+
+            // In IFrame/ReactNative mode: via de outbox naar de parent
+            forgetStorageMeta(storageKey, keys);
+            return queueWrite('storage.remove', {
+              keys: keys.slice(),
+              storageKey: storageKey
+            }, done, options);
+          };
+
+          // Net als storage.set: een niet-functionele namespace alleen na toestemming
+          var consent = storageConsent(storageKey, 'storage.remove');
+          if (consent) {
+            return withCallback(consent.then(function() {
+              return write(null);
+            }), callback);
+          }
+          return write(callback);
+        },
+
+        /**
+         * Wis alle storage data
+         *
+         * @param {Function} callback - Optionele functie die wordt aangeroepen na wissen
+         * @param {string} customKey - Optionele custom localStorage key
+         * @param {Object} options - Optionele call instellingen (timeout, retries, retryDelay, onError)
+         * @returns {Promise} Resolved zodra de storage is gewist. In IFrame/ReactNative mode via
+         *                    storage.get + storage.remove, omdat de app geen storage.clear kent.
+         *
+         * @example
+         * stqry.storage.clear(function() {
+         *   console.log('Alle data gewist!');
+         * });
+         */
+        clear: function(callback, customKey, options) {
+          var self = this;
+          var storageKey = customKey || STORAGE_KEY;
+
+          // In NoRuntime mode: wis direct in localStorage
+          if (runtime === 'NoRuntime') {
+            return resolveLocal(function() {
+              setStoredData(storageKey, {}, 'storage.clear');
+              forgetStorageMeta(storageKey, null);
+              self.broadcastUpdate({}, storageKey);
+            }, callback);
+          }
+
+          // In IFrame/ReactNative mode: de app kent geen storage.clear, verwijder alle keys
+          // (inclusief wachtende mutaties) via de outbox
+          forgetStorageMeta(storageKey, null);
+          return withCallback(this.get(null, null, storageKey, options).then(function(data) {
+            var keys = Object.keys(data || {});
+            if (!keys.length) {
+              return undefined;
+            }
+            return queueWrite('storage.remove', {
+              keys: keys,
+              storageKey: storageKey
+            }, null, options);
+          }), callback);
+        },
+
+        /**
+         * Maak een geïsoleerde store voor een namespace met een eigen schema versie
+         * De store heeft dezelfde get/set/remove/clear API (zonder customKey) en
+         * bewaart zijn data onder de storageKey 'stqryStorage:<naam>'.
+         * Is de opgeslagen versie ouder dan de gevraagde versie, dan draait
+         * migrate(oldData, oldVersion, newVersion) bij de eerste aanroep;
+         * zonder migrate functie wordt de oude data gewist. Data van een
+         * nieuwere versie blijft ongemoeid.
+         *
+         * @param {string} name - Naam van de namespace (zonder ':')
+         * @param {Object} options - Optionele instellingen
+         * @param {number} options.version - Schema versie van de data (default: 1)
+         * @param {Function} options.migrate - Zet oude data om, mag een Promise retourneren
+         * @param {string} options.category - Consent categorie van de data: 'functional' (default),
+         *                                     'analytics' of 'personalization' (zie stqry.consent)
+         * @param {number} options.maxSize - Budget voor de namespace in tekens JSON (zie storage.configure)
+         * @returns {Object} Store met dezelfde methodes (zonder customKey), name, version, category en storageKey
+         *
+         * @example
+         * var quiz = stqry.storage.namespace('quiz', {
+         *   version: 3,
+         *   migrate: function(data, fromVersion) {
+         *     if (fromVersion < 3) {
+         *       data.answers = data.answers || [];
+         *     }
+         *     return data;
+         *   }
+         * });
+         *
+         * quiz.set({ score: 8 }).then(function() {
+         *   return quiz.get('score');
+         * });
+         */
+        namespace: function(name, options) {
+          return createNamespace(this, name, options);
+        },
+
+        /**
+         * Haal de storage mutaties op die nog niet door de host zijn bevestigd
+         * In IFrame/ReactNative mode gaan set/remove/clear via een outbox in localStorage
+         * die in volgorde opnieuw wordt verstuurd zodra de host weer antwoordt.
+         *
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met de entries
+         * @returns {Promise} Resolved met een array van {id, action, data, queuedAt}
+         *
+         * @example
+         * stqry.storage.pending().then(function(entries) {
+         *   syncBadge.hidden = entries.length === 0;
+         * });
+         */
+        pending: function(callback) {
+          return resolveLocal(readOutbox, callback);
+        },
+
+        /**
+         * Werk een key atomair bij: lees de huidige waarde, bereken de nieuwe en schrijf die,
+         * zonder dat andere updates (uit deze pagina of andere tabs) ertussen komen
+         *
+         * @param {string} key - De key om bij te werken
+         * @param {Function} fn - Krijgt de huidige waarde en retourneert de nieuwe waarde
+         *                        (of een Promise); undefined verwijdert de key
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met de nieuwe waarde
+         * @param {string} customKey - Optionele custom localStorage key
+         * @returns {Promise} Resolved met de nieuwe waarde
+         *
+         * @example
+         * stqry.storage.update('stamps', function(stamps) {
+         *   return (stamps || []).concat('stop-12');
+         * });
+         */
+        update: function(key, fn, callback, customKey) {
+          return withCallback(atomicUpdate(this, customKey || STORAGE_KEY, key, fn).then(function(result) {
+            return result.newValue;
+          }), callback);
+        },
+
+        /**
+         * Verhoog een numerieke waarde atomair
+         *
+         * @param {string} key - De key om te verhogen (ontbrekend telt als 0)
+         * @param {number} n - Optionele stap, mag negatief zijn (default: 1)
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met de nieuwe waarde
+         * @param {string} customKey - Optionele custom localStorage key
+         * @returns {Promise} Resolved met de nieuwe waarde, rejected met een TypeError als n
+         *                    geen eindig getal is
+         *
+         * @example
+         * stqry.storage.increment('visitedStops').then(function(count) {
+         *   console.log('Bezochte stops:', count);
+         * });
+         */
+        increment: function(key, n, callback, customKey) {
+          var invalid = checkIncrementStep(n);
+          if (invalid) {
+            return rejectInput(invalid, callback);
+          }
+          var step = n === undefined ? 1 : n;
+          return this.update(key, function(value) {
+            return (Number(value) || 0) + step;
+          }, callback, customKey);
+        },
+
+        /**
+         * Schrijf een nieuwe waarde alleen als de huidige waarde gelijk is aan de verwachte
+         * Waarden worden vergeleken op hun JSON representatie.
+         *
+         * @param {string} key - De key om te zetten
+         * @param {*} expected - De verwachte huidige waarde (undefined voor een ontbrekende key)
+         * @param {*} next - De nieuwe waarde
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met true/false
+         * @param {string} customKey - Optionele custom localStorage key
+         * @returns {Promise} Resolved met true als de waarde is geschreven, anders false
+         *
+         * @example
+         * stqry.storage.compareAndSet('badge', undefined, 'gold').then(function(won) {
+         *   if (won) showBadge();
+         * });
+         */
+        compareAndSet: function(key, expected, next, callback, customKey) {
+          return withCallback(atomicUpdate(this, customKey || STORAGE_KEY, key, function(value) {
+            return JSON.stringify(value) === JSON.stringify(expected) ? next : SKIP_UPDATE;
+          }).then(function(result) {
+            return result.changed;
+          }), callback);
+        },
+
+        /**
+         * Volg wijzigingen van één of meer keys
+         * De handler krijgt per gewijzigde key een diff, ongeacht of de wijziging
+         * uit deze pagina, een andere tab of de app (storage.updated) komt.
+         *
+         * @param {string|string[]} key - De key of keys om te volgen
+         * @param {Function} handler - Ontvangt {key, oldValue, newValue, source, storageKey},
+         *                             met source 'local', 'tab' of 'host'
+         * @param {string} customKey - Optionele custom localStorage key
+         * @returns {Function} Roep aan om de watcher af te melden
+         *
+         * @example
+         * var unwatch = stqry.storage.watch('visitedStops', function(change) {
+         *   renderProgress(change.newValue);
+         * });
+         *
+         * // Later
+         * unwatch();
+         */
+        watch: function(key, handler, customKey) {
+          return addStorageWatcher(key, handler, customKey || STORAGE_KEY);
+        },
+
+        /**
+         * Pas de storage instellingen aan
+         * Een budget begrenst de data van één storageKey: past een set er niet meer in, dan
+         * verdwijnen eerst de keys die het langst niet zijn gelezen of geschreven (LRU).
+         *
+         * @param {Object} options - Instellingen om te overschrijven
+         * @param {Object} options.budgets - Max grootte per storageKey in tekens JSON (ongeveer bytes),
+         *                                   null om het budget van een storageKey te verwijderen
+         * @returns {Object} De actuele storage instellingen
+         *
+         * @example
+         * stqry.storage.configure({ budgets: { stqryStorage: 200000 } });
+         */
+        configure: function(options) {
+          options = options || {};
+          Object.keys(options.budgets || {}).forEach(function(storageKey) {
+            if (options.budgets[storageKey]) {
+              storageConfig.budgets[storageKey] = options.budgets[storageKey];
+            } else {
+              delete storageConfig.budgets[storageKey];
+            }
+          });
+          return { budgets: Object.assign({}, storageConfig.budgets) };
+        },
+
+        /**
+         * Broadcast storage updates naar andere windows/tabs
+         * Via BroadcastChannel, of storage events als fallback (zie createTransport).
+         * Ook deze tab krijgt stqryStorageUpdated (alleen voor de default storage key), zodat elke
+         * wijziging op dezelfde manier te volgen is.
+         *
+         * @param {Object} data - De nieuwe data state om te broadcasten
+         * @param {string} storageKey - De storageKey waarvan de data is gewijzigd
+         * @private
+         */
+        broadcastUpdate: function(data, storageKey) {
+          storageKey = storageKey || STORAGE_KEY;
+
+          sendToTabs('storage.updated', {
+            storageKey: storageKey,
+            data: data
+          });
+
+          emitHostEvent('storage.updated', data, {
+            source: 'local',
+            storageKey: storageKey
+          });
+        }
+      },
+
+      /**
+       * User API - Gebruikers informatie
+       * In NoRuntime mode gebruikt het een fallback user object
+       */
+      user: {
+        /**
+         * Haal gebruikers informatie op
+         * Het profiel van de host (user.get) wordt samengevoegd met het lokale profiel
+         * (stqry.user.set) en de anonieme visitor ID. Zonder antwoord van de host is de
+         * bezoeker 'anonymous', of 'demo' op een STQRY demo pagina (?demo=true).
+         *
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met user object
+         * @param {Object} options - Optionele call instellingen (timeout, retries, retryDelay, onError)
+         * @returns {Promise} Resolved met {id, visitorId, type, isAnonymous, isDemo, name, email, isGuest, ...}
+         *                    type is 'host', 'local', 'demo' of 'anonymous'
+         *
+         * @example
+         * stqry.user.get(function(user) {
+         *   if (user.isAnonymous) {
+         *     console.log('Anonieme bezoeker', user.visitorId);
+         *   } else {
+         *     console.log('User:', user.name);
+         *   }
+         * });
+         */
+        get: function(callback, options) {
+          var hostUser = runtime === 'NoRuntime' ? Promise.resolve(null) :
+            // Vraag de parent als die user.get ondersteunt; zonder antwoord geen host profiel
+            callAppWithFallback('user.get', {}, null, function() {
+              return null;
+            }, options);
+
+          return withCallback(hostUser.then(function(profile) {
+            var user = buildUser(profile && typeof profile === 'object' ? profile : null);
+            noteUserIdentity(user);
+            return user;
+          }), callback);
+        },
+
+        /**
+         * Haal de anonieme visitor ID op
+         * Stabiel over bezoeken heen, ook als de host een eigen user ID levert.
+         *
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met de ID
+         * @returns {Promise} Resolved met de visitor ID
+         */
+        getVisitorId: function(callback) {
+          return resolveLocal(getVisitorId, callback);
+        },
+
+        /**
+         * Sla lokale profiel informatie op (bijv. een zelfgekozen naam)
+         * Werkt in elke runtime; velden van de host hebben voorrang.
+         * Geef null mee om het lokale profiel te wissen.
+         *
+         * @param {Object|null} user - Profielvelden om op te slaan
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met het nieuwe user object
+         * @returns {Promise} Resolved met het user object na de wijziging
+         */
+        set: function(user, callback) {
+          var self = this;
+          return withCallback(resolveLocal(function() {
+            if (user) {
+              localStore.setItem(USER_KEY, JSON.stringify(user));
+            } else {
+              localStore.removeItem(USER_KEY);
+            }
+          }).then(function() {
+            return self.get();
+          }), callback);
+        }
+      },
+
+      /**
+       * Device API - Device informatie
+       */
+      device: {
+        /**
+         * Haal device informatie op
+         * Naast platform, os, browser en afmetingen: mobile, orientation ('portrait'/'landscape'),
+         * safeAreaInsets ({top, right, bottom, left} in px), colorScheme ('light'/'dark'), darkMode,
+         * reducedMotion en network ({type, effectiveType, downlink, saveData} of null).
+         *
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met device info
+         * @param {Object} options - Optionele call instellingen (timeout, retries, retryDelay, onError)
+         * @returns {Promise} Resolved met het device info object
+         *
+         * @example
+         * stqry.device.get(function(device) {
+         *   console.log('Platform:', device.platform);
+         *   console.log('OS:', device.os);
+         *   document.body.classList.toggle('dark', device.darkMode);
+         * });
+         */
+        get: function(callback, options) {
+          if (runtime === 'NoRuntime') {
+            return resolveLocal(getLocalDevice, callback);
+          }
+
+          // In IFrame/ReactNative mode: vraag parent als die device.get ondersteunt, anders lokale detectie.
+          // Wat de host niet meestuurt (oriëntatie, insets, voorkeuren) vult de lokale detectie aan.
+          return withCallback(callAppWithFallback('device.get', {}, null, getLocalDevice, options).then(function(device) {
+            return Object.assign(getLocalDevice(), device);
+          }), callback);
+        },
+
+        /**
+         * Volg wijzigingen in oriëntatie, online status, kleurschema, reduced motion,
+         * netwerktype en safe-area insets
+         *
+         * @param {Function} handler - Ontvangt {key, oldValue, newValue} per gewijzigde eigenschap
+         * @param {string|string[]} keys - Optioneel: alleen deze eigenschappen volgen
+         * @returns {Function} Roep aan om te stoppen met volgen
+         *
+         * @example
+         * var unwatch = stqry.device.watch(function(change) {
+         *   if (change.key === 'orientation') {
+         *     layoutFor(change.newValue); // 'portrait' of 'landscape'
+         *   }
+         * });
+         */
+        watch: function(handler, keys) {
+          var watcher = { keys: toKeys(keys), handler: handler };
+
+          if (!deviceWatchers.length) {
+            deviceSnapshot = getDeviceSnapshot();
+            listenForDeviceChanges(true);
+          }
+          deviceWatchers.push(watcher);
+
+          return function() {
+            deviceWatchers = deviceWatchers.filter(function(candidate) {
+              return candidate !== watcher;
+            });
+            if (!deviceWatchers.length) {
+              listenForDeviceChanges(false);
+              deviceSnapshot = null;
+            }
+          };
+        }
+      },
+
+      /**
+       * Language API - Taal voorkeuren
+       */
+      language: {
+        /**
+         * Haal huidige taal op
+         *
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met taal code
+         * @param {Object} options - Optionele call instellingen (timeout, retries, retryDelay, onError)
+         * @returns {Promise} Resolved met de taal code
+         *
+         * @example
+         * stqry.language.get(function(lang) {
+         *   console.log('Language:', lang); // 'nl', 'en', etc.
+         * });
+         */
+        get: function(callback, options) {
+          // Helper functie om lokale taal op te halen
+          var getLocalLanguage = function() {
+            var storedLang = localStore.getItem('stqryLanguage');
+            return storedLang || navigator.language.split('-')[0]; // 'nl-NL' -> 'nl'
+          };
+
+          if (runtime === 'NoRuntime') {
+            return resolveLocal(getLocalLanguage, callback);
+          }
+
+          // Vraag parent als die language.get ondersteunt, anders localStorage/browser
+          return callAppWithFallback('language.get', {}, callback, getLocalLanguage, options);
+        },
+
+        /**
+         * Zet de taal
+         *
+         * @param {string} lang - Taal code (bijv. 'nl', 'en')
+         * @param {Function} callback - Optionele callback
+         * @param {Object} options - Optionele call instellingen (timeout, retries, retryDelay, onError)
+         * @returns {Promise} Resolved zodra de taal is gezet
+         *
+         * @example
+         * stqry.language.set('en').then(function() {
+         *   console.log('Language set to English');
+         * });
+         */
+        set: function(lang, callback, options) {
+          var setLocalLanguage = function() {
+            localStore.setItem('stqryLanguage', lang);
+            // Meld de wijziging via de event bus (die stqryLanguageChanged dispatcht)
+            emitHostEvent('language.changed', { language: lang }, { source: 'local' });
+          };
+
+          if (runtime === 'NoRuntime') {
+            return resolveLocal(setLocalLanguage, callback);
+          }
+
+          return callAppWithFallback('language.set', { language: lang }, callback, setLocalLanguage, options);
+        }
+      },
+
+      /**
+       * Location API - Navigatie en locatie
+       */
+      location: {
+        /**
+         * Navigeer naar een nieuwe URL of route
+         *
+         * @param {string} url - URL of route om naar toe te navigeren
+         * @param {Function} callback - Optionele callback
+         * @param {Object} options - Optionele call instellingen (timeout, retries, retryDelay, onError)
+         * @returns {Promise} Resolved zodra de navigatie is gestart
+         *
+         * @example
+         * stqry.location.set('/home', function() {
+         *   console.log('Navigated to home');
+         * });
+         */
+        set: function(url, callback, options) {
+          // In browser: gewoon navigeren
+          var navigate = function() {
+            window.location.href = url;
+          };
+
+          if (runtime === 'NoRuntime') {
+            return resolveLocal(navigate, callback);
+          }
+
+          // In IFrame/ReactNative: vraag parent om te navigeren als die location.set ondersteunt,
+          // anders direct navigeren
+          return callAppWithFallback('location.set', { url: url }, callback, navigate, options);
+        },
+
+        /**
+         * Ga terug naar vorige pagina
+         * Met stqry.router eerst terug binnen de eigen routes; pas op de eerste route
+         * in IFrame/ReactNative mode via de navigation.back actie van de app
+         *
+         * @param {Function} callback - Optionele callback
+         * @returns {Promise} Resolved met de nieuwe route bij een in-page stap, anders zodra de navigatie is gestart
+         *
+         * @example
+         * stqry.location.back();
+         */
+        back: function(callback) {
+          if (routerStarted && routeStack.length > 1) {
+            return withCallback(routerBack(), callback);
+          }
+
+          var goBack = function() {
+            window.history.back();
+          };
+
+          if (runtime === 'NoRuntime') {
+            return resolveLocal(goBack, callback);
+          }
+
+          // De app kent alleen navigation.back en stuurt geen callback terug
+          return notifyApp('navigation.back', {}, callback);
+        },
+
+        /**
+         * Sluit de huidige view/webview
+         *
+         * @param {Function} callback - Optionele callback
+         * @param {Object} options - Optionele call instellingen (timeout, retries, retryDelay, onError)
+         * @returns {Promise} Resolved zodra de view is gesloten
+         *
+         * @example
+         * stqry.location.close();
+         */
+        close: function(callback, options) {
+          var doClose = function() {
+            // Probeer window te sluiten of ga terug
+            window.close();
+            // Fallback als window.close() niet werkt
+            if (!window.closed) {
+              window.history.back();
+            }
+          };
+
+          if (runtime === 'NoRuntime') {
+            return resolveLocal(doClose, callback);
+          }
+
+          // Via de parent als die location.close ondersteunt, anders lokaal sluiten
+          return callAppWithFallback('location.close', {}, callback, doClose, options);
+        },
+
+        /**
+         * Haal huidige locatie/route op
+         *
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met locatie info
+         * @param {Object} options - Optionele call instellingen (timeout, retries, retryDelay, onError)
+         * @returns {Promise} Resolved met het locatie info object
+         */
+        get: function(callback, options) {
+          // Helper functie om lokale location info op te halen
+          var getLocalLocation = function() {
+            return {
+              href: window.location.href,
+              pathname: window.location.pathname,
+              search: window.location.search,
+              hash: window.location.hash,
+              host: window.location.host
+            };
+          };
+
+          if (runtime === 'NoRuntime') {
+            return resolveLocal(getLocalLocation, callback);
+          }
+
+          // Vraag parent als die location.get ondersteunt, anders window.location
+          return callAppWithFallback('location.get', {}, callback, getLocalLocation, options);
+        }
+      },
+
+      /**
+       * Router API - In-page routes met een eigen back stack
+       */
+      router: {
+        /**
+         * Start de router: lees de huidige route, herstel de bewaarde stack na een reload
+         * en roep de handler van de huidige route aan
+         *
+         * @param {Object} options - Optionele instellingen, zie stqry.router.configure()
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met de route
+         * @returns {Promise} Resolved met de huidige route
+         *
+         * @example
+         * stqry.router.init({
+         *   routes: {
+         *     '/': showOverview,
+         *     '/stop/:id': function(route) {
+         *       showStop(route.params.id);
+         *     }
+         *   }
+         * });
+         */
+        init: function(options, callback) {
+          this.configure(options);
+
+          var path = currentRoutePath();
+          var restored = restoreRoutes(path);
+          routeStack = restored || [{ path: path, state: null }];
+          // Een herstelde stack houdt de marker van de reload; zonder marker (nieuwe WebView)
+          // popt router.back() de stack zelf
+          if (!restored) {
+            markRouteHistory('replaceState', routeStack[0]);
           }
-        }, 100);
-      }
-    }
+          persistRoutes();
 
-    // Verstuur message via het juiste kanaal afhankelijk van runtime
-    if (window.stqryRuntime === 'ReactNative') {
-      // React Native: gebruik de geïnjecteerde ReactNativeWebView.postMessage
-      window.ReactNativeWebView.postMessage(JSON.stringify(message));
-    } else if (window.stqryRuntime === 'IFrame') {
-      // IFrame: gebruik window.parent.postMessage
-      // '*' als targetOrigin betekent: accepteer alle origins (kan worden beperkt voor security)
-      window.parent.postMessage(JSON.stringify(message), '*');
-    }
-    // Note: in NoRuntime mode roepen we callApp niet aan, alles gebeurt lokaal
-  }
+          if (!routerStarted) {
+            routerStarted = true;
+            window.addEventListener('popstate', handleRoutePop);
+            window.addEventListener('hashchange', handleRoutePop);
+          }
 
-  /**
-   * Verwerk inkomende berichten van parent context of andere tabs
-   * Wordt aangeroepen door de message event listeners
-   *
-   * @param {MessageEvent} e - Het message event met data property
-   */
-  function onMessage(e) {
-    var message;
+          return resolveLocal(function() {
+            return renderRoute(restored ? 'reload' : 'initial');
+          }, callback);
+        },
 
-    // Parse het bericht (kan JSON string zijn of al een object)
-    try {
-      message = typeof e.data === 'string' ? JSON.parse(e.data) : e.data;
-    } catch (err) {
-      return; // Niet een geldig JSON bericht, negeer
-    }
+        /**
+         * Voeg een route toe
+         *
+         * @param {string} pattern - Route patroon: '/stop/:id', '/info' of '*'
+         * @param {Function} handler - Functie die wordt aangeroepen met de route
+         */
+        add: function(pattern, handler) {
+          routes.push(compileRoute(pattern, handler));
+        },
 
-    // Valideer dat het bericht een action property heeft
-    if (!message || !message.action) {
-      return;
-    }
+        /**
+         * Navigeer naar een route binnen de pagina, zonder de bridge te herladen
+         *
+         * @param {string} path - Route pad, eventueel met query (bijv. '/stop/3?tab=audio')
+         * @param {Object} options - Optioneel: replace (vervang de huidige route), state (data bij de route)
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met de route
+         * @returns {Promise} Resolved met de nieuwe route
+         *
+         * @example
+         * stqry.router.navigate('/stop/395298', { state: { from: 'map' } });
+         */
+        navigate: function(path, options, callback) {
+          options = options || {};
+          var entry = { path: normalizeRoutePath(path), state: options.state === undefined ? null : options.state };
+          var replace = options.replace || (routeStack.length > 0 && routeStack[routeStack.length - 1].path === entry.path);
 
-    // Verwerk callback responses van de parent
-    // De parent stuurt een 'callback' action terug met de callbackId en resultaat
-    if (message.action === 'callback' && message.callbackId) {
-      var callback = appCallbacks[message.callbackId];
-      if (callback) {
-        // Roep de callback aan met de meegestuurde argumenten
-        callback.apply(null, message.args || []);
-        // Cleanup: verwijder callback na gebruik (één keer gebruik)
-        delete appCallbacks[message.callbackId];
-      }
-    }
+          return resolveLocal(function() {
+            if (replace && routeStack.length) {
+              routeStack[routeStack.length - 1] = entry;
+            } else {
+              routeStack.push(entry);
+            }
+            markRouteHistory(replace ? 'replaceState' : 'pushState', entry);
+            persistRoutes();
+            return renderRoute(replace ? 'replace' : 'forward');
+          }, callback);
+        },
 
-    // Verwerk storage update broadcasts (van parent of andere source)
-    if (message.action === 'storage.updated' && message.data) {
-      // Trigger een custom DOM event zodat andere delen van de app kunnen luisteren
-      var event = new CustomEvent('stqryStorageUpdated', {
-        detail: message.data
-      });
-      window.dispatchEvent(event);
-    }
-  }
+        /**
+         * Ga één route terug; op de eerste route gaat navigation.back naar de app
+         * Zelfde gedrag als stqry.location.back().
+         *
+         * @param {Function} callback - Optionele callback
+         * @returns {Promise} Resolved met de nieuwe route, of zodra navigation.back is verstuurd
+         */
+        back: function(callback) {
+          return stqry.location.back(callback);
+        },
 
-  // Registreer message listeners voor inkomende berichten
-  // window.addEventListener vangt postMessage events op van parent/opener
-  window.addEventListener('message', onMessage);
-  // document.addEventListener is voor React Native compatibility
-  document.addEventListener('message', onMessage);
+        /**
+         * Haal de huidige route op
+         *
+         * @returns {Object|null} {path, pattern, params, query, state, depth}, null vóór init()
+         */
+        current: function() {
+          if (!routeStack.length) {
+            return null;
+          }
+          var entry = routeStack[routeStack.length - 1];
+          var match = matchRoute(entry.path);
+          return {
+            path: entry.path,
+            pattern: match.pattern,
+            params: match.params,
+            query: match.query,
+            state: entry.state,
+            depth: routeStack.length
+          };
+        },
 
-  /**
-   * STQRY API - Public interface voor cross-context communicatie
-   * Beschikbaar via window.stqry met modules: storage, user, device, language, location
-   */
-  window.stqry = {
-    /**
-     * Storage API - Data opslag en synchronisatie
-     */
-    storage: {
-      /**
-       * Haal een waarde op uit storage
-       *
-       * @param {string|null} key - De key om op te halen, of null voor alle data
-       * @param {Function} callback - Functie die wordt aangeroepen met de opgehaalde waarde(s)
-       * @param {string} customKey - Optionele custom localStorage key (default: 'stqryStorage')
-       * @returns {*} De waarde (alleen in NoRuntime mode, anders undefined)
-       *
-       * @example
-       * // Haal één waarde op
-       * stqry.storage.get('username', function(value) {
-       *   console.log('Username:', value);
-       * });
-       *
-       * // Haal alle data op
-       * stqry.storage.get(null, function(allData) {
-       *   console.log('Alle data:', allData);
-       * });
-       */
-      get: function(key, callback, customKey) {
-        var storageKey = customKey || STORAGE_KEY;
-
-        // In NoRuntime mode: lees direct uit localStorage
-        if (window.stqryRuntime === 'NoRuntime') {
-          var storedData = getStoredData(storageKey);
-          // Als key is null, return alle data, anders alleen die key
-          var value = key ? storedData[key] : storedData;
-          if (callback) callback(value);
-          return value;
-        }
+        /**
+         * Haal de back stack op, oudste route eerst
+         *
+         * @returns {Array} Kopie van de stack als [{path, state}]
+         */
+        stack: function() {
+          return routeStack.map(function(entry) {
+            return { path: entry.path, state: entry.state };
+          });
+        },
 
-        // In IFrame/ReactNative mode: stuur request naar parent via postMessage
-        callApp('storage.get', {
-          key: key,
-          storageKey: storageKey
-        }, callback);
+        /**
+         * Pas de router instellingen aan
+         *
+         * @param {Object} options - mode ('hash' of 'history'), base, notFound en routes ({patroon: handler})
+         */
+        configure: function(options) {
+          options = options || {};
+          ['mode', 'base', 'notFound'].forEach(function(name) {
+            if (options[name] !== undefined) {
+              routerConfig[name] = options[name];
+            }
+          });
+          routerConfig.base = routerConfig.base.replace(/\/$/, '');
+
+          var self = this;
+          Object.keys(options.routes || {}).forEach(function(pattern) {
+            self.add(pattern, options.routes[pattern]);
+          });
+        }
       },
 
       /**
-       * Sla één of meerdere waarde(s) op in storage
-       *
-       * @param {Object} changeset - Object met key-value pairs om op te slaan
-       * @param {Function} callback - Optionele functie die wordt aangeroepen na opslaan
-       * @param {string} customKey - Optionele custom localStorage key
-       *
-       * @example
-       * stqry.storage.set({
-       *   username: 'Max',
-       *   theme: 'dark'
-       * }, function() {
-       *   console.log('Data opgeslagen!');
-       * });
+       * Context API - Waar in de STQRY content deze pagina is ingebed
        */
-      set: function(changeset, callback, customKey) {
-        var storageKey = customKey || STORAGE_KEY;
+      context: {
+        /**
+         * Haal de tour, item en collection IDs op van de huidige STQRY content
+         * Via de context.get actie als de host die ondersteunt, anders uit de URL van
+         * location.get() (en in IFrame mode de referrer en de eigen URL), zoals /tour/57959/item/395298?demo=true.
+         * IDs die niet te bepalen zijn zijn null; collectionAccountId en collectionVersion komen alleen van de host
+         * (of een collectionAccountId URL parameter).
+         *
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met de context
+         * @param {Object} options - Optionele call instellingen (timeout, retries, retryDelay, onError)
+         * @returns {Promise} Resolved met {collectionAccountId, collectionId, collectionVersion, collectionType,
+         *                    itemId, demo, showDetailModal, params, source}, source is 'host' of 'url'
+         *
+         * @example
+         * stqry.context.get().then(function(context) {
+         *   loadStop(context.collectionId, context.itemId);
+         *   if (context.demo) {
+         *     showDemoBanner();
+         *   }
+         * });
+         */
+        get: function(callback, options) {
+          var ownUrls = [window.location.href];
+          if (runtime === 'IFrame') {
+            ownUrls.unshift(document.referrer);
+          }
 
-        // In NoRuntime mode: schrijf direct naar localStorage
-        if (window.stqryRuntime === 'NoRuntime') {
-          var storedData = getStoredData(storageKey);
-          // Merge nieuwe data met bestaande data (Object.assign)
-          var value = Object.assign(storedData, changeset);
-          setStoredData(storageKey, value);
+          // Lokaal: de URL van location.get() (host of eigen window), daarna de overige kandidaten
+          var getUrlContext = function() {
+            return stqry.location.get(null, options).then(function(location) {
+              return contextFromUrls([location && location.href].concat(ownUrls));
+            }, function() {
+              return contextFromUrls(ownUrls);
+            });
+          };
 
-          // Broadcast update naar andere windows/tabs via storage events
-          this.broadcastUpdate(value);
+          if (runtime === 'NoRuntime') {
+            return withCallback(getUrlContext(), callback);
+          }
 
-          if (callback) callback();
-          return;
+          return withCallback(callAppWithFallback('context.get', {}, null, function() {
+            return null;
+          }, options).then(function(hostContext) {
+            if (!hostContext) {
+              return getUrlContext();
+            }
+            // Vul flags en ontbrekende IDs aan uit de URLs, de host heeft voorrang
+            var context = contextFromUrls(ownUrls);
+            Object.keys(hostContext).forEach(function(key) {
+              if (hostContext[key] !== null && hostContext[key] !== undefined) {
+                context[key] = hostContext[key];
+              }
+            });
+            context.source = 'host';
+            return context;
+          }), callback);
         }
-
-        // In IFrame/ReactNative mode: stuur request naar parent
-        callApp('storage.set', {
-          changeset: changeset,
-          storageKey: storageKey
-        }, callback);
       },
 
       /**
-       * Verwijder een specifieke key uit storage
-       *
-       * @param {string} key - De key om te verwijderen
-       * @param {Function} callback - Optionele functie die wordt aangeroepen na verwijderen
-       * @param {string} customKey - Optionele custom localStorage key
-       *
-       * @example
-       * stqry.storage.remove('username', function() {
-       *   console.log('Username verwijderd!');
-       * });
+       * Progress API - Bezochte stops en voortgang per tour
+       * Bewaard via stqry.storage in de namespace 'progress', dus in de app en in NoRuntime hetzelfde.
        */
-      remove: function(key, callback, customKey) {
-        var storageKey = customKey || STORAGE_KEY;
+      progress: {
+        /**
+         * Registreer een bezoek aan een item
+         * Zonder IDs wordt het huidige item en de huidige tour uit stqry.context.get() gebruikt.
+         *
+         * @param {Object} target - Optioneel {itemId, collectionId}
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met de voortgang
+         * @returns {Promise} Resolved met de voortgang van de tour (zie stqry.progress.get)
+         *
+         * @example
+         * // Bij het laden van een stop pagina
+         * stqry.progress.visit().then(function(progress) {
+         *   console.log(progress.visitedCount + ' stops bezocht');
+         * });
+         */
+        visit: function(target, callback) {
+          return withCallback(resolveProgressTarget(target, true).then(function(resolved) {
+            return updateProgress(resolved.collectionId, function(record, now) {
+              var itemId = String(resolved.itemId);
+              var item = record.items[itemId] || { firstVisitedAt: now, visits: 0 };
+              record.items[itemId] = {
+                firstVisitedAt: item.firstVisitedAt,
+                lastVisitedAt: now,
+                visits: item.visits + 1
+              };
+              record.lastItemId = resolved.itemId;
+            });
+          }), callback);
+        },
 
-        // In NoRuntime mode: verwijder direct uit localStorage
-        if (window.stqryRuntime === 'NoRuntime') {
-          var storedData = getStoredData(storageKey);
-          delete storedData[key];
-          setStoredData(storageKey, storedData);
+        /**
+         * Haal de voortgang van een tour op
+         *
+         * @param {string|number} collectionId - Optionele tour, default de tour uit de context
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met de voortgang
+         * @returns {Promise} Resolved met {collectionId, items, itemIds, totalItems, visitedCount,
+         *                    percentage, completed, lastItemId, state, startedAt, updatedAt, completedAt};
+         *                    percentage is null zolang het aantal items onbekend is (zie setTotal)
+         *
+         * @example
+         * stqry.progress.get().then(function(progress) {
+         *   bar.style.width = (progress.percentage || 0) + '%';
+         * });
+         */
+        get: function(collectionId, callback) {
+          return withCallback(resolveProgressTarget({ collectionId: collectionId }).then(function(resolved) {
+            return getProgressStore().get(PROGRESS_KEY).then(function(tours) {
+              return summarizeProgress(resolved.collectionId, (tours || {})[String(resolved.collectionId)]);
+            });
+          }), callback);
+        },
 
-          // Broadcast update naar andere tabs
-          this.broadcastUpdate(storedData);
+        /**
+         * Haal de voortgang van alle tours op
+         *
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met de voortgang per collectionId
+         * @returns {Promise} Resolved met een object {collectionId: voortgang}
+         */
+        all: function(callback) {
+          return withCallback(getProgressStore().get(PROGRESS_KEY).then(function(tours) {
+            var result = {};
+            Object.keys(tours || {}).forEach(function(id) {
+              result[id] = summarizeProgress(tours[id].collectionId || id, tours[id]);
+            });
+            return result;
+          }), callback);
+        },
 
-          if (callback) callback();
-          return;
-        }
+        /**
+         * Leg vast uit hoeveel items een tour bestaat, zodat het percentage berekend kan worden
+         * Met een lijst van itemIds tellen alleen bezoeken aan die items mee.
+         *
+         * @param {number|Array} total - Aantal items, of de lijst van itemIds
+         * @param {string|number} collectionId - Optionele tour, default de tour uit de context
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met de voortgang
+         * @returns {Promise} Resolved met de bijgewerkte voortgang
+         *
+         * @example
+         * stqry.progress.setTotal([395298, 395299, 395300]);
+         */
+        setTotal: function(total, collectionId, callback) {
+          return withCallback(resolveProgressTarget({ collectionId: collectionId }).then(function(resolved) {
+            return updateProgress(resolved.collectionId, function(record) {
+              record.itemIds = Array.isArray(total) ? total.map(String) : null;
+              record.totalItems = Array.isArray(total) ? total.length : total;
+            });
+          }), callback);
+        },
+
+        /**
+         * Bewaar de toestand om de tour later te hervatten (bijv. quiz antwoorden of scroll positie)
+         *
+         * @param {*} state - JSON-serialiseerbare toestand, vervangt de vorige
+         * @param {string|number} collectionId - Optionele tour, default de tour uit de context
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met de voortgang
+         * @returns {Promise} Resolved met de bijgewerkte voortgang
+         */
+        saveState: function(state, collectionId, callback) {
+          return withCallback(resolveProgressTarget({ collectionId: collectionId }).then(function(resolved) {
+            return updateProgress(resolved.collectionId, function(record) {
+              record.state = state === undefined ? null : state;
+            });
+          }), callback);
+        },
 
-        // In IFrame/ReactNative mode: stuur request naar parent
-        callApp('storage.remove', {
-          key: key,
-          storageKey: storageKey
-        }, callback);
+        /**
+         * Haal op waar de bezoeker in een tour was gebleven
+         *
+         * @param {string|number} collectionId - Optionele tour, default de tour uit de context
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met het resultaat
+         * @returns {Promise} Resolved met {itemId, state, updatedAt}, of null als de tour nog niet is gestart
+         *
+         * @example
+         * stqry.progress.resume(57959).then(function(resume) {
+         *   if (resume) {
+         *     stqry.linking.openInternal({ subtype: 'tour', id: 57959 });
+         *   }
+         * });
+         */
+        resume: function(collectionId, callback) {
+          return withCallback(this.get(collectionId).then(function(progress) {
+            if (!progress.updatedAt) {
+              return null;
+            }
+            return { itemId: progress.lastItemId, state: progress.state, updatedAt: progress.updatedAt };
+          }), callback);
+        },
+
+        /**
+         * Wis de voortgang van een tour
+         *
+         * @param {string|number} collectionId - Optionele tour, default de tour uit de context
+         * @param {Function} callback - Optionele callback
+         * @returns {Promise} Resolved zodra de voortgang is gewist
+         */
+        reset: function(collectionId, callback) {
+          return withCallback(resolveProgressTarget({ collectionId: collectionId }).then(function(resolved) {
+            return getProgressStore().update(PROGRESS_KEY, function(tours) {
+              tours = Object.assign({}, tours);
+              delete tours[String(resolved.collectionId)];
+              return tours;
+            });
+          }).then(function() {}), callback);
+        },
+
+        /**
+         * Volg wijzigingen in de voortgang, ook uit andere tabs en van de app
+         *
+         * @param {Function} handler - Ontvangt (voortgang, {collectionId, source}) per gewijzigde tour
+         * @param {string|number} collectionId - Optioneel: alleen deze tour volgen
+         * @returns {Function} Roep aan om te stoppen met volgen
+         *
+         * @example
+         * stqry.progress.watch(function(progress) {
+         *   counter.textContent = progress.visitedCount;
+         * });
+         */
+        watch: function(handler, collectionId) {
+          return getProgressStore().watch(PROGRESS_KEY, function(change) {
+            var before = change.oldValue || {};
+            var after = change.newValue || {};
+            Object.keys(Object.assign({}, before, after)).forEach(function(id) {
+              if (collectionId !== undefined && collectionId !== null && String(collectionId) !== id) {
+                return;
+              }
+              if (JSON.stringify(before[id]) === JSON.stringify(after[id])) {
+                return;
+              }
+              handler(summarizeProgress(after[id] ? after[id].collectionId || id : id, after[id]), {
+                collectionId: id,
+                source: change.source
+              });
+            });
+          });
+        }
       },
 
       /**
-       * Wis alle storage data
-       *
-       * @param {Function} callback - Optionele functie die wordt aangeroepen na wissen
-       * @param {string} customKey - Optionele custom localStorage key
-       *
-       * @example
-       * stqry.storage.clear(function() {
-       *   console.log('Alle data gewist!');
-       * });
+       * Analytics API - Gebruik van de pagina meten
+       * Events worden verrijkt, in localStorage gebufferd en in batches verstuurd naar
+       * een sink functie, de host (analytics.track, als die dat ondersteunt) of een HTTP endpoint.
        */
-      clear: function(callback, customKey) {
-        var storageKey = customKey || STORAGE_KEY;
-
-        // In NoRuntime mode: wis direct in localStorage
-        if (window.stqryRuntime === 'NoRuntime') {
-          setStoredData(storageKey, {});
-          this.broadcastUpdate({});
-          if (callback) callback();
-          return;
-        }
+      analytics: {
+        /**
+         * Registreer een event
+         * Het event krijgt runtime, device, taal, user id en de content context mee.
+         *
+         * @param {string} name - Naam van het event (bijv. 'quiz_answered')
+         * @param {Object} props - Optionele JSON-serialiseerbare eigenschappen
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met true/false,
+         *                              of met de TypeError bij een ontbrekende naam
+         * @returns {Promise} Resolved met true als het event is gebufferd, false zonder analytics consent,
+         *                    bij opt-out, buiten de sample of als de buffer niet kon worden opgeslagen
+         *                    (props die niet naar JSON kunnen, volle localStorage). Rejected met een
+         *                    TypeError zonder naam.
+         *
+         * @example
+         * stqry.analytics.track('quiz_answered', { question: 3, correct: true });
+         */
+        track: function(name, props, callback) {
+          if (typeof name !== 'string' || !name) {
+            return rejectInput(new TypeError('analytics.track verwacht een event naam, kreeg: ' + name), callback);
+          }
+          var timestamp = Date.now();
+          var url = window.location.href;
+
+          return withCallback(Promise.all([hasConsent('analytics'), isAnalyticsOptedOut()]).then(function(checks) {
+            if (!checks[0] || checks[1] || !isAnalyticsSampled()) {
+              return false;
+            }
+            return getAnalyticsEnrichment().then(function(enrichment) {
+              var buffer = readAnalyticsBuffer();
+              buffer.push(Object.assign({
+                id: timestamp + '-' + (++lastAnalyticsId) + '-' + Math.random().toString(36).slice(2, 8),
+                name: name,
+                props: props || {},
+                timestamp: timestamp,
+                url: url
+              }, enrichment));
+              // Niet te serialiseren props of een volle localStorage: er is niets gebufferd
+              if (!writeAnalyticsBuffer(buffer)) {
+                return false;
+              }
+
+              if (buffer.length >= analyticsConfig.batchSize) {
+                flushAnalytics();
+              } else {
+                scheduleAnalyticsFlush();
+              }
+              return true;
+            });
+          }), callback);
+        },
+
+        /**
+         * Verstuur alle gebufferde events nu
+         *
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met het aantal verstuurde events
+         * @returns {Promise} Resolved met het aantal verstuurde events
+         */
+        flush: function(callback) {
+          return withCallback(flushAnalytics(), callback);
+        },
+
+        /**
+         * Bekijk de events die nog niet zijn verstuurd
+         *
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met de events
+         * @returns {Promise} Resolved met de gebufferde events, oudste eerst
+         */
+        pending: function(callback) {
+          return resolveLocal(readAnalyticsBuffer, callback);
+        },
+
+        /**
+         * Zet analytics voor deze bezoeker uit of weer aan
+         * De keuze wordt bewaard via stqry.storage; bij uitzetten wordt de buffer gewist.
+         *
+         * @param {boolean} optOut - true om uit te zetten (default), false om weer aan te zetten
+         * @param {Function} callback - Optionele callback
+         * @returns {Promise} Resolved zodra de keuze is opgeslagen
+         *
+         * @example
+         * document.getElementById('no-tracking').onclick = function() {
+         *   stqry.analytics.optOut();
+         * };
+         */
+        optOut: function(optOut, callback) {
+          var value = optOut !== false;
+          analyticsOptOut = Promise.resolve(value);
+          if (value) {
+            writeAnalyticsBuffer([]);
+          }
+          return withCallback(getAnalyticsStore().set({ optOut: value }), callback);
+        },
+
+        /**
+         * Controleer of de bezoeker analytics heeft uitgezet
+         *
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met true/false
+         * @returns {Promise} Resolved met true als analytics uit staat
+         */
+        isOptedOut: function(callback) {
+          return withCallback(isAnalyticsOptedOut(), callback);
+        },
 
-        // In IFrame/ReactNative mode: stuur request naar parent
-        callApp('storage.clear', {
-          storageKey: storageKey
-        }, callback);
+        /**
+         * Pas de analytics instellingen aan
+         *
+         * @param {Object} options - Instellingen om te overschrijven
+         * @param {string} options.endpoint - HTTP endpoint voor de batches
+         * @param {Function} options.sink - Functie die elke batch ontvangt, gaat voor host en endpoint
+         * @param {number} options.sampleRate - Fractie van de sessies die meetelt (0-1)
+         * @param {number} options.batchSize - Events per batch
+         * @param {number} options.flushInterval - ms wachten voordat gebufferde events worden verstuurd
+         * @param {number} options.maxBuffer - Maximaal aantal gebufferde events
+         * @returns {Object} De actuele analytics instellingen
+         *
+         * @example
+         * stqry.analytics.configure({ endpoint: 'https://example.com/collect', sampleRate: 0.25 });
+         */
+        configure: function(options) {
+          Object.assign(analyticsConfig, options);
+          return Object.assign({}, analyticsConfig);
+        },
+
+        /**
+         * Maak een sink die batches in het geheugen bewaart, voor tests en lokale ontwikkeling
+         *
+         * @returns {Function} Sink functie met een events array en een clear() methode
+         *
+         * @example
+         * var sink = stqry.analytics.createMemorySink();
+         * stqry.analytics.configure({ sink: sink, flushInterval: 0 });
+         * stqry.analytics.track('opened').then(stqry.analytics.flush).then(function() {
+         *   console.log(sink.events[0].name); // 'opened'
+         * });
+         */
+        createMemorySink: function() {
+          var sink = function(events) {
+            Array.prototype.push.apply(sink.events, events);
+            sink.batches.push(events);
+          };
+          sink.events = [];
+          sink.batches = [];
+          sink.clear = function() {
+            sink.events.length = 0;
+            sink.batches.length = 0;
+          };
+          return sink;
+        }
       },
 
       /**
-       * Broadcast storage updates naar andere windows/tabs
-       * Gebruikt een speciaal localStorage event mechanisme voor cross-tab communicatie
-       *
-       * @param {Object} data - De nieuwe data state om te broadcas ten
-       * @private
+       * Consent API - Toestemming van de bezoeker per categorie
+       * Categorieën: 'functional' (altijd toegestaan), 'analytics' en 'personalization'.
+       * Zolang er geen (actuele) toestemming is, weigeren namespaces van die categorie
+       * schrijfacties met een ConsentRequired error en registreert stqry.analytics niets.
        */
-      broadcastUpdate: function(data) {
-        // Schrijf naar een speciale event key in localStorage
-        // Het storage event wordt gefired in alle andere tabs/windows
-        localStorage.setItem('stqryStorageEvent', JSON.stringify({
-          timestamp: Date.now(), // Timestamp zorgt dat de waarde altijd verandert
-          data: data
-        }));
-      }
-    },
+      consent: {
+        /**
+         * Haal het consent record op
+         *
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met het record
+         * @returns {Promise} Resolved met {version, timestamp, categories}, of null als er nog niets is gekozen
+         */
+        get: function(callback) {
+          return withCallback(getConsentRecord(), callback);
+        },
 
-    /**
-     * User API - Gebruikers informatie
-     * In NoRuntime mode gebruikt het een fallback user object
-     */
-    user: {
-      /**
-       * Haal gebruikers informatie op
-       *
-       * @param {Function} callback - Functie die wordt aangeroepen met user object
-       *
-       * @example
-       * stqry.user.get(function(user) {
-       *   console.log('User:', user.name);
-       *   console.log('Email:', user.email);
-       * });
-       */
-      get: function(callback) {
-        // Helper functie om lokale user data op te halen
-        var getLocalUser = function() {
-          var storedUser = localStorage.getItem('stqryUser');
-          return storedUser ? JSON.parse(storedUser) : {
-            id: 'demo-user',
-            name: 'Demo User',
-            email: 'demo@example.com',
-            isGuest: true
+        /**
+         * Controleer of de bezoeker toestemming heeft gegeven voor een categorie
+         * Een record met een oudere versie dan consentConfig.version telt niet.
+         *
+         * @param {string} category - 'functional', 'analytics' of 'personalization'
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met true/false
+         * @returns {Promise} Resolved met true of false
+         *
+         * @example
+         * stqry.consent.has('analytics').then(function(allowed) {
+         *   banner.hidden = allowed;
+         * });
+         */
+        has: function(category, callback) {
+          return withCallback(hasConsent(category), callback);
+        },
+
+        /**
+         * Leg de keuze van de bezoeker vast
+         * Categorieën die niet worden genoemd gelden als geweigerd; 'functional' staat altijd aan.
+         * Zonder analytics toestemming wordt de analytics buffer gewist.
+         *
+         * @param {Object} categories - Bijv. {analytics: true, personalization: false}
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met het nieuwe record
+         * @returns {Promise} Resolved met het opgeslagen record
+         *
+         * @example
+         * document.getElementById('accept').onclick = function() {
+         *   stqry.consent.set({ analytics: true, personalization: true });
+         * };
+         */
+        set: function(categories, callback) {
+          var record = {
+            version: consentConfig.version,
+            timestamp: Date.now(),
+            categories: {}
           };
-        };
+          CONSENT_CATEGORIES.forEach(function(category) {
+            record.categories[category] = category === 'functional' || !!(categories && categories[category] === true);
+          });
 
-        if (window.stqryRuntime === 'NoRuntime') {
-          var user = getLocalUser();
-          if (callback) callback(user);
-          return user;
-        }
+          if (!record.categories.analytics) {
+            writeAnalyticsBuffer([]);
+          }
 
-        // In IFrame/ReactNative mode: probeer parent, fallback naar localStorage
-        callApp('user.get', {}, callback, function() {
-          // Fallback: gebruik lokale data
-          if (callback) callback(getLocalUser());
-        });
+          var changeset = {};
+          changeset[CONSENT_KEY] = record;
+          consentRecord = Promise.resolve(record);
+          return withCallback(getConsentStore().set(changeset).then(function() {
+            emitHostEvent('consent.changed', record, { source: 'local' });
+            return record;
+          }), callback);
+        },
+
+        /**
+         * Geef toestemming voor alle categorieën
+         *
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met het nieuwe record
+         * @returns {Promise} Resolved met het opgeslagen record
+         */
+        acceptAll: function(callback) {
+          return this.set({ analytics: true, personalization: true }, callback);
+        },
+
+        /**
+         * Weiger alle niet-functionele categorieën
+         *
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met het nieuwe record
+         * @returns {Promise} Resolved met het opgeslagen record
+         */
+        rejectAll: function(callback) {
+          return this.set({}, callback);
+        },
+
+        /**
+         * "Vergeet mij": wis alle data die de bridge over de bezoeker bewaart
+         * Wist elke beschreven storageKey (ook bij de host, in IFrame/ReactNative mode),
+         * de outbox, de analytics buffer, het consent record en alle overige stqry* keys
+         * in localStorage en sessionStorage. Schrijfacties die nog in de outbox wachten
+         * worden rejected met een StorageError.
+         *
+         * @param {Function} callback - Optionele callback
+         * @returns {Promise} Resolved zodra alles is gewist; rejected als de host data niet kon worden gewist
+         *                    (de lokale data is dan wel gewist)
+         *
+         * @example
+         * stqry.consent.forget().then(function() {
+         *   alert('Je gegevens zijn verwijderd');
+         * });
+         */
+        forget: function(callback) {
+          // Openstaande schrijfacties mogen de data niet terugzetten
+          discardOutbox(new StorageError('Storage mutatie geannuleerd: consent.forget wist alle data', 'consent.forget'));
+          writeAnalyticsBuffer([]);
+          if (analyticsFlushTimer) {
+            clearTimeout(analyticsFlushTimer);
+            analyticsFlushTimer = null;
+          }
+
+          var failure = null;
+          var cleared = readKnownStorageKeys().map(function(storageKey) {
+            return forgetStorageKey(storageKey).then(null, function(err) {
+              failure = failure || err;
+            });
+          });
+
+          return withCallback(Promise.all(cleared).then(function() {
+            [localStore, window.sessionStorage].forEach(function(store) {
+              try {
+                // De outbox blijft staan: daarin wachten alleen nog de removes van hierboven op de host
+                storeKeys(store).filter(function(key) {
+                  return key.indexOf('stqry') === 0 && key !== OUTBOX_KEY;
+                }).forEach(function(key) {
+                  store.removeItem(key);
+                });
+              } catch (e) {
+                // Opslag niet beschikbaar: niets te wissen
+              }
+            });
+
+            // Vergeet ook wat deze pagina nog in het geheugen heeft
+            consentRecord = Promise.resolve(null);
+            memoryVisitorId = null;
+            analyticsOptOut = null;
+            analyticsEnrichment = null;
+            namespaceMigrations = {};
+            emitHostEvent('consent.changed', null, { source: 'local' });
+
+            if (failure) {
+              throw failure;
+            }
+          }), callback);
+        },
+
+        /**
+         * Pas de consent instellingen aan
+         *
+         * @param {Object} options - Instellingen om te overschrijven
+         * @param {number} options.version - Versie van de consent tekst; verhoog om opnieuw toestemming te vragen
+         * @param {boolean} options.required - false om de gating uit te zetten
+         * @returns {Object} De actuele consent instellingen
+         */
+        configure: function(options) {
+          Object.assign(consentConfig, options);
+          return Object.assign({}, consentConfig);
+        }
       },
 
       /**
-       * Sla user informatie op (alleen NoRuntime mode)
-       *
-       * @param {Object} user - User object om op te slaan
-       * @param {Function} callback - Optionele callback
+       * I18n API - Vertalingen die de taal van de app volgen
        */
-      set: function(user, callback) {
-        if (window.stqryRuntime === 'NoRuntime') {
-          localStorage.setItem('stqryUser', JSON.stringify(user));
-          if (callback) callback();
-          return;
-        }
+      i18n: {
+        /**
+         * Start i18n: haal de taal op via stqry.language.get(), laad de catalogs en vertaal de pagina
+         * Daarna volgt i18n taalwissels van de host, language.set en andere tabs, en controleert
+         * het de taal opnieuw als de pagina weer zichtbaar wordt (na een wissel in de app instellingen).
+         *
+         * @param {Object} options - Optionele instellingen, zie stqry.i18n.configure()
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met de taal
+         * @returns {Promise} Resolved met de actieve taal zodra de pagina is vertaald
+         *
+         * @example
+         * stqry.i18n.init({
+         *   catalogs: {
+         *     nl: { title: 'Welkom', stops: { one: '{count} stop', other: '{count} stops' } },
+         *     en: { title: 'Welcome', stops: { one: '{count} stop', other: '{count} stops' } }
+         *   }
+         * });
+         */
+        init: function(options, callback) {
+          this.configure(options);
 
-        // In andere modes wordt user beheerd door de parent
-        console.warn('user.set() is alleen beschikbaar in NoRuntime mode');
-        if (callback) callback();
-      }
-    },
+          if (!i18nStarted) {
+            i18nStarted = true;
+            document.addEventListener('visibilitychange', function() {
+              if (document.visibilityState !== 'visible') {
+                return;
+              }
+              stqry.language.get().then(function(lang) {
+                if (lang && lang !== i18nLanguage) {
+                  emitHostEvent('language.changed', { language: lang }, { source: 'host' });
+                }
+              }, function() {});
+            });
+          }
 
-    /**
-     * Device API - Device informatie
-     */
-    device: {
-      /**
-       * Haal device informatie op
-       *
-       * @param {Function} callback - Functie die wordt aangeroepen met device info
-       *
-       * @example
-       * stqry.device.get(function(device) {
-       *   console.log('Platform:', device.platform);
-       *   console.log('OS:', device.os);
-       * });
-       */
-      get: function(callback) {
-        // Helper functie om lokale device info te detecteren
-        var getLocalDevice = function() {
-          return {
-            platform: navigator.platform,
-            userAgent: navigator.userAgent,
-            language: navigator.language,
-            online: navigator.onLine,
-            screenWidth: window.screen.width,
-            screenHeight: window.screen.height,
-            windowWidth: window.innerWidth,
-            windowHeight: window.innerHeight,
-            devicePixelRatio: window.devicePixelRatio || 1,
-            touchSupport: 'ontouchstart' in window,
-            // Detecteer OS
-            os: (function() {
-              var ua = navigator.userAgent;
-              if (ua.indexOf('Win') !== -1) return 'Windows';
-              if (ua.indexOf('Mac') !== -1) return 'MacOS';
-              if (ua.indexOf('Linux') !== -1) return 'Linux';
-              if (ua.indexOf('Android') !== -1) return 'Android';
-              if (ua.indexOf('iOS') !== -1 || ua.indexOf('iPhone') !== -1) return 'iOS';
-              return 'Unknown';
-            })(),
-            // Detecteer browser
-            browser: (function() {
-              var ua = navigator.userAgent;
-              if (ua.indexOf('Firefox') !== -1) return 'Firefox';
-              if (ua.indexOf('Chrome') !== -1) return 'Chrome';
-              if (ua.indexOf('Safari') !== -1) return 'Safari';
-              if (ua.indexOf('Edge') !== -1) return 'Edge';
-              return 'Unknown';
-            })()
-          };
-        };
+          return withCallback(stqry.language.get().then(null, function() {
+            return i18nConfig.fallbackLanguage;
+          }).then(applyI18nLanguage), callback);
+        },
 
-        if (window.stqryRuntime === 'NoRuntime') {
-          var device = getLocalDevice();
-          if (callback) callback(device);
-          return device;
-        }
+        /**
+         * Voeg berichten toe aan de catalog van een taal
+         *
+         * @param {string} lang - Taal code (bijv. 'nl' of 'nl-BE')
+         * @param {Object} messages - Berichten, plat of genest; meervoud als {zero, one, other, ...}
+         */
+        add: function(lang, messages) {
+          i18nCatalogs[lang] = Object.assign(i18nCatalogs[lang] || {}, messages);
+        },
 
-        // In IFrame/ReactNative mode: probeer parent, fallback naar browser detection
-        callApp('device.get', {}, callback, function() {
-          // Fallback: gebruik browser APIs
-          if (callback) callback(getLocalDevice());
-        });
-      }
-    },
+        /**
+         * Vertaal een key in de actieve taal, met fallback (bijv. nl-BE → nl → en)
+         *
+         * @param {string} key - De bericht key (bijv. 'quiz.title')
+         * @param {Object} params - Optionele waarden voor {placeholders}; count kiest de meervoudsvorm
+         * @returns {string} De vertaling, of de key als er geen vertaling is
+         *
+         * @example
+         * stqry.i18n.t('stops', { count: 3 }); // '3 stops'
+         */
+        t: function(key, params) {
+          return translateKey(key, params);
+        },
+
+        /**
+         * Wissel van taal via stqry.language.set() en vertaal de pagina opnieuw
+         *
+         * @param {string} lang - Taal code
+         * @param {Function} callback - Optionele functie die wordt aangeroepen met de taal
+         * @returns {Promise} Resolved met de taal zodra de pagina is vertaald
+         */
+        setLanguage: function(lang, callback) {
+          return withCallback(stqry.language.set(lang).then(function() {
+            // language.set meldt de wissel al via language.changed (bijv. met de lokale fallback):
+            // is de pagina al (bezig met) vertalen naar deze taal, dan niet nog eens
+            if (lang === i18nLanguage && i18nApplied) {
+              return i18nApplied;
+            }
+            return applyI18nLanguage(lang);
+          }), callback);
+        },
+
+        /**
+         * De actieve taal
+         *
+         * @returns {string|null} Taal code, of null vóór stqry.i18n.init()
+         */
+        getLanguage: function() {
+          return i18nLanguage;
+        },
+
+        /**
+         * Vertaal de data-i18n elementen binnen een element, bijv. na het toevoegen van nieuwe HTML
+         *
+         * @param {Element} root - Optioneel element (default: het hele document)
+         *
+         * @example
+         * list.innerHTML = '<li data-i18n="quiz.start"></li>';
+         * stqry.i18n.translate(list);
+         */
+        translate: function(root) {
+          renderI18n(root);
+        },
+
+        /**
+         * Pas de i18n instellingen aan
+         *
+         * @param {Object} options - Instellingen om te overschrijven
+         * @param {string} options.fallbackLanguage - Laatste taal in de fallback keten (default: 'en')
+         * @param {string} options.loadPath - URL template voor catalogs, bijv. 'locales/{lang}.json'
+         * @param {boolean} options.autoRender - Vertaal data-i18n elementen bij een taalwissel (default: true)
+         * @param {Object} options.catalogs - Catalogs per taal, zoals stqry.i18n.add()
+         * @returns {Object} De actuele i18n instellingen
+         */
+        configure: function(options) {
+          options = Object.assign({}, options);
+          var catalogs = options.catalogs || {};
+          delete options.catalogs;
+          Object.keys(catalogs).forEach(function(lang) {
+            this.add(lang, catalogs[lang]);
+          }, this);
+          Object.assign(i18nConfig, options);
+          return Object.assign({}, i18nConfig);
+        }
+      },
 
-    /**
-     * Language API - Taal voorkeuren
-     */
-    language: {
       /**
-       * Haal huidige taal op
-       *
-       * @param {Function} callback - Functie die wordt aangeroepen met taal code
-       *
-       * @example
-       * stqry.language.get(function(lang) {
-       *   console.log('Language:', lang); // 'nl', 'en', etc.
-       * });
+       * Linking API - Externe URLs en interne STQRY content openen
+       * Spreekt de linking.* acties die de STQRY app afhandelt (zonder callback response)
        */
-      get: function(callback) {
-        // Helper functie om lokale taal op te halen
-        var getLocalLanguage = function() {
-          var storedLang = localStorage.getItem('stqryLanguage');
-          return storedLang || navigator.language.split('-')[0]; // 'nl-NL' -> 'nl'
-        };
+      linking: {
+        /**
+         * Open een externe URL in de browser
+         *
+         * @param {string} url - Absolute http(s) URL
+         * @param {Function} callback - Optionele callback, krijgt bij een ongeldige URL de TypeError
+         * @returns {Promise} Resolved zodra de URL is geopend, rejected bij een ongeldige URL
+         *
+         * @example
+         * stqry.linking.openExternal('https://stqry.com');
+         */
+        openExternal: function(url, callback) {
+          if (typeof url !== 'string' || !/^https?:\/\/[^\s\/]+/i.test(url)) {
+            return rejectInput(new TypeError('linking.openExternal verwacht een http(s) URL, kreeg: ' + url), callback);
+          }
 
-        if (window.stqryRuntime === 'NoRuntime') {
-          var lang = getLocalLanguage();
-          if (callback) callback(lang);
-          return lang;
-        }
+          // In NoRuntime mode: open direct in een nieuw venster
+          if (runtime === 'NoRuntime') {
+            return resolveLocal(function() {
+              window.open(url, '_blank');
+            }, callback);
+          }
 
-        // Probeer parent, fallback naar localStorage/browser
-        callApp('language.get', {}, callback, function() {
-          if (callback) callback(getLocalLanguage());
-        });
+          return notifyApp('linking.openExternal', { link: url }, callback);
+        },
+
+        /**
+         * Open interne STQRY content (in de app als overlay/modal)
+         *
+         * @param {Object} target - De content om te openen
+         * @param {string} target.subtype - Content type: 'tour', andere subtypes alleen met
+         *                                  linkingConfig.allowUnverifiedSubtypes
+         * @param {number|string} target.id - Numerieke content ID
+         * @param {Function} callback - Optionele callback, krijgt bij ongeldige parameters de TypeError
+         * @returns {Promise} Resolved zodra de content is geopend, rejected bij ongeldige parameters
+         *
+         * @example
+         * stqry.linking.openInternal({ subtype: 'tour', id: 57959 });
+         */
+        openInternal: function(target, callback) {
+          var subtype = target && target.subtype;
+          var id = target ? Number(target.id) : NaN;
+
+          if (INTERNAL_LINK_SUBTYPES.indexOf(subtype) === -1) {
+            return rejectInput(new TypeError('linking.openInternal: onbekend subtype: ' + subtype), callback);
+          }
+          if (VERIFIED_LINK_SUBTYPES.indexOf(subtype) === -1 && !linkingConfig.allowUnverifiedSubtypes) {
+            return rejectInput(new TypeError('linking.openInternal: subtype ' + subtype + ' werkt niet bevestigd in de app, ' +
+              'zet stqry.linking.configure({ allowUnverifiedSubtypes: true }) om het toch te proberen'), callback);
+          }
+          if (!(id > 0) || Math.floor(id) !== id) {
+            return rejectInput(new TypeError('linking.openInternal: id moet een positief geheel getal zijn, kreeg: ' + (target && target.id)), callback);
+          }
+
+          // In NoRuntime mode: navigeer naar de geconfigureerde URL template
+          if (runtime === 'NoRuntime') {
+            return resolveLocal(function() {
+              window.location.href = linkingConfig.internalUrlTemplate
+                .replace('{subtype}', encodeURIComponent(subtype))
+                .replace('{id}', id);
+            }, callback);
+          }
+
+          return notifyApp('linking.openInternal', {
+            params: {
+              subtype: subtype,
+              id: id
+            }
+          }, callback);
+        },
+
+        /**
+         * Pas de linking configuratie aan
+         *
+         * @param {Object} options - Opties om te overschrijven
+         * @param {string} options.internalUrlTemplate - NoRuntime URL voor openInternal,
+         *                                               met {subtype} en {id} placeholders
+         * @param {boolean} options.allowUnverifiedSubtypes - Sta openInternal ook toe voor subtypes
+         *                                                    die niet bevestigd werken in de app
+         *
+         * @example
+         * stqry.linking.configure({ internalUrlTemplate: '/tour/{id}' });
+         */
+        configure: function(options) {
+          Object.assign(linkingConfig, options);
+        }
       },
 
       /**
-       * Zet de taal
+       * Luister naar acties die de host (of de bridge zelf) pusht
+       * Gebruik '*' om alle acties te ontvangen, handig om onbekende host berichten te ontdekken.
+       * Ingebouwde acties: 'storage.updated' (ook uit andere tabs) en 'language.changed'.
        *
-       * @param {string} lang - Taal code (bijv. 'nl', 'en')
-       * @param {Function} callback - Optionele callback
+       * @param {string} action - De actie naam, of '*'
+       * @param {Function} handler - Ontvangt (data, event) met event {action, source, message},
+       *                             source is 'host', 'tab' of 'local'
+       * @returns {Function} Roep aan om de handler af te melden
        *
        * @example
-       * stqry.language.set('en', function() {
-       *   console.log('Language set to English');
+       * stqry.on('app.resume', function() {
+       *   refreshContent();
+       * });
+       *
+       * stqry.on('*', function(data, event) {
+       *   console.log('Host stuurde', event.action, data);
        * });
        */
-      set: function(lang, callback) {
-        if (window.stqryRuntime === 'NoRuntime') {
-          localStorage.setItem('stqryLanguage', lang);
-          // Trigger event voor andere tabs
-          var event = new CustomEvent('stqryLanguageChanged', {
-            detail: { language: lang }
-          });
-          window.dispatchEvent(event);
-          if (callback) callback();
-          return;
-        }
+      on: function(action, handler) {
+        return onHostEvent(action, handler);
+      },
 
-        callApp('language.set', { language: lang }, callback);
-      }
-    },
+      /**
+       * Meld een handler af die met stqry.on() is geregistreerd
+       *
+       * @param {string} action - De actie naam, of '*'
+       * @param {Function} handler - De handler; zonder handler worden alle handlers voor de actie afgemeld
+       */
+      off: function(action, handler) {
+        offHostEvent(action, handler);
+      },
 
-    /**
-     * Location API - Navigatie en locatie
-     */
-    location: {
       /**
-       * Navigeer naar een nieuwe URL of route
+       * Pas de globale call instellingen aan (per call te overschrijven met een options argument)
        *
-       * @param {string} url - URL of route om naar toe te navigeren
-       * @param {Function} callback - Optionele callback
+       * @param {Object} options - Instellingen om te overschrijven
+       * @param {number} options.timeout - ms wachten op de parent voordat een call faalt (default: 5000)
+       * @param {number} options.fallbackTimeout - ms wachten voordat de fallback wordt gebruikt (default: 100)
+       * @param {number} options.retries - Aantal retries na een timeout (default: 0)
+       * @param {number} options.retryDelay - ms voor de eerste retry, verdubbelt per poging (default: 200)
+       * @param {Function} options.onError - Wordt aangeroepen met elke mislukte call
+       * @param {string[]} options.trustedOrigins - Vertrouwde parent origins in IFrame mode,
+       *                                            met * wildcard (default: STQRY preview/productie)
+       * @param {boolean} options.debug - Log waarschuwingen voor geweigerde berichten
        *
        * @example
-       * stqry.location.set('/home', function() {
-       *   console.log('Navigated to home');
+       * stqry.configure({
+       *   timeout: 3000,
+       *   retries: 2,
+       *   onError: function(err) {
+       *     if (err instanceof stqry.errors.TimeoutError) showOfflineBanner();
+       *   }
        * });
        */
-      set: function(url, callback) {
-        if (window.stqryRuntime === 'NoRuntime') {
-          // In browser: gewoon navigeren
-          window.location.href = url;
-          if (callback) callback();
-          return;
-        }
+      configure: function(options) {
+        Object.assign(bridgeConfig, options);
+      },
 
-        // In IFrame/ReactNative: vraag parent om te navigeren
-        // Met fallback naar directe navigatie als parent niet reageert
-        callApp('location.set', { url: url }, callback, function() {
-          // Fallback: navigeer direct
-          window.location.href = url;
-          if (callback) callback();
-        });
+      /**
+       * Error types waarmee mislukte calls worden rejected
+       */
+      errors: {
+        TimeoutError: TimeoutError,
+        HostError: HostError,
+        UnsupportedAction: UnsupportedAction,
+        ConsentRequired: ConsentRequired,
+        StorageError: StorageError,
+        UntrustedParent: UntrustedParent
       },
 
       /**
-       * Ga terug naar vorige pagina
+       * Bepaal welke acties en protocol versies de host ondersteunt
+       * Het resultaat wordt per sessie gecached; methodes met een lokale fallback
+       * gebruiken het om deterministisch te kiezen tussen host en fallback.
        *
-       * @param {Function} callback - Optionele callback
+       * @param {Function} callback - Optionele functie die wordt aangeroepen met de capabilities
+       * @param {boolean} refresh - Negeer de cache en probe de host opnieuw
+       * @returns {Promise} Resolved met {runtime, handshake, versions, actions}
        *
        * @example
-       * stqry.location.back();
+       * stqry.capabilities().then(function(caps) {
+       *   if (caps.actions['location.close']) {
+       *     console.log('Host kan de webview sluiten met versie', caps.actions['location.close']);
+       *   }
+       * });
        */
-      back: function(callback) {
-        if (window.stqryRuntime === 'NoRuntime') {
-          window.history.back();
-          if (callback) callback();
-          return;
-        }
-
-        // Met fallback naar history.back() als parent niet reageert
-        callApp('location.back', {}, callback, function() {
-          window.history.back();
-          if (callback) callback();
-        });
+      capabilities: function(callback, refresh) {
+        return withCallback(getCapabilities(refresh), callback);
       },
 
       /**
-       * Sluit de huidige view/webview
-       *
-       * @param {Function} callback - Optionele callback
-       *
-       * @example
-       * stqry.location.close();
+       * Debug API - Trace van al het berichtenverkeer met de host
+       * Aan te zetten met stqry.debug.enable(), met ?stqryDebug=1 in de URL
+       * of met localStorage.stqryDebug = '1' (blijft aan na herladen).
        */
-      close: function(callback) {
-        var doClose = function() {
-          // Probeer window te sluiten of ga terug
-          window.close();
-          // Fallback als window.close() niet werkt
-          if (!window.closed) {
-            window.history.back();
+      debug: {
+        /**
+         * Start met het vastleggen van alle uitgaande en inkomende berichten
+         * Zet ook de waarschuwingen voor geweigerde berichten aan.
+         *
+         * @param {Object} options - Optionele instellingen
+         * @param {boolean} options.overlay - Toon het trace paneel onderin de pagina
+         * @param {boolean} options.persist - Laat tracing aan staan na herladen
+         * @param {number} options.maxEntries - Maximaal aantal bewaarde entries (default: 500)
+         *
+         * @example
+         * stqry.debug.enable({ overlay: true, persist: true });
+         */
+        enable: function(options) {
+          options = options || {};
+          debugTrace = debugTrace || [];
+          debugMaxEntries = options.maxEntries || debugMaxEntries;
+          bridgeConfig.debug = true;
+
+          if (options.persist) {
+            try {
+              localStore.setItem(DEBUG_FLAG_KEY, '1');
+            } catch (e) {
+              // localStorage niet beschikbaar: alleen voor deze pagina
+            }
           }
-          if (callback) callback();
-        };
+          if (options.overlay) {
+            showDebugOverlay();
+          }
+        },
 
-        if (window.stqryRuntime === 'NoRuntime') {
-          doClose();
-          return;
-        }
+        /**
+         * Stop met tracen, verberg het overlay en vergeet de trace
+         */
+        disable: function() {
+          debugTrace = null;
+          traceRequests = {};
+          bridgeConfig.debug = false;
+          hideDebugOverlay();
+          try {
+            localStore.removeItem(DEBUG_FLAG_KEY);
+          } catch (e) {
+            // Negeer
+          }
+        },
+
+        /**
+         * Check of tracing aan staat
+         *
+         * @returns {boolean}
+         */
+        isEnabled: function() {
+          return debugTrace !== null;
+        },
+
+        /**
+         * Haal de trace op
+         *
+         * @returns {Array} Kopie van de entries: {id, time, direction, action, callbackId,
+         *                  message, latency, requestAction, origin, rejected}
+         */
+        trace: function() {
+          return (debugTrace || []).slice();
+        },
+
+        /**
+         * Wis de vastgelegde trace
+         */
+        clear: function() {
+          if (debugTrace) {
+            debugTrace.length = 0;
+          }
+          traceRequests = {};
+          renderDebugOverlay();
+        },
+
+        /**
+         * Exporteer de trace als JSON string, met runtime en user agent als context
+         *
+         * @returns {string}
+         */
+        export: function() {
+          return JSON.stringify({
+            runtime: runtime,
+            userAgent: navigator.userAgent,
+            url: window.location.href,
+            exportedAt: new Date().toISOString(),
+            entries: this.trace()
+          }, null, 2);
+        },
+
+        /**
+         * Download de trace als JSON bestand (gebruikt door de Export knop in het overlay)
+         */
+        download: function() {
+          var link = document.createElement('a');
+          link.href = URL.createObjectURL(new Blob([this.export()], { type: 'application/json' }));
+          link.download = 'stqry-trace-' + Date.now() + '.json';
+          document.body.appendChild(link);
+          link.click();
+          document.body.removeChild(link);
+        },
 
-        // Met fallback als parent niet reageert
-        callApp('location.close', {}, callback, doClose);
+        /**
+         * Toon het trace paneel (zet tracing aan als dat nog niet zo is)
+         */
+        showOverlay: function() {
+          this.enable({ overlay: true });
+        },
+
+        /**
+         * Verberg het trace paneel (tracing blijft aan)
+         */
+        hideOverlay: function() {
+          hideDebugOverlay();
+        }
       },
 
       /**
-       * Haal huidige locatie/route op
-       *
-       * @param {Function} callback - Functie die wordt aangeroepen met locatie info
+       * Utility functies
        */
-      get: function(callback) {
-        // Helper functie om lokale location info op te halen
-        var getLocalLocation = function() {
+      utils: {
+        /**
+         * Check welke runtime mode actief is
+         *
+         * @returns {string} 'NoRuntime', 'IFrame', of 'ReactNative'
+         */
+        getRuntime: function() {
+          return runtime;
+        },
+
+        /**
+         * Check of we in een standalone browser zijn
+         *
+         * @returns {boolean}
+         */
+        isStandalone: function() {
+          return runtime === 'NoRuntime';
+        },
+
+        /**
+         * Check of we in een iframe zitten
+         *
+         * @returns {boolean}
+         */
+        isIFrame: function() {
+          return runtime === 'IFrame';
+        },
+
+        /**
+         * Check of we in React Native zitten
+         *
+         * @returns {boolean}
+         */
+        isReactNative: function() {
+          return runtime === 'ReactNative';
+        },
+
+        /**
+         * Check hoe deze tab met andere tabs en frames communiceert
+         *
+         * @returns {Object} {transport: 'broadcast'|'storage'|'memory', storage: 'localStorage'|'memory', leader: boolean}
+         */
+        getTransport: function() {
           return {
-            href: window.location.href,
-            pathname: window.location.pathname,
-            search: window.location.search,
-            hash: window.location.hash,
-            host: window.location.host
+            transport: transport ? transport.type : null,
+            storage: localStore.isMemory ? 'memory' : 'localStorage',
+            leader: isLeader
           };
-        };
-
-        if (window.stqryRuntime === 'NoRuntime') {
-          var location = getLocalLocation();
-          if (callback) callback(location);
-          return location;
         }
+      }
+    };
 
-        // Probeer parent, fallback naar window.location
-        callApp('location.get', {}, callback, function() {
-          if (callback) callback(getLocalLocation());
-        });
+    /**
+     * Ingebouwde handlers: vertaal storage.updated en language.changed naar de
+     * bestaande CustomEvents, zodat pagina's die daarop luisteren blijven werken
+     */
+    onHostEvent('storage.updated', function(data, event) {
+      if (!data) {
+        return;
+      }
+      // De app pusht de volledige data van de default storage key
+      var storageKey = event.storageKey || STORAGE_KEY;
+      // Trigger een custom DOM event zodat andere delen van de app kunnen luisteren; alleen voor de
+      // default storage key, namespaces (ook consent, progress en analytics) volg je met watch
+      if (storageKey === STORAGE_KEY) {
+        window.dispatchEvent(new CustomEvent('stqryStorageUpdated', {
+          detail: data
+        }));
+      }
+      notifyStorageWatchers(storageKey, data, event.source);
+    });
+
+    onHostEvent('language.changed', function(data) {
+      // Nieuwe analytics events krijgen de nieuwe taal mee
+      analyticsEnrichment = null;
+      window.dispatchEvent(new CustomEvent('stqryLanguageChanged', {
+        detail: { language: changedLanguage(data) }
+      }));
+    });
+
+    // Volg met stqry.i18n de taal van de app of een andere tab
+    onHostEvent('language.changed', function(data) {
+      var language = changedLanguage(data);
+      if (i18nLanguage !== null && language && language !== i18nLanguage) {
+        applyI18nLanguage(language);
+      }
+    });
+
+    onHostEvent('user.changed', function(data, event) {
+      // Nieuwe analytics events krijgen de nieuwe user ID mee
+      analyticsEnrichment = null;
+      window.dispatchEvent(new CustomEvent('stqryUserChanged', {
+        detail: { user: data, previous: event.previous || null, source: event.source }
+      }));
+    });
+
+    onHostEvent('consent.changed', function(data, event) {
+      if (event.source === 'host') {
+        consentRecord = null; // Opnieuw lezen bij de volgende check
       }
-    },
+      // Met toestemming mag de visitor ID van deze pagina worden bewaard
+      persistVisitorId();
+      window.dispatchEvent(new CustomEvent('stqryConsentChanged', {
+        detail: data || null
+      }));
+    });
 
     /**
-     * Utility functies
+     * Open het kanaal naar andere tabs en frames, en bepaal wie de outbox aflevert
      */
-    utils: {
-      /**
-       * Check welke runtime mode actief is
-       *
-       * @returns {string} 'NoRuntime', 'IFrame', of 'ReactNative'
-       */
-      getRuntime: function() {
-        return window.stqryRuntime;
-      },
+    transport = createTransport();
+    if (runtime !== 'NoRuntime') {
+      startLeaderElection();
+    }
 
-      /**
-       * Check of we in een standalone browser zijn
-       *
-       * @returns {boolean}
-       */
-      isStandalone: function() {
-        return window.stqryRuntime === 'NoRuntime';
-      },
+    /**
+     * Luister naar localStorage events van andere tabs
+     * Fallback transport als BroadcastChannel ontbreekt; ook tabs met een oudere bridge
+     * versie sturen hun updates zo.
+     *
+     * Wanneer een andere tab localStorage.setItem() aanroept, fired dit event
+     * in alle andere tabs (maar niet in de tab die de wijziging maakte)
+     */
+    window.addEventListener('storage', function(e) {
+      // Filter op onze speciale event key
+      if (e.key === STORAGE_EVENT_KEY && e.newValue) {
+        try {
+          receiveTransportMessage(JSON.parse(e.newValue));
+        } catch (err) {
+          console.error('Fout bij verwerken storage event:', err);
+        }
+      }
 
-      /**
-       * Check of we in een iframe zitten
-       *
-       * @returns {boolean}
-       */
-      isIFrame: function() {
-        return window.stqryRuntime === 'IFrame';
-      },
+      // Taalwissel in een andere tab (NoRuntime language.set)
+      if (e.key === 'stqryLanguage' && e.newValue) {
+        emitHostEvent('language.changed', { language: e.newValue }, { source: 'tab' });
+      }
+    });
 
-      /**
-       * Check of we in React Native zitten
-       *
-       * @returns {boolean}
-       */
-      isReactNative: function() {
-        return window.stqryRuntime === 'ReactNative';
+    // Zet tracing aan als daarom gevraagd is via de URL of een eerder bewaarde flag
+    try {
+      if (/[?&]stqryDebug(=|&|$)/.test(window.location.search) || localStore.getItem(DEBUG_FLAG_KEY) === '1') {
+        stqry.debug.enable({ overlay: /[?&]stqryDebug=overlay/.test(window.location.search) });
       }
+    } catch (e) {
+      // localStorage niet beschikbaar: tracing blijft uit
     }
-  };
 
-  /**
-   * Luister naar localStorage events van andere tabs
-   * Dit is hoe cross-tab synchronisatie werkt in NoRuntime mode
-   *
-   * Wanneer een andere tab localStorage.setItem() aanroept, fired dit event
-   * in alle andere tabs (maar niet in de tab die de wijziging maakte)
-   */
-  window.addEventListener('storage', function(e) {
-    // Filter op onze speciale event key
-    if (e.key === 'stqryStorageEvent' && e.newValue) {
-      try {
-        var eventData = JSON.parse(e.newValue);
-        // Trigger een custom DOM event met de nieuwe data
-        // Dit event kan opgevangen worden door applicatie code
-        var event = new CustomEvent('stqryStorageUpdated', {
-          detail: eventData.data
-        });
-        window.dispatchEvent(event);
-      } catch (err) {
-        console.error('Fout bij verwerken storage event:', err);
+    // Lever wachtende storage mutaties af zodra de verbinding of de app terug is
+    window.addEventListener('online', flushOutbox);
+    document.addEventListener('visibilitychange', function() {
+      if (document.visibilityState === 'visible') {
+        flushOutbox();
       }
+    });
+    flushOutbox();
+
+    /**
+     * Verstuur gebufferde analytics events voordat de pagina uit beeld gaat
+     * en probeer het opnieuw zodra het device weer online is
+     */
+    window.addEventListener('online', function() {
+      if (readAnalyticsBuffer().length) {
+        flushAnalytics();
+      }
+    });
+    document.addEventListener('visibilitychange', function() {
+      if (document.visibilityState === 'hidden' && readAnalyticsBuffer().length) {
+        flushAnalytics();
+      }
+    });
+    // Events uit een vorige pagina: versturen zodra de pagina zijn bestemming heeft geconfigureerd
+    if (readAnalyticsBuffer().length) {
+      scheduleAnalyticsFlush();
     }
-  });
 
-  // Log runtime mode bij laden voor debugging
-  console.log('STQRY Bridge geladen. Runtime:', window.stqryRuntime);
+    // Log runtime mode bij laden voor debugging
+    console.log('STQRY Bridge geladen. Runtime:', runtime);
+
+    return stqry;
+  }
 
-})(window);
+  return {
+    createBridge: createBridge
+  };
+});
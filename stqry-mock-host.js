@@ -0,0 +1,355 @@
+/**
+ * STQRY Mock Host
+ * Lokale nabootsing van de STQRY app voor ontwikkeling en automatische tests
+ *
+ * Spreekt hetzelfde postMessage protocol als de echte app (zie
+ * STQRY-API-REVERSE-ENGINEERING.md), zodat de IFrame en ReactNative paden van
+ * stqry-bridge.js zonder de app getest kunnen worden:
+ * - IFrame: host.attach(iframe) in de parent pagina (zie mock-host.html)
+ * - ReactNative: host.installReactNativeShim(window) vóór het laden van stqry-bridge.js
+ *
+ * Latency, weggevallen antwoorden en fouten zijn te simuleren via host.configure().
+ */
+
+(function(window) {
+  'use strict';
+
+  // Default instellingen van een mock host
+  var DEFAULT_OPTIONS = {
+    latency: 0,          // ms vertraging per antwoord, of [min, max] voor een willekeurige vertraging
+    dropRate: 0,         // Kans (0-1) dat een antwoord nooit wordt verstuurd
+    errorRate: 0,        // Kans (0-1) dat een actie met een fout antwoordt
+    unsupported: [],     // Acties die met code 'unsupported' worden afgewezen
+    handshake: true,     // Beantwoord bridge.handshake (false: zoals de huidige app)
+    user: {
+      id: 'mock-visitor',
+      name: 'Mock Visitor',
+      email: 'visitor@example.com',
+      isGuest: false
+    },
+    device: {
+      platform: 'mock',
+      os: 'Android',
+      browser: 'WebView',
+      online: true
+    },
+    language: 'nl',
+    context: {           // Antwoord op context.get (IDs van de test tour)
+      collectionAccountId: 17706,
+      collectionId: 57959,
+      collectionVersion: 1764170288,
+      itemId: 395298
+    }
+  };
+
+  // Acties die de mock host afhandelt, met de versies die hij spreekt
+  var HANDLED_ACTIONS = [
+    'storage.get', 'storage.set', 'storage.remove',
+    'user.get', 'device.get', 'language.get', 'language.set', 'context.get',
+    'analytics.track', 'navigation.back', 'linking.openExternal', 'linking.openInternal'
+  ];
+
+  // Acties waarop de echte app geen callback terugstuurt
+  var FIRE_AND_FORGET_ACTIONS = ['navigation.back', 'linking.openExternal', 'linking.openInternal'];
+
+  /**
+   * Maak een nieuwe mock host
+   *
+   * @param {Object} options - Optionele instellingen, zie DEFAULT_OPTIONS
+   * @returns {Object} Mock host met attach, installReactNativeShim, configure, push en state
+   *
+   * @example
+   * var host = stqryMockHost.create({ latency: [50, 400], dropRate: 0.1 });
+   * host.attach(document.getElementById('frame'));
+   */
+  function create(options) {
+    var config = Object.assign({}, DEFAULT_OPTIONS, options);
+    var targets = []; // Functies die een bericht naar een aangesloten pagina sturen
+    var listeners = []; // Functies die elk verkeer entry ontvangen
+
+    var host = {
+      /**
+       * Host state die de acties lezen en schrijven
+       * storage bevat per storageKey een object met key-value pairs
+       */
+      state: {
+        storage: {},
+        user: config.user,
+        device: config.device,
+        language: config.language,
+        context: config.context,
+        analytics: [], // Ontvangen analytics events
+        navigation: [] // Ontvangen navigation.* en linking.* acties
+      },
+
+      /**
+       * Alle berichten in en uit, als {direction: 'in'|'out', message, time}
+       */
+      log: [],
+
+      /**
+       * Pas de simulatie instellingen aan
+       *
+       * @param {Object} changes - Instellingen om te overschrijven
+       */
+      configure: function(changes) {
+        Object.assign(config, changes);
+      },
+
+      /**
+       * Luister naar al het verkeer tussen host en pagina
+       *
+       * @param {Function} listener - Ontvangt {direction, message, time}
+       * @returns {Function} Roep aan om te stoppen met luisteren
+       */
+      onTraffic: function(listener) {
+        listeners.push(listener);
+        return function() {
+          listeners = listeners.filter(function(candidate) {
+            return candidate !== listener;
+          });
+        };
+      },
+
+      /**
+       * Koppel de host aan een iframe (IFrame runtime)
+       * Berichten van het iframe worden afgehandeld en beantwoord via postMessage
+       *
+       * @param {HTMLIFrameElement} iframe - Het iframe met de pagina
+       */
+      attach: function(iframe) {
+        var hostWindow = iframe.ownerDocument.defaultView;
+
+        hostWindow.addEventListener('message', function(e) {
+          if (e.source !== iframe.contentWindow) {
+            return;
+          }
+          receive(e.data, function(reply) {
+            // file:// pagina's hebben origin 'null', daar kan alleen '*' mee
+            var targetOrigin = e.origin && e.origin !== 'null' ? e.origin : '*';
+            iframe.contentWindow.postMessage(JSON.stringify(reply), targetOrigin);
+          });
+        });
+
+        targets.push(function(message) {
+          iframe.contentWindow.postMessage(JSON.stringify(message), '*');
+        });
+      },
+
+      /**
+       * Installeer een ReactNativeWebView shim in een window (ReactNative runtime)
+       * Moet gebeuren vóórdat stqry-bridge.js laadt, want de runtime wordt bij het laden bepaald.
+       * Antwoorden komen binnen als message event op het window, net als in de app.
+       *
+       * @param {Window} target - Het window waarin de bridge draait
+       */
+      installReactNativeShim: function(target) {
+        var deliver = function(message) {
+          target.postMessage(JSON.stringify(message), '*');
+        };
+
+        target.ReactNativeWebView = {
+          postMessage: function(data) {
+            receive(data, deliver);
+          }
+        };
+        targets.push(deliver);
+      },
+
+      /**
+       * Verstuur een bericht van de host naar alle aangesloten pagina's,
+       * bijvoorbeeld een storage.updated broadcast
+       *
+       * @param {string} action - De actie naam
+       * @param {Object} data - De data payload
+       */
+      push: function(action, data) {
+        var message = { action: action, version: 'v1', data: data };
+        record('out', message);
+        targets.forEach(function(send) {
+          send(message);
+        });
+      },
+
+      /**
+       * Verwerk één bericht direct en geef het antwoord terug (zonder simulatie)
+       *
+       * @param {Object} message - Het STQRY bericht
+       * @returns {Array|undefined} De callback args, of undefined als de actie geen antwoord heeft
+       */
+      handle: function(message) {
+        return handleAction(message);
+      }
+    };
+
+    /**
+     * Log een bericht en meld het aan de listeners
+     */
+    function record(direction, message) {
+      var entry = { direction: direction, message: message, time: Date.now() };
+      host.log.push(entry);
+      listeners.forEach(function(listener) {
+        listener(entry);
+      });
+    }
+
+    /**
+     * Ontvang een bericht van de pagina, handel het af en stuur het antwoord
+     * met de gesimuleerde latency, drops en fouten
+     */
+    function receive(raw, send) {
+      var message;
+      try {
+        message = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      } catch (e) {
+        return;
+      }
+      if (!message || typeof message.action !== 'string') {
+        return;
+      }
+      record('in', message);
+
+      var reply = buildReply(message);
+      if (!reply || Math.random() < config.dropRate) {
+        return;
+      }
+
+      setTimeout(function() {
+        record('out', reply);
+        send(reply);
+      }, pickLatency());
+    }
+
+    /**
+     * Bepaal het callback bericht voor een binnenkomend bericht
+     *
+     * @returns {Object|null} Het callback bericht, of null als er geen antwoord is
+     */
+    function buildReply(message) {
+      if (FIRE_AND_FORGET_ACTIONS.indexOf(message.action) !== -1) {
+        handleAction(message);
+        return null;
+      }
+      if (!message.callbackId) {
+        handleAction(message);
+        return null;
+      }
+
+      var reply = { action: 'callback', callbackId: message.callbackId };
+
+      if (message.action === 'bridge.handshake' && !config.handshake) {
+        return null; // Net als de huidige app: geen antwoord op de handshake
+      }
+      if (config.unsupported.indexOf(message.action) !== -1 ||
+          (message.action !== 'bridge.handshake' && HANDLED_ACTIONS.indexOf(message.action) === -1)) {
+        reply.error = 'Unsupported action: ' + message.action;
+        reply.code = 'unsupported';
+        return reply;
+      }
+      if (message.version !== 'v1') {
+        reply.error = 'Unsupported version: ' + message.version;
+        reply.code = 'unsupported';
+        return reply;
+      }
+      if (Math.random() < config.errorRate) {
+        reply.error = 'Simulated host error for ' + message.action;
+        return reply;
+      }
+
+      reply.args = handleAction(message) || [];
+      return reply;
+    }
+
+    /**
+     * Voer een actie uit op de host state
+     *
+     * @returns {Array|undefined} De callback args
+     */
+    function handleAction(message) {
+      var data = message.data || {};
+      var storageKey = data.storageKey || 'stqryStorage';
+      var store = host.state.storage[storageKey] || {};
+
+      switch (message.action) {
+        case 'bridge.handshake':
+          var actions = {};
+          HANDLED_ACTIONS.forEach(function(action) {
+            if (config.unsupported.indexOf(action) === -1) {
+              actions[action] = 'v1';
+            }
+          });
+          return [{ versions: ['v1'], actions: actions }];
+
+        case 'storage.get':
+          var result = {};
+          (data.keys || Object.keys(store)).forEach(function(key) {
+            if (Object.prototype.hasOwnProperty.call(store, key)) {
+              result[key] = store[key];
+            }
+          });
+          return [JSON.parse(JSON.stringify(result))];
+
+        case 'storage.set':
+          host.state.storage[storageKey] = Object.assign(store, JSON.parse(JSON.stringify(data.changeset || {})));
+          return [];
+
+        case 'storage.remove':
+          if (data.keys) {
+            data.keys.forEach(function(key) {
+              delete store[key];
+            });
+          } else {
+            host.state.storage[storageKey] = {};
+          }
+          return [];
+
+        case 'user.get':
+          return [host.state.user];
+
+        case 'device.get':
+          return [host.state.device];
+
+        case 'language.get':
+          return [host.state.language];
+
+        case 'language.set':
+          host.state.language = data.language;
+          return [];
+
+        case 'context.get':
+          return [host.state.context];
+
+        case 'analytics.track':
+          Array.prototype.push.apply(host.state.analytics, data.events || []);
+          return [];
+
+        case 'navigation.back':
+        case 'linking.openExternal':
+        case 'linking.openInternal':
+          host.state.navigation.push({ action: message.action, data: data });
+          return undefined;
+      }
+      return undefined;
+    }
+
+    /**
+     * Bepaal de latency voor één antwoord
+     */
+    function pickLatency() {
+      if (Array.isArray(config.latency)) {
+        return config.latency[0] + Math.random() * (config.latency[1] - config.latency[0]);
+      }
+      return config.latency;
+    }
+
+    return host;
+  }
+
+  /**
+   * Public interface: window.stqryMockHost
+   */
+  window.stqryMockHost = {
+    create: create
+  };
+
+})(window);
@@ -0,0 +1,267 @@
+/**
+ * Test omgeving: een jsdom window met de bridge en een nagebootste host
+ *
+ * - NoRuntime: alleen het window
+ * - IFrame: window.parent is een stand-in die postMessage opvangt en antwoordt
+ *   vanaf een vertrouwde origin
+ * - ReactNative: window.ReactNativeWebView is een stand-in, antwoorden komen als
+ *   message event zonder source binnen, zoals in de app
+ *
+ * De host antwoordt via handlers per actie (zie createEnv). Alle verstuurde berichten
+ * staan in env.sent, zodat tests het exacte wire format kunnen controleren.
+ */
+
+'use strict';
+
+var JSDOM = require('jsdom').JSDOM;
+var createBridge = require('../stqry-bridge.js').createBridge;
+
+var PARENT_ORIGIN = 'https://app.stqry.es';
+
+// Acties die de bridge kent, in de volgorde van de handshake
+var KNOWN_ACTIONS = [
+  'storage.get', 'storage.set', 'storage.remove',
+  'user.get', 'device.get', 'language.get', 'language.set',
+  'location.get', 'location.set', 'location.close', 'context.get',
+  'analytics.track', 'navigation.back', 'linking.openExternal', 'linking.openInternal'
+];
+
+/**
+ * Wacht een aantal ms (echte tijd)
+ */
+function wait(ms) {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, ms || 0);
+  });
+}
+
+/**
+ * Handshake antwoord waarin de host alle (of de opgegeven) acties in v1 ondersteunt
+ */
+function handshakeReply(actions) {
+  var offered = {};
+  (actions || KNOWN_ACTIONS).forEach(function(action) {
+    offered[action] = 'v1';
+  });
+  return [{ versions: ['v1'], actions: offered }];
+}
+
+/**
+ * Maak een test omgeving
+ *
+ * @param {Object} options
+ * @param {string} options.runtime - 'NoRuntime' (default), 'IFrame' of 'ReactNative'
+ * @param {string} options.url - URL van de pagina
+ * @param {string} options.referrer - document.referrer (IFrame default: de parent origin)
+ * @param {Object} options.handlers - Per actie een functie (data, message) die de callback args
+ *                                    retourneert, {error, code} voor een fout, of null voor geen antwoord.
+ *                                    bridge.handshake antwoordt standaard met alle acties.
+ * @param {Object} options.config - Instellingen voor stqry.configure()
+ * @param {Function} options.beforeBridge - Krijgt het window vóór het laden van de bridge
+ * @param {number} options.storageQuota - Max tekens in localStorage (jsdom default: 5000000)
+ * @returns {Object} {window, stqry, sent, targetOrigins, logs, handlers, reply, push, events, waitFor,
+ *                    advance, close}
+ */
+function createEnv(options) {
+  options = options || {};
+  var runtime = options.runtime || 'NoRuntime';
+  var dom = new JSDOM('<!doctype html><html><head></head><body></body></html>', {
+    url: options.url || 'https://example.com/page.html',
+    referrer: options.referrer !== undefined ? options.referrer :
+      (runtime === 'IFrame' ? PARENT_ORIGIN + '/tour/57959' : undefined),
+    storageQuota: options.storageQuota
+  });
+  var window = dom.window;
+
+  // De bridge leest de tijd voor storage TTL's en LRU via window.Date.now(): env.advance() verzet die
+  // klok, zodat tests niet op echte tijd hoeven te wachten
+  var clockOffset = 0;
+  var RealDate = Date;
+  var WindowDate = function() {
+    var args = Array.prototype.slice.call(arguments);
+    return args.length ? new (Function.prototype.bind.apply(RealDate, [null].concat(args)))() :
+      new RealDate(WindowDate.now());
+  };
+  WindowDate.prototype = RealDate.prototype;
+  WindowDate.parse = RealDate.parse;
+  WindowDate.UTC = RealDate.UTC;
+  WindowDate.now = function() {
+    return RealDate.now() + clockOffset;
+  };
+  window.Date = WindowDate;
+
+  var env = {
+    window: window,
+    sent: [], // Berichten van de bridge aan de host (geparsed)
+    targetOrigins: [], // targetOrigin per bericht (IFrame)
+    logs: [], // Console output van de bridge als [methode, ...args]
+    handlers: Object.assign({
+      'bridge.handshake': function() {
+        return handshakeReply();
+      }
+    }, options.handlers)
+  };
+
+  // De bridge logt via de globale console: vang dat op zodat de test output leesbaar blijft
+  var originalConsole = {};
+  ['log', 'warn', 'error'].forEach(function(method) {
+    originalConsole[method] = console[method];
+    console[method] = function() {
+      env.logs.push([method].concat(Array.prototype.slice.call(arguments)));
+    };
+  });
+
+  var parentStub = {
+    postMessage: function(raw, targetOrigin) {
+      env.targetOrigins.push(targetOrigin);
+      receive(raw);
+    }
+  };
+
+  if (runtime === 'IFrame') {
+    Object.defineProperty(window, 'parent', {
+      configurable: true,
+      get: function() {
+        return parentStub;
+      }
+    });
+  } else if (runtime === 'ReactNative') {
+    window.ReactNativeWebView = {
+      postMessage: receive
+    };
+  }
+
+  /**
+   * Verwerk een bericht van de bridge en stuur het antwoord van de handler
+   */
+  function receive(raw) {
+    var message = JSON.parse(raw);
+    env.sent.push(message);
+
+    var handler = env.handlers[message.action];
+    if (!handler || !message.callbackId) {
+      return;
+    }
+    var result = handler(message.data, message);
+    if (result === null || result === undefined) {
+      return;
+    }
+    var reply = { action: 'callback', callbackId: message.callbackId };
+    if (Array.isArray(result)) {
+      reply.args = result;
+    } else {
+      reply.error = result.error;
+      if (result.code) {
+        reply.code = result.code;
+      }
+    }
+    setTimeout(function() {
+      env.reply(reply);
+    }, 0);
+  }
+
+  /**
+   * Stuur een bericht van de host naar de pagina
+   *
+   * @param {Object} message - Het bericht (wordt als JSON string verstuurd)
+   * @param {Object} overrides - Optioneel andere origin of source
+   */
+  env.reply = function(message, overrides) {
+    overrides = overrides || {};
+    var init = { data: JSON.stringify(message) };
+    if (runtime === 'IFrame') {
+      init.origin = overrides.origin || PARENT_ORIGIN;
+      init.source = overrides.source || parentStub;
+    } else if (overrides.source) {
+      init.source = overrides.source;
+    }
+    window.dispatchEvent(new window.MessageEvent('message', init));
+  };
+
+  /**
+   * Laat de host uit zichzelf een actie sturen (bijv. storage.updated)
+   */
+  env.push = function(action, data, overrides) {
+    env.reply({ action: action, version: 'v1', data: data }, overrides);
+  };
+
+  /**
+   * Verzamel de details van een CustomEvent op window
+   *
+   * @returns {Array} Wordt gevuld met event.detail bij elk event
+   */
+  env.events = function(name) {
+    var details = [];
+    window.addEventListener(name, function(event) {
+      details.push(event.detail);
+    });
+    return details;
+  };
+
+  /**
+   * Wacht tot de bridge een bericht met deze actie heeft verstuurd
+   *
+   * @returns {Promise} Resolved met het bericht
+   */
+  env.waitFor = function(action, timeout) {
+    var deadline = Date.now() + (timeout || 2000);
+    var check = function() {
+      var found = env.sent.filter(function(message) {
+        return message.action === action;
+      });
+      if (found.length) {
+        return Promise.resolve(found[found.length - 1]);
+      }
+      if (Date.now() > deadline) {
+        return Promise.reject(new Error('Geen ' + action + ' bericht verstuurd'));
+      }
+      return wait(5).then(check);
+    };
+    return check();
+  };
+
+  /**
+   * Berichten met een bepaalde actie
+   */
+  env.messages = function(action) {
+    return env.sent.filter(function(message) {
+      return message.action === action;
+    });
+  };
+
+  /**
+   * Zet de klok van het window vooruit (alleen window.Date, niet de timers)
+   *
+   * @param {number} ms - Aantal ms
+   */
+  env.advance = function(ms) {
+    clockOffset += ms;
+  };
+
+  /**
+   * Sluit het window (stopt de timers van de bridge) en herstel de console
+   */
+  env.close = function() {
+    window.close();
+    Object.keys(originalConsole).forEach(function(method) {
+      console[method] = originalConsole[method];
+    });
+  };
+
+  if (options.beforeBridge) {
+    options.beforeBridge(window);
+  }
+  env.stqry = createBridge({ window: window });
+  if (options.config) {
+    env.stqry.configure(options.config);
+  }
+  return env;
+}
+
+module.exports = {
+  createEnv: createEnv,
+  handshakeReply: handshakeReply,
+  wait: wait,
+  KNOWN_ACTIONS: KNOWN_ACTIONS,
+  PARENT_ORIGIN: PARENT_ORIGIN
+};
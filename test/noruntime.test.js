@@ -0,0 +1,880 @@
+/**
+ * NoRuntime tests: elke stqry methode zonder host, met localStorage en het eigen window
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var envModule = require('./env');
+
+var createEnv = envModule.createEnv;
+var wait = envModule.wait;
+
+var env;
+var stqry;
+
+var setup = function(options) {
+  env = createEnv(options);
+  stqry = env.stqry;
+  return env;
+};
+
+var stored = function(key) {
+  return JSON.parse(env.window.localStorage.getItem(key));
+};
+
+test.afterEach(function() {
+  if (env) {
+    env.close();
+    env = null;
+  }
+});
+
+test.describe('storage', function() {
+  test('set en get via localStorage, met callback en Promise', async function() {
+    setup();
+    var callbackCalled = false;
+    await stqry.storage.set({ score: 10, name: 'Kim' }, function() {
+      callbackCalled = true;
+    });
+    assert.equal(callbackCalled, true);
+    assert.deepEqual(stored('stqryStorage'), { score: 10, name: 'Kim' });
+
+    var viaCallback;
+    assert.equal(await stqry.storage.get('score', function(value) {
+      viaCallback = value;
+    }), 10);
+    assert.equal(viaCallback, 10);
+    assert.deepEqual(await stqry.storage.get(['name', 'missing']), { name: 'Kim' });
+    assert.deepEqual(await stqry.storage.get(null), { score: 10, name: 'Kim' });
+    assert.deepEqual(env.sent, []);
+  });
+
+  test('een fout in de legacy callback rejected de call niet', async function() {
+    setup();
+    await stqry.storage.set({ score: 1 }, function() {
+      throw new Error('fout in pagina code');
+    });
+    assert.equal(stored('stqryStorage').score, 1);
+    assert.ok(env.logs.some(function(entry) {
+      return entry[0] === 'error' && entry[1] === 'Fout in callback:';
+    }));
+  });
+
+  test('set dispatcht stqryStorageUpdated met de volledige data', async function() {
+    setup();
+    var updates = env.events('stqryStorageUpdated');
+    var viaBus = [];
+    stqry.on('storage.updated', function(data, event) {
+      viaBus.push(event.source);
+    });
+
+    await stqry.storage.set({ a: 1 });
+    await stqry.storage.set({ b: 2 });
+    assert.deepEqual(updates, [{ a: 1 }, { a: 1, b: 2 }]);
+    assert.deepEqual(viaBus, ['local', 'local']);
+  });
+
+  test('remove en clear', async function() {
+    setup();
+    var updates = env.events('stqryStorageUpdated');
+    await stqry.storage.set({ a: 1, b: 2, c: 3 });
+    await stqry.storage.remove(['a', 'b']);
+    assert.deepEqual(stored('stqryStorage'), { c: 3 });
+    await stqry.storage.remove('c');
+    await stqry.storage.set({ d: 4 });
+    await stqry.storage.clear();
+    assert.deepEqual(stored('stqryStorage'), {});
+    assert.deepEqual(updates[updates.length - 1], {});
+  });
+
+  test('stqryStorageUpdated alleen voor de default storage key', async function() {
+    setup();
+    var updates = env.events('stqryStorageUpdated');
+    var watched = [];
+    var tours = stqry.storage.namespace('tours');
+    tours.watch('a', function(change) {
+      watched.push(change.newValue);
+    });
+
+    await stqry.consent.set({ personalization: true, analytics: true });
+    await tours.set({ a: 1 });
+    await stqry.storage.set({ a: 1 }, null, 'quizData');
+    await stqry.storage.set({ b: 2 });
+    assert.deepEqual(updates, [{ b: 2 }]);
+    assert.deepEqual(watched, [1]);
+  });
+
+  test('custom storageKey staat los van de default', async function() {
+    setup();
+    await stqry.storage.set({ a: 1 });
+    await stqry.storage.set({ a: 2 }, null, 'quizData');
+    assert.equal(await stqry.storage.get('a'), 1);
+    assert.equal(await stqry.storage.get('a', null, 'quizData'), 2);
+    assert.deepEqual(stored('quizData'), { a: 2 });
+  });
+
+  test('update, increment en compareAndSet', async function() {
+    setup();
+    assert.equal(await stqry.storage.increment('visits'), 1);
+    assert.equal(await stqry.storage.increment('visits', 5), 6);
+    assert.deepEqual(await stqry.storage.update('list', function(list) {
+      return (list || []).concat('x');
+    }), ['x']);
+
+    assert.equal(await stqry.storage.compareAndSet('visits', 6, 7), true);
+    assert.equal(await stqry.storage.compareAndSet('visits', 6, 8), false);
+    assert.equal(await stqry.storage.get('visits'), 7);
+  });
+
+  test('increment weigert een stap die geen eindig getal is', async function() {
+    setup();
+    await stqry.storage.set({ visits: 0 });
+    var received = [];
+    await assert.rejects(stqry.storage.increment('visits', '5', function(result) {
+      received.push(result);
+    }), TypeError);
+    assert.ok(received[0] instanceof TypeError);
+    await assert.rejects(stqry.storage.increment('visits', NaN), TypeError);
+    await assert.rejects(stqry.storage.increment('visits', Infinity), TypeError);
+
+    await stqry.consent.set({ personalization: true });
+    var tours = stqry.storage.namespace('tours', { category: 'personalization' });
+    await assert.rejects(tours.increment('visits', '5'), TypeError);
+    assert.equal(await stqry.storage.get('visits'), 0);
+    assert.equal(await tours.increment('visits', -2), -2);
+  });
+
+  test('update rejected met een StorageError als de lock niet kan worden geschreven', async function() {
+    setup({ storageQuota: 100 });
+    env.window.localStorage.setItem('vol', 'x'.repeat(95));
+    await assert.rejects(stqry.storage.increment('visits'), function(err) {
+      assert.ok(err instanceof stqry.errors.StorageError);
+      assert.equal(err.quota, true);
+      return true;
+    });
+  });
+
+  test('watch meldt wijzigingen per key tot afmelden', async function() {
+    setup();
+    await stqry.storage.set({ score: 1 });
+    var changes = [];
+    var unwatch = stqry.storage.watch('score', function(change) {
+      changes.push(change);
+    });
+
+    await stqry.storage.set({ score: 2, other: true });
+    await stqry.storage.set({ other: false });
+    unwatch();
+    await stqry.storage.set({ score: 3 });
+
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].key, 'score');
+    assert.equal(changes[0].oldValue, 1);
+    assert.equal(changes[0].newValue, 2);
+    assert.equal(changes[0].storageKey, 'stqryStorage');
+  });
+
+  test('namespace gebruikt een eigen storageKey met schema versie', async function() {
+    setup();
+    var quiz = stqry.storage.namespace('quiz', { version: 2 });
+    assert.equal(quiz.storageKey, 'stqryStorage:quiz');
+
+    await quiz.set({ answers: [1, 2] });
+    assert.deepEqual(await quiz.get(null), { answers: [1, 2] });
+    assert.deepEqual(await quiz.get('answers'), [1, 2]);
+    assert.equal(await stqry.storage.get('answers'), undefined);
+
+    await quiz.clear();
+    assert.deepEqual(await quiz.get(null), {});
+  });
+
+  test('namespace migreert data van een oudere versie', async function() {
+    setup();
+    await stqry.storage.namespace('quiz', { version: 1 }).set({ score: 5 });
+
+    var quiz = stqry.storage.namespace('quiz', {
+      version: 2,
+      migrate: function(data, from, to) {
+        return { points: data.score * 10, migratedFrom: from, migratedTo: to };
+      }
+    });
+    assert.deepEqual(await quiz.get(null), { points: 50, migratedFrom: 1, migratedTo: 2 });
+  });
+
+  test('namespace laat data van een nieuwere versie staan', async function() {
+    setup();
+    await stqry.storage.namespace('quiz', { version: 3 }).set({ score: 5 });
+
+    // Een oudere pagina uit de cache met een lagere schema versie
+    var quiz = stqry.storage.namespace('quiz', {
+      version: 2,
+      migrate: function() {
+        throw new Error('mag niet draaien');
+      }
+    });
+    assert.deepEqual(await quiz.get(null), { score: 5 });
+    assert.deepEqual(stored('stqryStorage:quiz'), { __schemaVersion: 3, score: 5 });
+    assert.ok(env.logs.some(function(entry) {
+      return entry[0] === 'warn' && /nieuwer dan 2/.test(entry[1]);
+    }));
+  });
+
+  test('namespace in een niet-functionele categorie vraagt toestemming', async function() {
+    setup();
+    var prefs = stqry.storage.namespace('prefs', { category: 'personalization' });
+    await assert.rejects(prefs.set({ theme: 'dark' }), stqry.errors.ConsentRequired);
+
+    await stqry.consent.set({ personalization: true });
+    await prefs.set({ theme: 'dark' });
+    assert.equal(await prefs.get('theme'), 'dark');
+  });
+
+  test('toestemming geldt per storageKey, ook zonder namespace', async function() {
+    setup();
+    await assert.rejects(stqry.storage.set({ tours: {} }, null, 'stqryStorage:progress'), stqry.errors.ConsentRequired);
+    await assert.rejects(stqry.storage.remove('tours', null, 'stqryStorage:progress'), stqry.errors.ConsentRequired);
+    assert.equal(env.window.localStorage.getItem('stqryStorage:progress'), null);
+
+    // Lezen kan wel, maar de migratie schrijft niets zonder toestemming
+    var prefs = stqry.storage.namespace('prefs', { category: 'personalization' });
+    assert.deepEqual(await prefs.get(null), {});
+    assert.equal(env.window.localStorage.getItem('stqryStorage:prefs'), null);
+
+    await stqry.consent.set({ personalization: true });
+    await stqry.storage.set({ tours: {} }, null, 'stqryStorage:progress');
+    await prefs.set({ theme: 'dark' });
+    assert.deepEqual(stored('stqryStorage:prefs'), { __schemaVersion: 1, theme: 'dark' });
+  });
+
+  test('pending is leeg zonder host', async function() {
+    setup();
+    await stqry.storage.set({ a: 1 });
+    assert.deepEqual(await stqry.storage.pending(), []);
+  });
+});
+
+test.describe('storage TTL, budgets en fouten', function() {
+  test('keys met een ttl verlopen en worden bij het lezen opgeruimd', async function() {
+    setup();
+    await stqry.storage.set({ permanent: 1 });
+    await stqry.storage.set({ tourCache: { stops: [1, 2] } }, { ttl: 3600 });
+    env.advance(3599 * 1000);
+    assert.deepEqual(await stqry.storage.get('tourCache'), { stops: [1, 2] });
+
+    var updates = env.events('stqryStorageUpdated');
+    env.advance(2000);
+    assert.equal(await stqry.storage.get('tourCache'), undefined);
+    assert.deepEqual(stored('stqryStorage'), { permanent: 1 });
+    assert.deepEqual(updates, [{ permanent: 1 }]);
+    assert.equal(env.window.localStorage.getItem('stqryStorageMeta'), null);
+  });
+
+  test('een set zonder ttl maakt de key weer permanent', async function() {
+    setup();
+    await stqry.storage.set({ a: 1 }, null, null, { ttl: 60 });
+    await stqry.storage.set({ a: 2 });
+    env.advance(61 * 1000);
+    assert.equal(await stqry.storage.get('a'), 2);
+  });
+
+  test('ttl in een namespace', async function() {
+    setup();
+    var cache = stqry.storage.namespace('cache');
+    await cache.set({ tour: 'data' }, { ttl: 60 });
+    env.advance(61 * 1000);
+    assert.deepEqual(await cache.get(null), {});
+  });
+
+  test('een budget verwijdert de minst recent gebruikte keys', async function() {
+    setup();
+    // Elke stop telt 18 tekens: 'a' plus de JSON string
+    var tours = stqry.storage.namespace('tours', { maxSize: 50 });
+    var stop = 'x'.repeat(15);
+    await tours.set({ a: stop });
+    env.advance(1000);
+    await tours.set({ b: stop });
+    env.advance(1000);
+    await tours.get('a'); // a is nu recenter gebruikt dan b
+    env.advance(1000);
+    await tours.set({ c: stop });
+
+    assert.deepEqual(Object.keys(await tours.get(null)).sort(), ['a', 'c']);
+    assert.deepEqual(stqry.storage.configure({}).budgets, { 'stqryStorage:tours': 50 });
+  });
+
+  test('een changeset groter dan het budget wordt rejected', async function() {
+    setup();
+    stqry.storage.configure({ budgets: { stqryStorage: 20 } });
+    await stqry.storage.set({ a: 1 });
+    await assert.rejects(stqry.storage.set({ big: 'x'.repeat(50) }), function(err) {
+      assert.ok(err instanceof stqry.errors.StorageError);
+      assert.equal(err.quota, true);
+      return true;
+    });
+    assert.deepEqual(stored('stqryStorage'), { a: 1 });
+
+    stqry.storage.configure({ budgets: { stqryStorage: null } });
+    await stqry.storage.set({ big: 'x'.repeat(50) });
+  });
+
+  test('een volle localStorage rejected en geeft de fout aan de callback', async function() {
+    setup({ storageQuota: 2000 });
+    var called = [];
+    await assert.rejects(stqry.storage.set({ big: 'x'.repeat(3000) }, function(result) {
+      called.push(result);
+    }), function(err) {
+      assert.ok(err instanceof stqry.errors.StorageError);
+      assert.equal(err.name, 'StorageError');
+      assert.equal(err.action, 'storage.set');
+      assert.equal(err.quota, true);
+      assert.equal(err.cause.name, 'QuotaExceededError');
+      return true;
+    });
+    assert.equal(called.length, 1);
+    assert.ok(called[0] instanceof stqry.errors.StorageError);
+    assert.equal(await stqry.storage.get('big'), undefined);
+  });
+
+  test('een mislukte lokale schrijfactie met alleen een callback geeft geen unhandled rejection', async function() {
+    setup({ storageQuota: 100 });
+    var unhandled = [];
+    var onUnhandled = function(reason) {
+      unhandled.push(reason);
+    };
+    process.on('unhandledRejection', onUnhandled);
+    try {
+      var result = await new Promise(function(resolve) {
+        stqry.storage.set({ big: 'x'.repeat(200) }, resolve);
+      });
+      assert.ok(result instanceof stqry.errors.StorageError);
+      assert.equal(result.quota, true);
+      await wait(5);
+      assert.deepEqual(unhandled, []);
+    } finally {
+      process.removeListener('unhandledRejection', onUnhandled);
+    }
+  });
+
+  test('bij een volle localStorage worden eerst verlopen keys elders opgeruimd', async function() {
+    setup({ storageQuota: 2000 });
+    await stqry.storage.set({ old: 'x'.repeat(1200) }, null, 'tourCache', { ttl: 60 });
+    env.advance(61 * 1000);
+
+    await stqry.storage.set({ fresh: 'y'.repeat(1200) });
+    assert.equal(await stqry.storage.get('fresh'), 'y'.repeat(1200));
+    assert.deepEqual(stored('tourCache'), {});
+  });
+
+  test('remove en clear vergeten de ttl', async function() {
+    setup();
+    await stqry.storage.set({ a: 1, b: 2 }, { ttl: 60 });
+    await stqry.storage.remove('a');
+    assert.deepEqual(Object.keys(stored('stqryStorageMeta').stqryStorage), ['b']);
+    await stqry.storage.clear();
+    assert.equal(env.window.localStorage.getItem('stqryStorageMeta'), null);
+  });
+});
+
+test.describe('user', function() {
+  test('anonieme gebruiker met een vaste visitor id', async function() {
+    setup();
+    var user = await stqry.user.get();
+    assert.equal(user.type, 'anonymous');
+    assert.equal(user.isAnonymous, true);
+    assert.equal(typeof user.visitorId, 'string');
+    assert.equal(await stqry.user.getVisitorId(), user.visitorId);
+    assert.equal((await stqry.user.get()).visitorId, user.visitorId);
+  });
+
+  test('de visitor id wordt pas na toestemming bewaard en vergeten bij forget', async function() {
+    setup();
+    var visitorId = (await stqry.user.get()).visitorId;
+    await wait(5);
+    assert.equal(env.window.localStorage.getItem('stqryVisitorId'), null);
+    assert.equal(await stqry.user.getVisitorId(), visitorId);
+
+    await stqry.consent.set({ personalization: true });
+    await wait(5);
+    assert.equal(env.window.localStorage.getItem('stqryVisitorId'), visitorId);
+    assert.equal(await stqry.user.getVisitorId(), visitorId);
+
+    await stqry.consent.forget();
+    await wait(5);
+    assert.equal(env.window.localStorage.getItem('stqryVisitorId'), null);
+    assert.notEqual(await stqry.user.getVisitorId(), visitorId);
+    await wait(5);
+    assert.equal(env.window.localStorage.getItem('stqryVisitorId'), null);
+  });
+
+  test('demo gebruiker met ?demo', async function() {
+    setup({ url: 'https://example.com/tour/57959?demo=true' });
+    var user = await stqry.user.get();
+    assert.equal(user.type, 'demo');
+    assert.equal(user.isDemo, true);
+    assert.equal(user.id, 'demo-user');
+  });
+
+  test('set bewaart een lokaal profiel en meldt de wissel', async function() {
+    setup();
+    await stqry.user.get();
+    var changes = env.events('stqryUserChanged');
+
+    var user = await stqry.user.set({ id: 'kim', name: 'Kim' });
+    assert.equal(user.type, 'local');
+    assert.equal(user.id, 'kim');
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].user.id, 'kim');
+    assert.match(changes[0].previous, /^anonymous:/);
+
+    assert.equal((await stqry.user.set(null)).type, 'anonymous');
+    assert.equal(changes.length, 2);
+  });
+});
+
+test.describe('device', function() {
+  test('get detecteert het device lokaal', async function() {
+    setup();
+    var device = await stqry.device.get();
+    assert.equal(typeof device.platform, 'string');
+    assert.equal(typeof device.online, 'boolean');
+    assert.deepEqual(env.sent, []);
+  });
+
+  test('watch meldt online/offline wijzigingen', async function() {
+    setup();
+    var changes = [];
+    var unwatch = stqry.device.watch(function(change) {
+      changes.push(change);
+    }, 'online');
+
+    Object.defineProperty(env.window.navigator, 'onLine', { configurable: true, value: false });
+    env.window.dispatchEvent(new env.window.Event('offline'));
+    await wait(10);
+    unwatch();
+
+    assert.deepEqual(changes, [{ key: 'online', oldValue: true, newValue: false }]);
+  });
+});
+
+test.describe('language', function() {
+  test('get gebruikt de browser taal en daarna de opgeslagen taal', async function() {
+    setup();
+    assert.equal(await stqry.language.get(), env.window.navigator.language.split('-')[0]);
+
+    var changes = env.events('stqryLanguageChanged');
+    await stqry.language.set('nl');
+    assert.equal(await stqry.language.get(), 'nl');
+    assert.equal(env.window.localStorage.getItem('stqryLanguage'), 'nl');
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].language, 'nl');
+  });
+});
+
+test.describe('location', function() {
+  test('get geeft de window location', async function() {
+    setup({ url: 'https://example.com/tour/1?x=2#top' });
+    assert.deepEqual(await stqry.location.get(), {
+      href: 'https://example.com/tour/1?x=2#top',
+      pathname: '/tour/1',
+      search: '?x=2',
+      hash: '#top',
+      host: 'example.com'
+    });
+  });
+
+  test('set navigeert in hetzelfde document', async function() {
+    setup();
+    await stqry.location.set('#detail');
+    assert.equal(env.window.location.hash, '#detail');
+  });
+
+  test('back en close gaan terug in de history', async function() {
+    setup();
+    var backs = 0;
+    env.window.history.back = function() {
+      backs++;
+    };
+    await stqry.location.back();
+    assert.equal(backs, 1);
+
+    env.window.close = function() {};
+    await stqry.location.close();
+    assert.equal(backs, 2);
+  });
+});
+
+test.describe('router', function() {
+  test('navigate, current, stack en back in hash mode', async function() {
+    setup();
+    var rendered = [];
+    await stqry.router.init({
+      routes: {
+        '/': function() {
+          rendered.push('home');
+        },
+        '/item/:id': function(route) {
+          rendered.push('item ' + route.params.id);
+        }
+      }
+    });
+
+    await stqry.router.navigate('/item/42?tab=info', { state: { from: 'home' } });
+    var current = stqry.router.current();
+    assert.equal(current.path, '/item/42?tab=info');
+    assert.equal(current.pattern, '/item/:id');
+    assert.deepEqual(current.params, { id: '42' });
+    assert.deepEqual(current.query, { tab: 'info' });
+    assert.deepEqual(current.state, { from: 'home' });
+    assert.equal(current.depth, 2);
+    assert.equal(env.window.location.hash, '#/item/42?tab=info');
+
+    await stqry.router.back();
+    assert.equal(stqry.router.current().path, '/');
+    assert.deepEqual(stqry.router.stack(), [{ path: '/', state: null }]);
+    assert.deepEqual(rendered, ['home', 'item 42', 'home']);
+  });
+
+  test('stqryRouteChanged en notFound', async function() {
+    setup();
+    var changes = env.events('stqryRouteChanged');
+    var missing = [];
+    await stqry.router.init({
+      notFound: function(route) {
+        missing.push(route.path);
+      },
+      routes: { '/': function() {} }
+    });
+    await stqry.router.navigate('/bestaat/niet');
+
+    assert.deepEqual(missing, ['/bestaat/niet']);
+    assert.equal(changes[changes.length - 1].direction, 'forward');
+  });
+});
+
+test.describe('context', function() {
+  test('haalt IDs en flags uit de URL', async function() {
+    setup({ url: 'https://example.com/tour/57959/item/395298?collectionAccountId=17706&demo' });
+    var context = await stqry.context.get();
+    assert.equal(context.collectionType, 'tour');
+    assert.equal(context.collectionId, 57959);
+    assert.equal(context.itemId, 395298);
+    assert.equal(context.collectionAccountId, 17706);
+    assert.equal(context.demo, true);
+    assert.equal(context.source, 'url');
+  });
+});
+
+test.describe('progress', function() {
+  test('vraagt toestemming voor personalization', async function() {
+    setup({ url: 'https://example.com/tour/57959/item/1' });
+    await assert.rejects(stqry.progress.visit(), stqry.errors.ConsentRequired);
+  });
+
+  test('visit, setTotal, saveState, resume en reset', async function() {
+    setup({ url: 'https://example.com/tour/57959/item/1' });
+    await stqry.consent.set({ personalization: true });
+
+    await stqry.progress.setTotal([1, 2]);
+    var progress = await stqry.progress.visit();
+    assert.equal(progress.collectionId, 57959);
+    assert.equal(progress.visitedCount, 1);
+    assert.equal(progress.percentage, 50);
+    assert.equal(progress.completed, false);
+
+    progress = await stqry.progress.visit({ collectionId: 57959, itemId: 2 });
+    assert.equal(progress.completed, true);
+
+    await stqry.progress.saveState({ step: 3 });
+    assert.deepEqual(await stqry.progress.resume(), {
+      itemId: 2,
+      state: { step: 3 },
+      updatedAt: (await stqry.progress.get()).updatedAt
+    });
+    assert.deepEqual(Object.keys(await stqry.progress.all()), ['57959']);
+
+    await stqry.progress.reset();
+    assert.equal(await stqry.progress.resume(), null);
+  });
+
+  test('een tour is pas compleet als alle items bezocht zijn', async function() {
+    setup({ url: 'https://example.com/tour/57959/item/1' });
+    await stqry.consent.set({ personalization: true });
+
+    await stqry.progress.setTotal(200);
+    var progress;
+    for (var itemId = 1; itemId < 200; itemId++) {
+      progress = await stqry.progress.visit({ collectionId: 57959, itemId: itemId });
+    }
+    assert.equal(progress.visitedCount, 199);
+    assert.equal(progress.percentage, 99);
+    assert.equal(progress.completed, false);
+    assert.equal(progress.completedAt, null);
+
+    progress = await stqry.progress.visit({ collectionId: 57959, itemId: 200 });
+    assert.equal(progress.percentage, 100);
+    assert.equal(progress.completed, true);
+    assert.ok(progress.completedAt);
+  });
+
+  test('watch meldt wijzigingen per tour', async function() {
+    setup({ url: 'https://example.com/tour/57959/item/1' });
+    await stqry.consent.set({ personalization: true });
+    var seen = [];
+    var unwatch = stqry.progress.watch(function(progress, info) {
+      seen.push([info.collectionId, progress.visitedCount]);
+    });
+    await stqry.progress.visit();
+    unwatch();
+    assert.deepEqual(seen, [['57959', 1]]);
+  });
+});
+
+test.describe('analytics', function() {
+  test('zonder toestemming wordt niets gebufferd', async function() {
+    setup();
+    assert.equal(await stqry.analytics.track('page_view'), false);
+    assert.deepEqual(await stqry.analytics.pending(), []);
+  });
+
+  test('track en flush naar een memory sink', async function() {
+    setup({ url: 'https://example.com/tour/57959/item/1' });
+    var sink = stqry.analytics.createMemorySink();
+    stqry.analytics.configure({ sink: sink, flushInterval: 10000 });
+    await stqry.consent.acceptAll();
+
+    assert.equal(await stqry.analytics.track('quiz_answered', { correct: true }), true);
+    assert.equal((await stqry.analytics.pending()).length, 1);
+    assert.equal(await stqry.analytics.flush(), 1);
+    assert.deepEqual(await stqry.analytics.pending(), []);
+
+    var event = sink.events[0];
+    assert.equal(event.name, 'quiz_answered');
+    assert.deepEqual(event.props, { correct: true });
+    assert.equal(event.runtime, 'NoRuntime');
+    assert.equal(event.visitorId, await stqry.user.getVisitorId());
+    assert.equal(event.context.collectionId, 57959);
+  });
+
+  test('optOut leegt de buffer en stopt tracking', async function() {
+    setup();
+    stqry.analytics.configure({ sink: stqry.analytics.createMemorySink(), flushInterval: 10000 });
+    await stqry.consent.acceptAll();
+    await stqry.analytics.track('a');
+    await stqry.analytics.optOut();
+
+    assert.equal(await stqry.analytics.isOptedOut(), true);
+    assert.deepEqual(await stqry.analytics.pending(), []);
+    assert.equal(await stqry.analytics.track('b'), false);
+  });
+
+  test('track resolved false als het event niet kan worden gebufferd', async function() {
+    setup();
+    stqry.analytics.configure({ sink: stqry.analytics.createMemorySink(), flushInterval: 10000 });
+    await stqry.consent.acceptAll();
+
+    var props = { name: 'lus' };
+    props.self = props;
+    assert.equal(await stqry.analytics.track('circular', props), false);
+    assert.deepEqual(await stqry.analytics.pending(), []);
+    assert.equal(await stqry.analytics.track('ok', { a: 1 }), true);
+    assert.equal((await stqry.analytics.pending()).length, 1);
+  });
+
+  test('track zonder naam wordt rejected met een TypeError', async function() {
+    setup();
+    var received;
+    var tracked = stqry.analytics.track('', null, function(result) {
+      received = result;
+    });
+    assert.ok(received instanceof TypeError);
+    await assert.rejects(tracked, TypeError);
+  });
+});
+
+test.describe('consent', function() {
+  test('alleen functional staat standaard aan', async function() {
+    setup();
+    assert.equal(await stqry.consent.get(), null);
+    assert.equal(await stqry.consent.has('functional'), true);
+    assert.equal(await stqry.consent.has('analytics'), false);
+  });
+
+  test('set, acceptAll, rejectAll en stqryConsentChanged', async function() {
+    setup();
+    var changes = env.events('stqryConsentChanged');
+
+    var record = await stqry.consent.set({ analytics: true });
+    assert.deepEqual(record.categories, { functional: true, analytics: true, personalization: false });
+    assert.equal(await stqry.consent.has('analytics'), true);
+
+    await stqry.consent.acceptAll();
+    assert.equal(await stqry.consent.has('personalization'), true);
+    await stqry.consent.rejectAll();
+    assert.equal(await stqry.consent.has('analytics'), false);
+    assert.equal(changes.length, 3);
+  });
+
+  test('forget wist alle bridge data', async function() {
+    setup();
+    await stqry.storage.set({ a: 1 });
+    await stqry.storage.set({ b: 2 }, null, 'quizData');
+    await stqry.language.set('nl');
+    await stqry.consent.acceptAll();
+
+    await stqry.consent.forget();
+    assert.deepEqual(await stqry.storage.get(null), {});
+    assert.deepEqual(await stqry.storage.get(null, null, 'quizData'), {});
+    assert.equal(await stqry.consent.get(), null);
+    var left = Object.keys(env.window.localStorage).filter(function(key) {
+      return key.indexOf('stqry') === 0;
+    });
+    assert.deepEqual(left.filter(function(key) {
+      return key !== 'stqryStorage' && key !== 'stqryStorage:consent';
+    }), []);
+  });
+});
+
+test.describe('i18n', function() {
+  test('vertaalt met fallback keten, parameters en meervoud', async function() {
+    setup();
+    env.window.localStorage.setItem('stqryLanguage', 'nl-BE');
+    await stqry.i18n.init({
+      catalogs: {
+        en: { greeting: 'Hello {name}', items: { one: '{count} item', other: '{count} items' } },
+        nl: { greeting: 'Hallo {name}', quiz: { title: 'Quiz' } }
+      }
+    });
+
+    assert.equal(stqry.i18n.getLanguage(), 'nl-BE');
+    assert.equal(stqry.i18n.t('greeting', { name: 'Kim' }), 'Hallo Kim');
+    assert.equal(stqry.i18n.t('quiz.title'), 'Quiz');
+    assert.equal(stqry.i18n.t('items', { count: 3 }), '3 items');
+    assert.equal(stqry.i18n.t('onbekend'), 'onbekend');
+  });
+
+  test('translate vult data-i18n elementen en attributen', async function() {
+    setup();
+    var document = env.window.document;
+    document.body.innerHTML = '<h1 data-i18n="title"></h1>' +
+      '<input data-i18n-attr="placeholder:hint" data-i18n-params=\'{"n": 2}\'>';
+    stqry.i18n.add('en', { title: 'Welcome', hint: 'Pick {n}' });
+    await stqry.i18n.init({ fallbackLanguage: 'en' });
+    stqry.i18n.translate();
+
+    assert.equal(document.querySelector('h1').textContent, 'Welcome');
+    assert.equal(document.querySelector('input').getAttribute('placeholder'), 'Pick 2');
+  });
+
+  test('setLanguage wisselt taal en slaat die op', async function() {
+    setup();
+    stqry.i18n.add('fr', { title: 'Bienvenue' });
+    await stqry.i18n.init();
+    await stqry.i18n.setLanguage('fr');
+    assert.equal(stqry.i18n.t('title'), 'Bienvenue');
+    assert.equal(await stqry.language.get(), 'fr');
+  });
+});
+
+test.describe('linking', function() {
+  test('openExternal opent een nieuw venster', async function() {
+    setup();
+    var opened = [];
+    env.window.open = function(url, target) {
+      opened.push([url, target]);
+    };
+    await stqry.linking.openExternal('https://example.com/info');
+    assert.deepEqual(opened, [['https://example.com/info', '_blank']]);
+  });
+
+  test('openInternal navigeert via de URL template', async function() {
+    setup();
+    stqry.linking.configure({ internalUrlTemplate: '#/{subtype}/{id}' });
+    await stqry.linking.openInternal({ subtype: 'tour', id: '57959' });
+    assert.equal(env.window.location.hash, '#/tour/57959');
+  });
+
+  test('ongeldige links worden rejected met een TypeError', async function() {
+    setup();
+    await assert.rejects(stqry.linking.openExternal('ftp://example.com'), TypeError);
+    await assert.rejects(stqry.linking.openInternal({ subtype: 'podcast', id: 1 }), TypeError);
+    await assert.rejects(stqry.linking.openInternal({ subtype: 'tour', id: -1 }), TypeError);
+
+    // Subtypes die niet bevestigd werken in de app alleen na een expliciete opt-in
+    await assert.rejects(stqry.linking.openInternal({ subtype: 'map', id: 1 }), /allowUnverifiedSubtypes/);
+    stqry.linking.configure({ allowUnverifiedSubtypes: true, internalUrlTemplate: '#/{subtype}/{id}' });
+    await stqry.linking.openInternal({ subtype: 'map', id: 1 });
+    assert.equal(env.window.location.hash, '#/map/1');
+
+    // Alleen een callback: die krijgt de fout, zonder unhandled rejection
+    var received;
+    stqry.linking.openExternal('mailto:info@example.com', function(err) {
+      received = err;
+    });
+    assert.ok(received instanceof TypeError);
+  });
+});
+
+test.describe('event bus, capabilities en debug', function() {
+  test('on en off', async function() {
+    setup();
+    var calls = [];
+    var handler = function(data) {
+      calls.push(data.language);
+    };
+    stqry.on('language.changed', handler);
+    await stqry.language.set('de');
+    stqry.off('language.changed', handler);
+    await stqry.language.set('fr');
+    assert.deepEqual(calls, ['de']);
+  });
+
+  test('capabilities zonder host', async function() {
+    setup();
+    var capabilities = await stqry.capabilities();
+    assert.equal(capabilities.runtime, 'NoRuntime');
+    assert.equal(capabilities.handshake, false);
+    assert.deepEqual(env.sent, []);
+  });
+
+  test('errors zijn StqryError subclasses met een code', function() {
+    setup();
+    Object.keys(stqry.errors).forEach(function(name) {
+      var err = new stqry.errors[name]('test', 'storage.get');
+      assert.ok(err instanceof Error);
+      assert.equal(err.name, name);
+      assert.equal(err.action, 'storage.get');
+    });
+  });
+
+  test('debug trace en export', async function() {
+    setup();
+    assert.equal(stqry.debug.isEnabled(), false);
+    stqry.debug.enable();
+    await stqry.storage.set({ a: 1 });
+    assert.equal(stqry.debug.isEnabled(), true);
+
+    var exported = JSON.parse(stqry.debug.export());
+    assert.equal(exported.runtime, 'NoRuntime');
+    assert.ok(Array.isArray(exported.entries));
+
+    stqry.debug.clear();
+    assert.deepEqual(stqry.debug.trace(), []);
+    stqry.debug.disable();
+    assert.equal(stqry.debug.isEnabled(), false);
+  });
+
+  test('utils', function() {
+    setup();
+    assert.equal(stqry.utils.getRuntime(), 'NoRuntime');
+    assert.equal(stqry.utils.isStandalone(), true);
+    assert.equal(stqry.utils.isIFrame(), false);
+    assert.equal(stqry.utils.isReactNative(), false);
+
+    var transport = stqry.utils.getTransport();
+    assert.equal(transport.storage, 'localStorage');
+    // Zonder host is er geen outbox om af te leveren
+    assert.equal(transport.leader, false);
+  });
+});
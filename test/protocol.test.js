@@ -0,0 +1,794 @@
+/**
+ * Wire format tests: de exacte berichten die de bridge in IFrame en ReactNative mode
+ * verstuurt, en hoe hij antwoorden, fouten en timeouts van de host verwerkt
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var envModule = require('./env');
+
+var createEnv = envModule.createEnv;
+var handshakeReply = envModule.handshakeReply;
+var wait = envModule.wait;
+var KNOWN_ACTIONS = envModule.KNOWN_ACTIONS;
+
+['IFrame', 'ReactNative'].forEach(function(runtime) {
+  test.describe(runtime + ' protocol', function() {
+    var env;
+
+    var setup = function(options) {
+      env = createEnv(Object.assign({ runtime: runtime }, options));
+      return env;
+    };
+
+    test.afterEach(function() {
+      if (env) {
+        env.close();
+        env = null;
+      }
+    });
+
+    test('detecteert de runtime', function() {
+      setup();
+      assert.equal(env.stqry.utils.getRuntime(), runtime);
+      assert.equal(env.stqry.utils.isIFrame(), runtime === 'IFrame');
+      assert.equal(env.stqry.utils.isReactNative(), runtime === 'ReactNative');
+      assert.equal(env.stqry.utils.isStandalone(), false);
+    });
+
+    test('storage.get verstuurt keys en storageKey en resolved met de waarde', async function() {
+      setup({
+        handlers: {
+          'storage.get': function() {
+            return [{ score: 42, name: 'Kim' }];
+          }
+        }
+      });
+      var callbackValue;
+      var value = await env.stqry.storage.get('score', function(v) {
+        callbackValue = v;
+      });
+
+      assert.deepEqual(env.sent[0], {
+        action: 'storage.get',
+        version: 'v1',
+        data: { keys: ['score'], storageKey: 'stqryStorage' },
+        callbackId: 1
+      });
+      assert.equal(value, 42);
+      assert.equal(callbackValue, 42);
+    });
+
+    test('storage.get met een array, of zonder keys voor alles', async function() {
+      setup({
+        handlers: {
+          'storage.get': function() {
+            return [{ a: 1, b: 2, c: 3 }];
+          }
+        }
+      });
+
+      assert.deepEqual(await env.stqry.storage.get(['a', 'c', 'x']), { a: 1, c: 3 });
+      assert.deepEqual(env.sent[0].data, { keys: ['a', 'c', 'x'], storageKey: 'stqryStorage' });
+
+      assert.deepEqual(await env.stqry.storage.get(null, null, 'custom'), { a: 1, b: 2, c: 3 });
+      assert.deepEqual(env.sent[1].data, { storageKey: 'custom' });
+    });
+
+    test('storage.set, remove en clear', async function() {
+      setup({
+        handlers: {
+          'storage.set': function() {
+            return [];
+          },
+          'storage.remove': function() {
+            return [];
+          },
+          'storage.get': function() {
+            return [{ x: 1, y: 2 }];
+          }
+        }
+      });
+
+      var called = false;
+      await env.stqry.storage.set({ score: 1 }, function() {
+        called = true;
+      });
+      assert.equal(called, true);
+      await env.stqry.storage.remove(['a', 'b']);
+      await env.stqry.storage.clear(null, 'custom');
+
+      assert.deepEqual(env.sent.map(function(message) {
+        return { action: message.action, version: message.version, data: message.data };
+      }), [
+        { action: 'storage.set', version: 'v1', data: { changeset: { score: 1 }, storageKey: 'stqryStorage' } },
+        { action: 'storage.remove', version: 'v1', data: { keys: ['a', 'b'], storageKey: 'stqryStorage' } },
+        // De app kent geen storage.clear: clear verwijdert alle keys die de host teruggeeft
+        { action: 'storage.get', version: 'v1', data: { storageKey: 'custom' } },
+        { action: 'storage.remove', version: 'v1', data: { keys: ['x', 'y'], storageKey: 'custom' } }
+      ]);
+      env.sent.forEach(function(message) {
+        assert.equal(typeof message.callbackId, 'number');
+      });
+    });
+
+    test('een namespace wist nooit via storage.clear', async function() {
+      var hostStorage = {};
+      setup({
+        handlers: {
+          'storage.get': function() {
+            return [hostStorage];
+          },
+          'storage.set': function(data) {
+            Object.assign(hostStorage, data.changeset);
+            return [];
+          },
+          'storage.remove': function(data) {
+            data.keys.forEach(function(key) {
+              delete hostStorage[key];
+            });
+            return [];
+          }
+        }
+      });
+      var quiz = env.stqry.storage.namespace('quiz');
+
+      // Eerste gebruik: alleen de schema versie vastleggen, niets wissen
+      await quiz.set({ score: 1 });
+      assert.deepEqual(env.sent.map(function(message) {
+        return message.action;
+      }), ['storage.get', 'storage.set', 'storage.set']);
+
+      await quiz.clear();
+      assert.deepEqual(env.messages('storage.remove').map(function(message) {
+        return message.data;
+      }), [{ keys: ['score'], storageKey: 'stqryStorage:quiz' }]);
+      assert.deepEqual(env.messages('storage.clear'), []);
+      assert.equal(JSON.stringify(hostStorage), '{"__schemaVersion":1}');
+    });
+
+    test('consent.forget wijst wachtende schrijfacties af', async function() {
+      setup({
+        handlers: {
+          'storage.get': function() {
+            return [{}];
+          },
+          'storage.set': function() {
+            return null;
+          },
+          'storage.remove': function() {
+            return [];
+          }
+        }
+      });
+      var pendingSet = env.stqry.storage.set({ score: 1 });
+      await env.waitFor('storage.set');
+
+      await env.stqry.consent.forget();
+      await assert.rejects(pendingSet, function(err) {
+        assert.ok(err instanceof env.stqry.errors.StorageError);
+        assert.equal(err.action, 'consent.forget');
+        return true;
+      });
+      assert.deepEqual(await env.stqry.storage.pending(), []);
+
+      // De outbox levert weer af: een nieuwe mutatie gaat direct naar de host
+      await env.stqry.storage.remove('a');
+      assert.deepEqual(env.messages('storage.remove').pop().data, { keys: ['a'], storageKey: 'stqryStorage' });
+    });
+
+    test('een mutatie die de host nooit bevestigt blokkeert de outbox niet', async function() {
+      setup({
+        config: { timeout: 10 },
+        handlers: {
+          'storage.get': function() {
+            return [{}];
+          },
+          'storage.set': function() {
+            return null;
+          },
+          'storage.remove': function() {
+            return [];
+          }
+        }
+      });
+      var queued = env.stqry.storage.set({ a: 1 });
+      await assert.rejects(queued, function(err) {
+        return err.queued === true;
+      });
+      // Ook de remove wacht achter de set (en wordt rejected met queued: true)
+      env.stqry.storage.remove('b').catch(function() {});
+
+      // De host beantwoordt andere calls wel: elk antwoord is een nieuwe poging die telt
+      for (var attempt = 0; attempt < 10; attempt++) {
+        await env.stqry.storage.get('x');
+        await wait(20);
+      }
+      await env.waitFor('storage.remove');
+      await wait(5);
+      assert.deepEqual(await env.stqry.storage.pending(), []);
+      assert.ok(env.logs.some(function(entry) {
+        return entry[0] === 'warn' && /opgegeven na 10 pogingen/.test(entry.join(' '));
+      }));
+    });
+
+    test('een host die weg is houdt de mutatie in de outbox tot de maximale leeftijd', async function() {
+      setup({
+        config: { timeout: 10 },
+        handlers: {
+          'storage.set': function() {
+            return null;
+          }
+        }
+      });
+      var queued = env.stqry.storage.set({ a: 1 });
+      await assert.rejects(queued, function(err) {
+        return err.queued === true;
+      });
+
+      // App op de achtergrond: pogingen zonder enig antwoord gooien de mutatie niet weg
+      for (var attempt = 0; attempt < 15; attempt++) {
+        env.window.dispatchEvent(new env.window.Event('online'));
+        await wait(20);
+      }
+      assert.ok(env.messages('storage.set').length > 10);
+      var pending = await env.stqry.storage.pending();
+      assert.equal(pending.length, 1);
+      assert.equal(pending[0].unanswered, 0);
+
+      // Na 24 uur wordt de mutatie bij de volgende poging opgegeven
+      env.advance(24 * 60 * 60 * 1000 + 1);
+      env.window.dispatchEvent(new env.window.Event('online'));
+      await wait(20);
+      assert.deepEqual(await env.stqry.storage.pending(), []);
+      assert.ok(env.logs.some(function(entry) {
+        return entry[0] === 'warn' && /24 uur niet bevestigd/.test(entry.join(' '));
+      }));
+    });
+
+    test('verlopen keys worden verborgen en bij de host verwijderd', async function() {
+      var hostStorage = {};
+      setup({
+        handlers: {
+          'storage.get': function() {
+            return [hostStorage];
+          },
+          'storage.set': function(data) {
+            Object.assign(hostStorage, data.changeset);
+            return [];
+          },
+          'storage.remove': function(data) {
+            data.keys.forEach(function(key) {
+              delete hostStorage[key];
+            });
+            return [];
+          }
+        }
+      });
+
+      await env.stqry.storage.set({ tourCache: [1, 2], score: 3 }, { ttl: 60 });
+      await env.stqry.storage.set({ score: 4 });
+      assert.deepEqual(env.messages('storage.set')[0].data, {
+        changeset: { tourCache: [1, 2], score: 3 },
+        storageKey: 'stqryStorage'
+      });
+
+      env.advance(61 * 1000);
+      assert.deepEqual(await env.stqry.storage.get(null), { score: 4 });
+      await env.waitFor('storage.remove');
+      assert.deepEqual(env.messages('storage.remove')[0].data, { keys: ['tourCache'], storageKey: 'stqryStorage' });
+    });
+
+    test('een budget verwijdert eerst de minst recent gebruikte keys bij de host', async function() {
+      setup({
+        handlers: {
+          'storage.set': function() {
+            return [];
+          },
+          'storage.remove': function() {
+            return [];
+          }
+        }
+      });
+      env.stqry.storage.configure({ budgets: { stqryStorage: 40 } });
+      await env.stqry.storage.set({ a: 'x'.repeat(15) });
+      env.advance(1000);
+      await env.stqry.storage.set({ b: 'x'.repeat(15) });
+      await env.stqry.storage.set({ c: 'x'.repeat(15) });
+
+      assert.deepEqual(env.sent.map(function(message) {
+        return message.action + ' ' + Object.keys(message.data.changeset || {}).concat(message.data.keys || []).join(',');
+      }), ['storage.set a', 'storage.set b', 'storage.remove a', 'storage.set c']);
+
+      await assert.rejects(env.stqry.storage.set({ d: 'x'.repeat(60) }), env.stqry.errors.StorageError);
+    });
+
+    test('callback IDs zijn uniek en oplopend', async function() {
+      setup({
+        handlers: {
+          'storage.get': function() {
+            return [{}];
+          }
+        }
+      });
+      await Promise.all([env.stqry.storage.get('a'), env.stqry.storage.get('b'), env.stqry.storage.get('c')]);
+      assert.deepEqual(env.sent.map(function(message) {
+        return message.callbackId;
+      }), [1, 2, 3]);
+    });
+
+    test('een antwoord met error rejected met een HostError', async function() {
+      setup({
+        handlers: {
+          'storage.get': function() {
+            return { error: 'Disk full' };
+          }
+        }
+      });
+      await assert.rejects(env.stqry.storage.get('a'), function(err) {
+        assert.ok(err instanceof env.stqry.errors.HostError);
+        assert.equal(err.message, 'Disk full');
+        assert.equal(err.action, 'storage.get');
+        return true;
+      });
+    });
+
+    test('code unsupported rejected met UnsupportedAction', async function() {
+      setup({
+        handlers: {
+          'storage.get': function() {
+            return { error: 'Unsupported action: storage.get', code: 'unsupported' };
+          }
+        }
+      });
+      await assert.rejects(env.stqry.storage.get('a'), env.stqry.errors.UnsupportedAction);
+    });
+
+    test('zonder antwoord volgt een TimeoutError na de timeout', async function() {
+      setup({ config: { timeout: 30 } });
+      var started = Date.now();
+      await assert.rejects(env.stqry.storage.get('a'), env.stqry.errors.TimeoutError);
+      assert.ok(Date.now() - started >= 25);
+    });
+
+    test('retries versturen hetzelfde bericht met dezelfde callbackId', async function() {
+      var attempts = 0;
+      setup({
+        config: { timeout: 20, retries: 2, retryDelay: 5 },
+        handlers: {
+          'storage.get': function() {
+            attempts++;
+            return attempts < 3 ? null : [{ a: 'derde keer' }];
+          }
+        }
+      });
+      assert.equal(await env.stqry.storage.get('a'), 'derde keer');
+      assert.equal(env.sent.length, 3);
+      assert.deepEqual(env.sent[0], env.sent[2]);
+    });
+
+    test('een fout in de legacy callback rejected de call niet', async function() {
+      setup({
+        handlers: {
+          'storage.get': function() {
+            return [{ a: 1 }];
+          }
+        }
+      });
+      assert.equal(await env.stqry.storage.get('a', function() {
+        throw new Error('fout in pagina code');
+      }), 1);
+      assert.ok(env.logs.some(function(entry) {
+        return entry[0] === 'error' && entry[1] === 'Fout in callback:';
+      }));
+    });
+
+    test('een antwoord na de timeout wordt genegeerd', async function() {
+      setup({ config: { timeout: 20 } });
+      await assert.rejects(env.stqry.storage.get('a'));
+      env.reply({ action: 'callback', callbackId: 1, args: [{ a: 'te laat' }] });
+      await wait(5);
+      assert.equal(env.sent.length, 1);
+    });
+
+    test('de handshake noemt alle acties en versies', async function() {
+      setup({
+        handlers: {
+          'language.get': function() {
+            return ['de'];
+          }
+        }
+      });
+      assert.equal(await env.stqry.language.get(), 'de');
+
+      assert.deepEqual(env.sent[0], {
+        action: 'bridge.handshake',
+        version: 'v1',
+        data: { versions: ['v1'], actions: KNOWN_ACTIONS },
+        callbackId: 1
+      });
+      assert.deepEqual(env.sent[1], { action: 'language.get', version: 'v1', data: {}, callbackId: 2 });
+    });
+
+    test('capabilities komen uit de handshake', async function() {
+      setup({
+        handlers: {
+          'bridge.handshake': function() {
+            return handshakeReply(['storage.get', 'user.get']);
+          }
+        }
+      });
+      var capabilities = await env.stqry.capabilities();
+      assert.equal(capabilities.runtime, runtime);
+      assert.equal(capabilities.handshake, true);
+      assert.deepEqual(capabilities.versions, ['v1']);
+      assert.equal(capabilities.actions['user.get'], 'v1');
+      assert.equal(capabilities.actions['device.get'], null);
+    });
+
+    test('acties die de host niet kent gebruiken direct de fallback', async function() {
+      setup({
+        handlers: {
+          'bridge.handshake': function() {
+            return handshakeReply(['storage.get']);
+          }
+        }
+      });
+      var language = await env.stqry.language.get();
+      assert.equal(language, env.window.navigator.language.split('-')[0]);
+      assert.deepEqual(env.messages('language.get'), []);
+    });
+
+    test('zonder handshake worden acties geprobed en valt language.get na de timeout terug', async function() {
+      // Een host zoals de huidige app: geen handshake, geen antwoord op language.get
+      var errors = [];
+      setup({
+        config: {
+          onError: function(err) {
+            errors.push(err);
+          }
+        },
+        handlers: {
+          'bridge.handshake': function() {
+            return null;
+          }
+        }
+      });
+      var started = Date.now();
+      var language = await env.stqry.language.get();
+
+      assert.equal(language, env.window.navigator.language.split('-')[0]);
+      assert.ok(Date.now() - started >= 400, 'wacht op de handshake timeout');
+      ['user.get', 'device.get', 'language.get', 'location.get', 'context.get'].forEach(function(action) {
+        assert.equal(env.messages(action).length, 1, action + ' geprobed');
+      });
+      var capabilities = await env.stqry.capabilities();
+      assert.equal(capabilities.handshake, false);
+      // De handshake en probes zijn intern: hun timeouts gaan niet naar onError
+      assert.deepEqual(errors, []);
+    });
+
+    test('i18n.setLanguage vertaalt één keer, ook met de fallback en een echo van de host', async function() {
+      setup({
+        config: { timeout: 30, retries: 0 },
+        handlers: {
+          'language.get': function() {
+            return ['nl'];
+          },
+          'language.set': function() {
+            return null;
+          }
+        }
+      });
+      await env.stqry.i18n.init({ catalogs: { nl: { title: 'Welkom' }, en: { title: 'Welcome' } } });
+      var rendered = env.events('stqryI18nRendered');
+
+      assert.equal(await env.stqry.i18n.setLanguage('en'), 'en');
+      env.push('language.changed', { language: 'en' });
+      await wait(5);
+      assert.deepEqual(rendered, [{ language: 'en' }]);
+      assert.equal(env.stqry.i18n.t('title'), 'Welcome');
+    });
+
+    test('een ondersteunde actie valt na de timeout terug op lokale data', async function() {
+      setup({ config: { timeout: 30 } });
+      var location = await env.stqry.location.get();
+      assert.equal(env.messages('location.get').length, 1);
+      assert.equal(location.href, env.window.location.href);
+      assert.ok(env.logs.some(function(entry) {
+        return entry[0] === 'warn' && /using fallback/.test(entry.join(' '));
+      }));
+    });
+
+    test('user.get, device.get, language.set, location en context berichten', async function() {
+      setup({
+        handlers: {
+          'user.get': function() {
+            return [{ id: 'host-1', name: 'Host User' }];
+          },
+          'device.get': function() {
+            return [{ platform: 'app', os: 'Android' }];
+          },
+          'language.set': function() {
+            return [];
+          },
+          'location.get': function() {
+            return [{ href: 'https://app.stqry.es/tour/1/item/2' }];
+          },
+          'location.set': function() {
+            return [];
+          },
+          'location.close': function() {
+            return [];
+          },
+          'context.get': function() {
+            return [{ collectionId: 57959, itemId: 395298, collectionAccountId: 17706 }];
+          }
+        }
+      });
+      var stqry = env.stqry;
+
+      var user = await stqry.user.get();
+      assert.equal(user.id, 'host-1');
+      assert.equal(user.type, 'host');
+
+      var device = await stqry.device.get();
+      assert.equal(device.platform, 'app');
+      assert.equal(device.os, 'Android');
+
+      await stqry.language.set('fr');
+      await stqry.location.set('/next');
+      await stqry.location.close();
+
+      var context = await stqry.context.get();
+      assert.equal(context.collectionId, 57959);
+      assert.equal(context.itemId, 395298);
+      assert.equal(context.source, 'host');
+
+      var strip = function(message) {
+        return { action: message.action, version: message.version, data: message.data };
+      };
+      assert.deepEqual(strip(env.messages('user.get')[0]), { action: 'user.get', version: 'v1', data: {} });
+      assert.deepEqual(strip(env.messages('device.get')[0]), { action: 'device.get', version: 'v1', data: {} });
+      assert.deepEqual(strip(env.messages('language.set')[0]), { action: 'language.set', version: 'v1', data: { language: 'fr' } });
+      assert.deepEqual(strip(env.messages('location.set')[0]), { action: 'location.set', version: 'v1', data: { url: '/next' } });
+      assert.deepEqual(strip(env.messages('location.close')[0]), { action: 'location.close', version: 'v1', data: {} });
+      assert.deepEqual(strip(env.messages('context.get')[0]), { action: 'context.get', version: 'v1', data: {} });
+    });
+
+    test('navigation.back en linking zijn fire-and-forget', async function() {
+      setup();
+      await env.stqry.location.back();
+      await env.stqry.linking.openExternal('https://example.com/info');
+      await env.stqry.linking.openInternal({ subtype: 'tour', id: 57959 });
+
+      assert.deepEqual(env.sent, [
+        { action: 'navigation.back', version: 'v1', data: {} },
+        { action: 'linking.openExternal', version: 'v1', data: { link: 'https://example.com/info' } },
+        { action: 'linking.openInternal', version: 'v1', data: { params: { subtype: 'tour', id: 57959 } } }
+      ]);
+    });
+
+    test('linking weigert ongeldige input zonder bericht', async function() {
+      setup();
+      await assert.rejects(env.stqry.linking.openExternal('javascript:alert(1)'));
+      await assert.rejects(env.stqry.linking.openInternal({ subtype: 'tour', id: 'abc' }));
+      assert.deepEqual(env.sent, []);
+    });
+
+    test('analytics.track levert batches af via de host', async function() {
+      // Consent staat in de host storage
+      var hostStorage = {};
+      setup({
+        handlers: {
+          'storage.get': function() {
+            return [hostStorage];
+          },
+          'storage.set': function(data) {
+            Object.assign(hostStorage, data.changeset);
+            return [];
+          },
+          'storage.remove': function() {
+            return [];
+          },
+          'analytics.track': function() {
+            return [];
+          },
+          'context.get': function() {
+            return [{ collectionId: 57959, itemId: 1 }];
+          }
+        }
+      });
+      env.stqry.analytics.configure({ flushInterval: 10000 });
+      await env.stqry.consent.acceptAll();
+      assert.equal(await env.stqry.analytics.track('quiz_answered', { correct: true }), true);
+      assert.equal(await env.stqry.analytics.flush(), 1);
+
+      var batch = env.messages('analytics.track')[0];
+      assert.equal(batch.version, 'v1');
+      assert.equal(batch.data.events.length, 1);
+      var event = batch.data.events[0];
+      assert.equal(event.name, 'quiz_answered');
+      assert.deepEqual(event.props, { correct: true });
+      assert.equal(event.runtime, runtime);
+      assert.equal(event.context.collectionId, 57959);
+    });
+
+    test('storage.updated van de host dispatcht stqryStorageUpdated', async function() {
+      setup();
+      var updates = env.events('stqryStorageUpdated');
+      var viaBus = [];
+      env.stqry.on('storage.updated', function(data, event) {
+        viaBus.push(event.source);
+      });
+
+      env.push('storage.updated', { score: 7 });
+      assert.deepEqual(updates, [{ score: 7 }]);
+      assert.deepEqual(viaBus, ['host']);
+    });
+
+    test('een storage.set dispatcht zelf geen stqryStorageUpdated; de host broadcast dat', async function() {
+      setup({
+        handlers: {
+          'storage.set': function() {
+            return [];
+          }
+        }
+      });
+      var updates = env.events('stqryStorageUpdated');
+      await env.stqry.storage.set({ score: 1 });
+      assert.deepEqual(updates, []);
+    });
+
+    test('onbekende host acties komen binnen op stqry.on', function() {
+      setup();
+      var received = [];
+      var off = env.stqry.on('*', function(data, event) {
+        received.push([event.action, data]);
+      });
+      env.push('tour.finished', { id: 1 });
+      off();
+      env.push('tour.finished', { id: 2 });
+      assert.deepEqual(received, [['tour.finished', { id: 1 }]]);
+    });
+
+    test('host acties mogen primitieve data sturen', function() {
+      setup();
+      var languages = [];
+      env.window.addEventListener('stqryLanguageChanged', function(event) {
+        languages.push(event.detail.language);
+      });
+      var received = [];
+      env.stqry.on('tour.progress', function(data) {
+        received.push(data);
+      });
+      env.push('language.changed', 'en');
+      env.push('tour.progress', 3);
+      assert.deepEqual(languages, ['en']);
+      assert.deepEqual(received, [3]);
+
+      // storage.updated heeft een object nodig
+      var updates = env.events('stqryStorageUpdated');
+      env.push('storage.updated', 'kapot');
+      assert.deepEqual(updates, []);
+    });
+
+    test('ongeldige berichten worden genegeerd', async function() {
+      setup({ config: { timeout: 50 } });
+      var pending = env.stqry.storage.get('a');
+      env.window.dispatchEvent(new env.window.MessageEvent('message', {
+        data: 'geen json',
+        origin: envModule.PARENT_ORIGIN,
+        source: env.window.parent
+      }));
+      env.reply({ action: 'callback', callbackId: 999, args: ['onbekend'] });
+      await assert.rejects(pending, env.stqry.errors.TimeoutError);
+    });
+  });
+});
+
+test.describe('IFrame beveiliging', function() {
+  var env;
+
+  test.afterEach(function() {
+    env.close();
+  });
+
+  test('berichten gaan alleen naar de vertrouwde parent origin', async function() {
+    env = createEnv({
+      runtime: 'IFrame',
+      handlers: {
+        'storage.get': function() {
+          return [{ a: 1 }];
+        }
+      }
+    });
+    await env.stqry.storage.get('a');
+    assert.deepEqual(env.targetOrigins, [envModule.PARENT_ORIGIN]);
+  });
+
+  test('de parent origin blijft bekend na navigatie binnen het frame', async function() {
+    var handlers = {
+      'storage.get': function() {
+        return [{ a: 1 }];
+      }
+    };
+    env = createEnv({ runtime: 'IFrame', handlers: handlers });
+    await env.stqry.storage.get('a');
+    var session = env.window.sessionStorage.getItem('stqryParentOrigin');
+    assert.equal(session, envModule.PARENT_ORIGIN);
+    env.close();
+
+    // page2.html: de referrer is nu page1.html op de eigen origin
+    env = createEnv({
+      runtime: 'IFrame',
+      url: 'https://example.com/page2.html',
+      referrer: 'https://example.com/page1.html',
+      handlers: handlers,
+      beforeBridge: function(window) {
+        window.sessionStorage.setItem('stqryParentOrigin', session);
+      }
+    });
+    await env.stqry.storage.get('a');
+    assert.deepEqual(env.targetOrigins, [envModule.PARENT_ORIGIN]);
+  });
+
+  test('een referrer op de eigen origin is geen parent', async function() {
+    env = createEnv({ runtime: 'IFrame', referrer: 'https://example.com/page1.html' });
+    await assert.rejects(env.stqry.storage.get('a'), env.stqry.errors.UntrustedParent);
+    assert.deepEqual(env.sent, []);
+  });
+
+  test('antwoorden van een onbekende origin worden genegeerd', async function() {
+    env = createEnv({ runtime: 'IFrame', config: { timeout: 50 } });
+    var pending = env.stqry.storage.get('a');
+    env.reply({ action: 'callback', callbackId: 1, args: [{ a: 'evil' }] }, { origin: 'https://evil.example' });
+    await assert.rejects(pending, env.stqry.errors.TimeoutError);
+  });
+
+  test('zonder vertrouwde parent wordt niets verstuurd', async function() {
+    env = createEnv({ runtime: 'IFrame', referrer: 'https://evil.example/' });
+    await assert.rejects(env.stqry.storage.get('a'), function(err) {
+      assert.ok(err instanceof env.stqry.errors.UntrustedParent);
+      assert.equal(err.name, 'UntrustedParent');
+      assert.equal(err.action, 'storage.get');
+      return true;
+    });
+    await assert.rejects(env.stqry.linking.openExternal('https://example.org/'), env.stqry.errors.UntrustedParent);
+    assert.deepEqual(env.sent, []);
+  });
+
+  test('trustedOrigins is aan te passen', async function() {
+    env = createEnv({
+      runtime: 'IFrame',
+      referrer: 'https://cms.example.org/preview',
+      handlers: {
+        'storage.get': function() {
+          return [{ a: 1 }];
+        }
+      }
+    });
+    env.stqry.configure({ trustedOrigins: ['https://cms.example.org'] });
+    var pending = env.stqry.storage.get('a');
+    await env.waitFor('storage.get');
+    assert.deepEqual(env.targetOrigins, ['https://cms.example.org']);
+    await assert.rejects(Promise.race([pending, wait(100).then(function() {
+      throw new Error('geen antwoord van de origin van de stand-in');
+    })]));
+  });
+});
+
+test.describe('ReactNative bronnen', function() {
+  test('berichten van een ander window worden genegeerd', async function() {
+    var env = createEnv({ runtime: 'ReactNative', config: { timeout: 50 } });
+    try {
+      var pending = env.stqry.storage.get('a');
+      env.reply({ action: 'callback', callbackId: 1, args: [{ a: 'evil' }] }, { source: {} });
+      await assert.rejects(pending, env.stqry.errors.TimeoutError);
+    } finally {
+      env.close();
+    }
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Runtime tests: detectie, createBridge opties, laden via een script tag en
+ * een volledige ronde via stqry-mock-host.js
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fs = require('node:fs');
+var path = require('node:path');
+var JSDOM = require('jsdom').JSDOM;
+var envModule = require('./env');
+var bridgeModule = require('../stqry-bridge.js');
+
+var createEnv = envModule.createEnv;
+
+var BRIDGE_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'stqry-bridge.js'), 'utf8');
+var MOCK_HOST_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'stqry-mock-host.js'), 'utf8');
+
+/**
+ * Maak een jsdom window waarin scripts via window.eval() draaien, zoals een script tag
+ */
+function createScriptWindow() {
+  var dom = new JSDOM('<!doctype html><html><body></body></html>', {
+    url: 'https://example.com/page.html',
+    runScripts: 'outside-only'
+  });
+  return dom.window;
+}
+
+/**
+ * Voer fn uit met een stille console en geef de output terug
+ */
+function quietly(fn) {
+  var originalLog = console.log;
+  var logs = [];
+  console.log = function() {
+    logs.push(Array.prototype.slice.call(arguments));
+  };
+  try {
+    fn();
+  } finally {
+    console.log = originalLog;
+  }
+  return logs;
+}
+
+test.describe('runtime detectie', function() {
+  ['NoRuntime', 'IFrame', 'ReactNative'].forEach(function(runtime) {
+    test(runtime, function() {
+      var env = createEnv({ runtime: runtime });
+      try {
+        assert.equal(env.stqry.utils.getRuntime(), runtime);
+        assert.ok(env.logs.some(function(entry) {
+          return entry[0] === 'log' && entry[2] === runtime;
+        }));
+      } finally {
+        env.close();
+      }
+    });
+  });
+
+  test('ReactNativeWebView gaat voor een parent', function() {
+    var env = createEnv({
+      runtime: 'IFrame',
+      beforeBridge: function(window) {
+        window.ReactNativeWebView = { postMessage: function() {} };
+      }
+    });
+    try {
+      assert.equal(env.stqry.utils.getRuntime(), 'ReactNative');
+    } finally {
+      env.close();
+    }
+  });
+});
+
+test.describe('createBridge', function() {
+  test('de CommonJS export bevat alleen de factory', function() {
+    assert.deepEqual(Object.keys(bridgeModule), ['createBridge']);
+    assert.equal(typeof globalThis.stqry, 'undefined');
+  });
+
+  test('zonder window gooit een TypeError', function() {
+    assert.throws(function() {
+      bridgeModule.createBridge();
+    }, TypeError);
+    assert.throws(function() {
+      bridgeModule.createBridge({ window: {} });
+    }, TypeError);
+  });
+
+  test('een onbekende runtime gooit een TypeError', function() {
+    var window = createScriptWindow();
+    try {
+      assert.throws(function() {
+        bridgeModule.createBridge({ window: window, runtime: 'Electron' });
+      }, /onbekende runtime Electron/);
+    } finally {
+      window.close();
+    }
+  });
+
+  test('runtime forceert de runtime en zet geen globals', function() {
+    var window = createScriptWindow();
+    try {
+      var stqry;
+      quietly(function() {
+        stqry = bridgeModule.createBridge({ window: window, runtime: 'NoRuntime' });
+      });
+      assert.equal(stqry.utils.getRuntime(), 'NoRuntime');
+      assert.equal(window.stqry, undefined);
+      assert.equal(window.stqryRuntime, undefined);
+    } finally {
+      window.close();
+    }
+  });
+
+  test('twee bridges in één window delen alleen localStorage', async function() {
+    var window = createScriptWindow();
+    try {
+      var first;
+      var second;
+      quietly(function() {
+        first = bridgeModule.createBridge({ window: window });
+        second = bridgeModule.createBridge({ window: window });
+      });
+      await first.storage.set({ shared: true });
+      assert.equal(await second.storage.get('shared'), true);
+
+      first.debug.enable();
+      assert.equal(second.debug.isEnabled(), false);
+    } finally {
+      window.close();
+    }
+  });
+});
+
+test.describe('script tag', function() {
+  test('installeert window.stqry, window.stqryRuntime en window.stqryBridge', async function() {
+    var window = createScriptWindow();
+    try {
+      quietly(function() {
+        window.eval(BRIDGE_SOURCE);
+      });
+      assert.equal(window.stqryRuntime, 'NoRuntime');
+      assert.equal(typeof window.stqry.storage.get, 'function');
+      assert.equal(typeof window.stqryBridge.createBridge, 'function');
+
+      await window.stqry.storage.set({ a: 1 });
+      assert.equal(JSON.parse(window.localStorage.getItem('stqryStorage')).a, 1);
+    } finally {
+      window.close();
+    }
+  });
+});
+
+test.describe('AMD', function() {
+  test('define krijgt de factory en window.stqry wordt gezet', function() {
+    var window = createScriptWindow();
+    try {
+      var exported = null;
+      window.define = function(deps, factory) {
+        exported = factory();
+      };
+      window.define.amd = {};
+      quietly(function() {
+        window.eval(BRIDGE_SOURCE);
+      });
+      assert.equal(typeof exported.createBridge, 'function');
+      assert.equal(window.stqryBridge, exported);
+      assert.equal(window.stqryRuntime, 'NoRuntime');
+      assert.equal(typeof window.stqry.storage.get, 'function');
+    } finally {
+      window.close();
+    }
+  });
+});
+
+test.describe('mock host', function() {
+  test('ReactNative shim: storage, user en een storage.updated push', async function() {
+    var window = createScriptWindow();
+    var logs = [];
+    var originalConsole = { log: console.log, warn: console.warn };
+    console.log = console.warn = function() {
+      logs.push(Array.prototype.slice.call(arguments));
+    };
+
+    try {
+      window.eval(MOCK_HOST_SOURCE);
+      var host = window.stqryMockHost.create({ language: 'de' });
+      host.installReactNativeShim(window);
+      window.eval(BRIDGE_SOURCE);
+
+      var stqry = window.stqry;
+      assert.equal(window.stqryRuntime, 'ReactNative');
+
+      await stqry.storage.set({ score: 5 });
+      // Objecten uit het window hebben een eigen Object prototype: vergelijk via JSON
+      assert.equal(JSON.stringify(host.state.storage.stqryStorage), '{"score":5}');
+      assert.equal(await stqry.storage.get('score'), 5);
+      assert.equal(await stqry.language.get(), 'de');
+
+      var user = await stqry.user.get();
+      assert.equal(user.id, 'mock-visitor');
+      assert.equal(user.type, 'host');
+
+      var updates = [];
+      window.addEventListener('stqryStorageUpdated', function(event) {
+        updates.push(event.detail);
+      });
+      host.push('storage.updated', { score: 6 });
+      await new Promise(function(resolve) {
+        window.setTimeout(resolve, 10);
+      });
+      assert.equal(JSON.stringify(updates), '[{"score":6}]');
+
+      var handshake = host.log.filter(function(entry) {
+        return entry.direction === 'in' && entry.message.action === 'bridge.handshake';
+      });
+      assert.equal(handshake.length, 1);
+    } finally {
+      window.close();
+      console.log = originalConsole.log;
+      console.warn = originalConsole.warn;
+    }
+  });
+});
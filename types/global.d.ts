@@ -0,0 +1,27 @@
+/**
+ * Globals van de script tag build (<script src="stqry-bridge.js">)
+ * Gebruik: /// <reference types="stqry-bridge/types/global" />
+ */
+
+import type { StqryBridge, Runtime, createBridge } from './index';
+
+declare global {
+  interface Window {
+    stqry: StqryBridge;
+    stqryRuntime: Runtime;
+    stqryBridge: { createBridge: typeof createBridge };
+  }
+
+  interface WindowEventMap {
+    /** Volledige data van de default storage key (stqryStorage); andere keys via storage.watch */
+    stqryStorageUpdated: CustomEvent<Record<string, unknown>>;
+    stqryStorageSynced: CustomEvent<{ replayed: number }>;
+    stqryLanguageChanged: CustomEvent<{ language: string }>;
+    stqryConsentChanged: CustomEvent<import('./index').ConsentRecord | null>;
+    stqryUserChanged: CustomEvent<{ user: import('./index').User; previous: string | null; source: string }>;
+    stqryI18nRendered: CustomEvent<{ language: string }>;
+    stqryRouteChanged: CustomEvent<import('./index').Route>;
+  }
+}
+
+export {};
@@ -0,0 +1,544 @@
+/**
+ * Types voor stqry-bridge
+ * Het object van createBridge() is gelijk aan window.stqry van de script tag build.
+ * Alle async methodes accepteren een optionele legacy callback en retourneren een Promise.
+ */
+
+import type { AnalyticsEventMessage, InternalLinkSubtype, ProtocolVersion, ActionName, Runtime } from './messages';
+
+export * from './messages';
+
+/** Legacy callback met de waarde waarmee de Promise resolved */
+export type Callback<T> = ((value: T) => void) | null | undefined;
+
+/** Functie die een handler of watcher afmeldt */
+export type Unsubscribe = () => void;
+
+/** Instellingen per call, overschrijven stqry.configure() */
+export interface CallOptions {
+  /** ms wachten op de parent voordat de call faalt */
+  timeout?: number;
+  /** Aantal keer opnieuw versturen na een timeout */
+  retries?: number;
+  /** ms voor de eerste retry, verdubbelt per poging */
+  retryDelay?: number;
+  /** Wordt aangeroepen met elke mislukte call */
+  onError?: ((error: StqryError) => void) | null;
+}
+
+export interface CreateBridgeOptions {
+  /** Het window waarin de bridge draait (default: het globale window) */
+  window?: Window;
+  /** Forceer een runtime in plaats van detectie */
+  runtime?: Runtime;
+}
+
+/**
+ * Maak een bridge voor een window
+ * Elke bridge heeft zijn eigen state en listeners; maak er één per window.
+ */
+export function createBridge(options?: CreateBridgeOptions): StqryBridge;
+
+/* ---------- Fouten ---------- */
+
+export interface StqryError extends Error {
+  name: 'TimeoutError' | 'HostError' | 'UnsupportedAction' | 'ConsentRequired' | 'StorageError' | 'UntrustedParent';
+  /** De actie waarvoor de fout optrad */
+  action?: string;
+  /** StorageError: de opslag is vol of de data past niet in het budget */
+  quota?: boolean;
+  /** StorageError/HostError: de oorspronkelijke fout van localStorage of het kanaal naar de host */
+  cause?: unknown;
+}
+
+export interface StqryErrorConstructor<N extends StqryError['name']> {
+  new (message: string, action?: string): StqryError & { name: N };
+  readonly prototype: StqryError & { name: N };
+}
+
+export interface StqryErrors {
+  /** Parent antwoordde niet binnen de timeout (ook niet na retries) */
+  TimeoutError: StqryErrorConstructor<'TimeoutError'>;
+  /** Parent antwoordde met een error */
+  HostError: StqryErrorConstructor<'HostError'>;
+  /** De host kent de actie of protocol versie niet */
+  UnsupportedAction: StqryErrorConstructor<'UnsupportedAction'>;
+  /** Schrijven in een namespace zonder toestemming voor zijn categorie */
+  ConsentRequired: StqryErrorConstructor<'ConsentRequired'>;
+  /** Data kon niet lokaal worden opgeslagen of past niet in het budget */
+  StorageError: StqryErrorConstructor<'StorageError'>;
+  /** De origin van de parent frame is niet vertrouwd, het bericht is niet verstuurd */
+  UntrustedParent: StqryErrorConstructor<'UntrustedParent'>;
+}
+
+/* ---------- Storage ---------- */
+
+export type StorageData = Record<string, unknown>;
+
+/** Bron van een wijziging: deze pagina, een andere tab of de host */
+export type ChangeSource = 'local' | 'tab' | 'host';
+
+export interface StorageChange {
+  key: string;
+  oldValue: unknown;
+  newValue: unknown;
+  source: ChangeSource;
+  storageKey: string;
+}
+
+export interface OutboxEntry {
+  id: string;
+  action: 'storage.set' | 'storage.remove';
+  data: StorageData;
+  queuedAt: number;
+  /** Aantal keer dat de entry naar de host is verstuurd */
+  attempts?: number;
+  /** Pogingen zonder antwoord terwijl de host andere calls wel beantwoordde */
+  unanswered?: number;
+}
+
+/** Opties voor storage.set() */
+export interface SetOptions extends CallOptions {
+  /** Levensduur van de keys in seconden; verlopen keys worden bij het lezen opgeruimd */
+  ttl?: number;
+}
+
+/** Opties voor stqry.storage.configure() */
+export interface StorageConfigOptions {
+  /** Max grootte per storageKey in tekens JSON, null verwijdert het budget */
+  budgets?: Record<string, number | null>;
+}
+
+export interface StorageConfig {
+  budgets: Record<string, number>;
+}
+
+export type ConsentCategory = 'functional' | 'analytics' | 'personalization';
+
+export interface NamespaceOptions {
+  /** Schema versie van de data (default: 1) */
+  version?: number;
+  /** Zet oude data om naar de nieuwe versie */
+  migrate?: (data: StorageData, oldVersion: number, newVersion: number) => StorageData | Promise<StorageData>;
+  /** Consent categorie van de data (default: 'functional') */
+  category?: ConsentCategory;
+  /** Budget voor de namespace in tekens JSON; bij overschrijding vallen de minst recent gebruikte keys weg */
+  maxSize?: number;
+}
+
+/** Store van stqry.storage.namespace(), zelfde methodes zonder customKey */
+export interface NamespacedStore {
+  readonly name: string;
+  readonly version: number;
+  readonly category: ConsentCategory;
+  readonly storageKey: string;
+  get<T = unknown>(key: string, callback?: Callback<T>, options?: CallOptions): Promise<T>;
+  get(key: string[], callback?: Callback<StorageData>, options?: CallOptions): Promise<StorageData>;
+  get(key: null, callback?: Callback<StorageData>, options?: CallOptions): Promise<StorageData>;
+  set(changeset: StorageData, callback?: Callback<StqryError | void>, options?: SetOptions): Promise<void>;
+  set(changeset: StorageData, options: SetOptions): Promise<void>;
+  remove(key: string | string[], callback?: Callback<StqryError | void>, options?: CallOptions): Promise<void>;
+  clear(callback?: Callback<StqryError | void>, options?: CallOptions): Promise<void>;
+  update<T = unknown>(key: string, fn: (current: T | undefined) => T | Promise<T>, callback?: Callback<T>): Promise<T>;
+  increment(key: string, n?: number, callback?: Callback<number | TypeError>): Promise<number>;
+  compareAndSet(key: string, expected: unknown, next: unknown, callback?: Callback<boolean>): Promise<boolean>;
+  watch(key: string | string[], handler: (change: StorageChange) => void): Unsubscribe;
+}
+
+export interface StorageApi {
+  get<T = unknown>(key: string, callback?: Callback<T>, customKey?: string, options?: CallOptions): Promise<T>;
+  get(key: string[], callback?: Callback<StorageData>, customKey?: string, options?: CallOptions): Promise<StorageData>;
+  get(key: null, callback?: Callback<StorageData>, customKey?: string, options?: CallOptions): Promise<StorageData>;
+  set(changeset: StorageData, callback?: Callback<StqryError | void>, customKey?: string, options?: SetOptions): Promise<void>;
+  set(changeset: StorageData, options: SetOptions): Promise<void>;
+  remove(key: string | string[], callback?: Callback<StqryError | void>, customKey?: string, options?: CallOptions): Promise<void>;
+  clear(callback?: Callback<StqryError | void>, customKey?: string, options?: CallOptions): Promise<void>;
+  namespace(name: string, options?: NamespaceOptions): NamespacedStore;
+  /** Stel budgets per storageKey in; retourneert de actuele instellingen */
+  configure(options?: StorageConfigOptions): StorageConfig;
+  /** Storage mutaties die de host nog niet heeft bevestigd */
+  pending(callback?: Callback<OutboxEntry[]>): Promise<OutboxEntry[]>;
+  update<T = unknown>(key: string, fn: (current: T | undefined) => T | Promise<T>, callback?: Callback<T>, customKey?: string): Promise<T>;
+  increment(key: string, n?: number, callback?: Callback<number | TypeError>, customKey?: string): Promise<number>;
+  compareAndSet(key: string, expected: unknown, next: unknown, callback?: Callback<boolean>, customKey?: string): Promise<boolean>;
+  watch(key: string | string[], handler: (change: StorageChange) => void, customKey?: string): Unsubscribe;
+  broadcastUpdate(data: StorageData, storageKey?: string): void;
+}
+
+/* ---------- User ---------- */
+
+export type UserType = 'host' | 'local' | 'demo' | 'anonymous';
+
+export interface User {
+  id: string;
+  visitorId: string;
+  type: UserType;
+  isAnonymous: boolean;
+  isDemo: boolean;
+  name: string | null;
+  email: string | null;
+  isGuest: boolean;
+  [field: string]: unknown;
+}
+
+export interface UserApi {
+  get(callback?: Callback<User>, options?: CallOptions): Promise<User>;
+  getVisitorId(callback?: Callback<string>): Promise<string>;
+  set(user: Record<string, unknown> | null, callback?: Callback<User>): Promise<User>;
+}
+
+/* ---------- Device ---------- */
+
+export interface SafeAreaInsets {
+  top: number;
+  right: number;
+  bottom: number;
+  left: number;
+}
+
+export interface NetworkInfo {
+  type: string | null;
+  effectiveType: string | null;
+  downlink: number | null;
+  saveData: boolean;
+}
+
+export interface DeviceInfo {
+  platform: string;
+  userAgent: string;
+  language: string;
+  online: boolean;
+  screenWidth: number;
+  screenHeight: number;
+  windowWidth: number;
+  windowHeight: number;
+  devicePixelRatio: number;
+  touchSupport: boolean;
+  os: 'Android' | 'iOS' | 'Windows' | 'MacOS' | 'ChromeOS' | 'Linux' | 'Unknown' | string;
+  browser: 'WebView' | 'Edge' | 'Opera' | 'Samsung Internet' | 'Firefox' | 'Chrome' | 'Safari' | 'Unknown' | string;
+  mobile: boolean;
+  orientation: 'portrait' | 'landscape';
+  safeAreaInsets: SafeAreaInsets;
+  colorScheme: 'light' | 'dark';
+  darkMode: boolean;
+  reducedMotion: boolean;
+  network: NetworkInfo | null;
+  [field: string]: unknown;
+}
+
+export type DeviceWatchKey = 'orientation' | 'online' | 'colorScheme' | 'reducedMotion' | 'network' | 'safeAreaInsets';
+
+export interface DeviceChange {
+  key: DeviceWatchKey;
+  oldValue: unknown;
+  newValue: unknown;
+}
+
+export interface DeviceApi {
+  get(callback?: Callback<DeviceInfo>, options?: CallOptions): Promise<DeviceInfo>;
+  watch(handler: (change: DeviceChange) => void, keys?: DeviceWatchKey | DeviceWatchKey[]): Unsubscribe;
+}
+
+/* ---------- Language ---------- */
+
+export interface LanguageApi {
+  get(callback?: Callback<string>, options?: CallOptions): Promise<string>;
+  set(lang: string, callback?: Callback<void>, options?: CallOptions): Promise<void>;
+}
+
+/* ---------- Location en router ---------- */
+
+export interface LocationInfo {
+  href: string;
+  pathname: string;
+  search: string;
+  hash: string;
+  host: string;
+}
+
+export interface LocationApi {
+  set(url: string, callback?: Callback<void>, options?: CallOptions): Promise<void>;
+  /** Terug binnen stqry.router, of navigation.back naar de app op de eerste route */
+  back(callback?: Callback<Route | void>): Promise<Route | void>;
+  close(callback?: Callback<void>, options?: CallOptions): Promise<void>;
+  get(callback?: Callback<LocationInfo>, options?: CallOptions): Promise<LocationInfo>;
+}
+
+export type RouteDirection = 'initial' | 'reload' | 'forward' | 'back' | 'replace';
+
+export interface Route {
+  path: string;
+  pattern: string | null;
+  params: Record<string, string>;
+  query: Record<string, string>;
+  state: unknown;
+  depth: number;
+  /** Ontbreekt bij stqry.router.current() */
+  direction?: RouteDirection;
+}
+
+export type RouteHandler = (route: Route) => void;
+
+export interface RouterOptions {
+  mode?: 'hash' | 'history';
+  /** Pad van de pagina in history mode (bijv. '/tour') */
+  base?: string;
+  notFound?: RouteHandler | null;
+  routes?: Record<string, RouteHandler>;
+}
+
+export interface RouterApi {
+  init(options?: RouterOptions, callback?: Callback<Route>): Promise<Route>;
+  add(pattern: string, handler: RouteHandler): void;
+  navigate(path: string, options?: { replace?: boolean; state?: unknown }, callback?: Callback<Route>): Promise<Route>;
+  back(callback?: Callback<Route | void>): Promise<Route | void>;
+  current(): Route | null;
+  stack(): Array<{ path: string; state: unknown }>;
+  configure(options: RouterOptions): void;
+}
+
+/* ---------- Context ---------- */
+
+export interface Context {
+  collectionAccountId: number | null;
+  collectionId: number | null;
+  collectionVersion: number | null;
+  collectionType: InternalLinkSubtype | null;
+  itemId: number | null;
+  demo: boolean;
+  showDetailModal: boolean;
+  params: Record<string, string>;
+  source: 'host' | 'url';
+}
+
+export interface ContextApi {
+  get(callback?: Callback<Context>, options?: CallOptions): Promise<Context>;
+}
+
+/* ---------- Progress ---------- */
+
+export interface ItemVisit {
+  firstVisitedAt: number;
+  lastVisitedAt: number;
+  visits: number;
+}
+
+export interface Progress {
+  collectionId: number | string;
+  items: Record<string, ItemVisit>;
+  itemIds: string[] | null;
+  totalItems: number | null;
+  lastItemId: number | string | null;
+  state: unknown;
+  visitorId?: string;
+  startedAt: number | null;
+  updatedAt: number | null;
+  completedAt: number | null;
+  visitedCount: number;
+  /** 0-100, pas 100 als de tour compleet is; null zolang het aantal items onbekend is */
+  percentage: number | null;
+  /** Alle items bezocht (visitedCount >= totalItems) */
+  completed: boolean;
+}
+
+export interface ProgressResume {
+  itemId: number | string | null;
+  state: unknown;
+  updatedAt: number | null;
+}
+
+export type CollectionId = number | string;
+
+export interface ProgressApi {
+  visit(target?: { itemId?: number | string; collectionId?: CollectionId }, callback?: Callback<Progress>): Promise<Progress>;
+  get(collectionId?: CollectionId, callback?: Callback<Progress>): Promise<Progress>;
+  all(callback?: Callback<Record<string, Progress>>): Promise<Record<string, Progress>>;
+  setTotal(total: number | Array<number | string>, collectionId?: CollectionId, callback?: Callback<Progress>): Promise<Progress>;
+  saveState(state: unknown, collectionId?: CollectionId, callback?: Callback<Progress>): Promise<Progress>;
+  resume(collectionId?: CollectionId, callback?: Callback<ProgressResume | null>): Promise<ProgressResume | null>;
+  reset(collectionId?: CollectionId, callback?: Callback<void>): Promise<void>;
+  watch(handler: (progress: Progress, change: { collectionId: string; source: ChangeSource }) => void, collectionId?: CollectionId): Unsubscribe;
+}
+
+/* ---------- Analytics ---------- */
+
+export type AnalyticsSink = (events: AnalyticsEventMessage[]) => void | Promise<unknown>;
+
+export interface MemorySink extends AnalyticsSink {
+  events: AnalyticsEventMessage[];
+  batches: AnalyticsEventMessage[][];
+  clear(): void;
+}
+
+export interface AnalyticsOptions {
+  endpoint?: string | null;
+  sink?: AnalyticsSink | null;
+  sampleRate?: number;
+  batchSize?: number;
+  flushInterval?: number;
+  maxBuffer?: number;
+}
+
+export interface AnalyticsApi {
+  /** De callback krijgt bij een ontbrekende naam de TypeError */
+  track(name: string, props?: Record<string, unknown>, callback?: Callback<boolean | TypeError>): Promise<boolean>;
+  flush(callback?: Callback<number>): Promise<number>;
+  pending(callback?: Callback<AnalyticsEventMessage[]>): Promise<AnalyticsEventMessage[]>;
+  optOut(optOut?: boolean, callback?: Callback<void>): Promise<void>;
+  isOptedOut(callback?: Callback<boolean>): Promise<boolean>;
+  configure(options: AnalyticsOptions): Required<AnalyticsOptions>;
+  createMemorySink(): MemorySink;
+}
+
+/* ---------- Consent ---------- */
+
+export interface ConsentRecord {
+  version: number;
+  timestamp: number;
+  categories: Record<ConsentCategory, boolean>;
+}
+
+export interface ConsentOptions {
+  version?: number;
+  required?: boolean;
+}
+
+export interface ConsentApi {
+  get(callback?: Callback<ConsentRecord | null>): Promise<ConsentRecord | null>;
+  has(category: ConsentCategory, callback?: Callback<boolean>): Promise<boolean>;
+  set(categories: Partial<Record<ConsentCategory, boolean>>, callback?: Callback<ConsentRecord>): Promise<ConsentRecord>;
+  acceptAll(callback?: Callback<ConsentRecord>): Promise<ConsentRecord>;
+  rejectAll(callback?: Callback<ConsentRecord>): Promise<ConsentRecord>;
+  /** Wis alle data van de bezoeker ("Vergeet mij") */
+  forget(callback?: Callback<void>): Promise<void>;
+  configure(options: ConsentOptions): Required<ConsentOptions>;
+}
+
+/* ---------- I18n ---------- */
+
+/** Berichten per key, genest of plat; meervoud als {zero, one, other, ...} */
+export interface Catalog {
+  [key: string]: string | Catalog;
+}
+
+export interface I18nOptions {
+  fallbackLanguage?: string;
+  /** URL template voor catalogs, bijv. 'locales/{lang}.json' */
+  loadPath?: string | null;
+  autoRender?: boolean;
+  catalogs?: Record<string, Catalog>;
+}
+
+export interface I18nApi {
+  init(options?: I18nOptions, callback?: Callback<string>): Promise<string>;
+  add(lang: string, messages: Catalog): void;
+  t(key: string, params?: Record<string, unknown>): string;
+  setLanguage(lang: string, callback?: Callback<string>): Promise<string>;
+  getLanguage(): string | null;
+  translate(root?: ParentNode): void;
+  configure(options: I18nOptions): Omit<Required<I18nOptions>, 'catalogs'>;
+}
+
+/* ---------- Linking ---------- */
+
+export interface LinkingApi {
+  /** De callback krijgt bij een ongeldige URL de TypeError */
+  openExternal(url: string, callback?: Callback<TypeError | void>): Promise<void>;
+  /** De callback krijgt bij ongeldige parameters de TypeError; alleen 'tour' zonder allowUnverifiedSubtypes */
+  openInternal(target: { subtype: InternalLinkSubtype; id: number | string }, callback?: Callback<TypeError | void>): Promise<void>;
+  /** allowUnverifiedSubtypes: ook subtypes die niet bevestigd werken in de app (alles behalve 'tour') */
+  configure(options: { internalUrlTemplate?: string; allowUnverifiedSubtypes?: boolean }): void;
+}
+
+/* ---------- Event bus, configuratie en capabilities ---------- */
+
+export interface HostEvent {
+  action: string;
+  source: ChangeSource;
+  message?: unknown;
+  storageKey?: string;
+  [field: string]: unknown;
+}
+
+export type HostEventHandler = (data: any, event: HostEvent) => void;
+
+export interface BridgeOptions extends CallOptions {
+  /** ms wachten voordat de fallback wordt gebruikt */
+  fallbackTimeout?: number;
+  /** Vertrouwde parent origins in IFrame mode, met * wildcard */
+  trustedOrigins?: string[];
+  /** Log waarschuwingen voor geweigerde berichten */
+  debug?: boolean;
+}
+
+export interface Capabilities {
+  runtime: Runtime;
+  /** Of de host op bridge.handshake antwoordde */
+  handshake: boolean;
+  versions: ProtocolVersion[];
+  /** Per actie de gekozen versie, of null als de host hem niet ondersteunt */
+  actions: Partial<Record<ActionName, ProtocolVersion | null>>;
+}
+
+/* ---------- Debug en utils ---------- */
+
+export interface TraceEntry {
+  id: number;
+  time: number;
+  direction: 'in' | 'out';
+  action?: string;
+  callbackId?: number;
+  message: unknown;
+  latency?: number;
+  requestAction?: string;
+  origin?: string;
+  rejected?: string;
+}
+
+export interface DebugApi {
+  enable(options?: { overlay?: boolean; persist?: boolean; maxEntries?: number }): void;
+  disable(): void;
+  isEnabled(): boolean;
+  trace(): TraceEntry[];
+  clear(): void;
+  export(): string;
+  download(): void;
+  showOverlay(): void;
+  hideOverlay(): void;
+}
+
+export interface UtilsApi {
+  getRuntime(): Runtime;
+  isStandalone(): boolean;
+  isIFrame(): boolean;
+  isReactNative(): boolean;
+  getTransport(): {
+    transport: 'broadcast' | 'storage' | 'memory' | null;
+    storage: 'localStorage' | 'memory';
+    leader: boolean;
+  };
+}
+
+/* ---------- De bridge ---------- */
+
+export interface StqryBridge {
+  storage: StorageApi;
+  user: UserApi;
+  device: DeviceApi;
+  language: LanguageApi;
+  location: LocationApi;
+  router: RouterApi;
+  context: ContextApi;
+  progress: ProgressApi;
+  analytics: AnalyticsApi;
+  consent: ConsentApi;
+  i18n: I18nApi;
+  linking: LinkingApi;
+  on(action: string, handler: HostEventHandler): Unsubscribe;
+  off(action: string, handler?: HostEventHandler): void;
+  configure(options: BridgeOptions): void;
+  errors: StqryErrors;
+  capabilities(callback?: Callback<Capabilities>, refresh?: boolean): Promise<Capabilities>;
+  debug: DebugApi;
+  utils: UtilsApi;
+}
@@ -0,0 +1,121 @@
+/**
+ * STQRY postMessage protocol
+ * Berichten tussen de bridge en de host (STQRY app of iframe parent), zoals
+ * beschreven in STQRY-API-REVERSE-ENGINEERING.md. Alle berichten gaan als JSON string over de lijn.
+ */
+
+import type { DeviceInfo } from './index';
+
+/** Protocol versie van een actie */
+export type ProtocolVersion = 'v1';
+
+/** Runtime waarin de bridge draait */
+export type Runtime = 'NoRuntime' | 'IFrame' | 'ReactNative';
+
+/** Storage key van de bridge data, 'stqryStorage' of 'stqryStorage:<namespace>' */
+export type StorageKey = string;
+
+/** Data per actie die de bridge naar de host stuurt */
+export interface ActionDataMap {
+  'bridge.handshake': { versions: ProtocolVersion[]; actions: ActionName[] };
+  /** Zonder keys: alle data van de storageKey */
+  'storage.get': { keys?: string[]; storageKey: StorageKey };
+  'storage.set': { changeset: Record<string, unknown>; storageKey: StorageKey };
+  'storage.remove': { keys: string[]; storageKey: StorageKey };
+  'user.get': Record<string, never>;
+  'device.get': Record<string, never>;
+  'language.get': Record<string, never>;
+  'language.set': { language: string };
+  'location.get': Record<string, never>;
+  'location.set': { url: string };
+  'location.close': Record<string, never>;
+  'context.get': Record<string, never>;
+  'analytics.track': { events: AnalyticsEventMessage[] };
+  'navigation.back': Record<string, never>;
+  'linking.openExternal': { link: string };
+  'linking.openInternal': { params: { subtype: InternalLinkSubtype; id: number | string } };
+}
+
+/** Alle acties die de bridge kan versturen */
+export type ActionName = keyof ActionDataMap;
+
+/** Acties waarop de app geen callback terugstuurt */
+export type FireAndForgetAction = 'navigation.back' | 'linking.openExternal' | 'linking.openInternal';
+
+/** Subtypes die linking.openInternal accepteert (alleen 'tour' is bevestigd werkend in de app) */
+export type InternalLinkSubtype = 'tour' | 'map' | 'list' | 'story' | 'web' | 'menu' | 'collection';
+
+/** Verzoek van de bridge aan de host */
+export interface RequestMessage<A extends ActionName = ActionName> {
+  action: A;
+  version: ProtocolVersion;
+  data: ActionDataMap[A];
+  /** Ontbreekt bij fire-and-forget acties */
+  callbackId?: number;
+}
+
+/** Antwoord van de host op een verzoek met callbackId */
+export interface CallbackMessage {
+  action: 'callback';
+  callbackId: number;
+  /** Argumenten voor de callback; de bridge resolved met args[0] */
+  args?: unknown[];
+  /** Foutmelding; de Promise wordt rejected met een HostError of UnsupportedAction */
+  error?: string;
+  /** 'unsupported': de host kent de actie of versie niet */
+  code?: 'unsupported';
+}
+
+/** Antwoord op bridge.handshake (args[0]) */
+export interface HandshakeReply {
+  versions?: ProtocolVersion[];
+  /** Per actie de ondersteunde versie(s), of een lijst van acties */
+  actions?: Partial<Record<ActionName, ProtocolVersion | ProtocolVersion[]>> | ActionName[];
+}
+
+/** Data per actie die de host uit zichzelf stuurt (zie stqry.on) */
+export interface HostEventDataMap {
+  'storage.updated': Record<string, unknown>;
+  'language.changed': { language: string };
+  'consent.changed': unknown;
+  'user.changed': unknown;
+}
+
+/** Bericht dat de host uit zichzelf stuurt, zonder callbackId */
+export interface HostPushMessage<A extends string = string> {
+  action: A;
+  version?: ProtocolVersion;
+  data?: A extends keyof HostEventDataMap ? HostEventDataMap[A] : unknown;
+}
+
+/** Elk bericht dat de bridge van de host kan ontvangen */
+export type IncomingMessage = CallbackMessage | HostPushMessage;
+
+/** Analytics event zoals het in een analytics.track batch staat */
+export interface AnalyticsEventMessage {
+  id: string;
+  name: string;
+  props: Record<string, unknown>;
+  timestamp: number;
+  url: string;
+  runtime: Runtime;
+  device: DeviceInfo | null;
+  language: string | null;
+  userId: string | null;
+  visitorId: string | null;
+  context: {
+    collectionAccountId: number | null;
+    collectionId: number | null;
+    itemId: number | null;
+    demo: boolean;
+  } | null;
+}
+
+/** Bericht tussen tabs/frames over het BroadcastChannel 'stqry-bridge' (of storage events) */
+export interface TabMessage {
+  type: 'storage.updated' | 'outbox.changed' | 'outbox.done' | 'outbox.timeout' | 'outbox.synced';
+  /** ID van de verzendende tab */
+  tabId: string;
+  timestamp: number;
+  [field: string]: unknown;
+}